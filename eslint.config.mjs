@@ -1,17 +1,39 @@
-import {
-  baseRules,
-  testRules,
-  nodeGlobals,
-  testGlobals,
-  ignores,
-} from '../_config/eslint.base.mjs';
+import js from '@eslint/js';
+
+const nodeGlobals = {
+  require: 'readonly',
+  module: 'writable',
+  exports: 'writable',
+  __dirname: 'readonly',
+  __filename: 'readonly',
+  process: 'readonly',
+  console: 'readonly',
+  Buffer: 'readonly',
+  URL: 'readonly',
+  URLSearchParams: 'readonly',
+  TextDecoder: 'readonly',
+  TextEncoder: 'readonly',
+  setTimeout: 'readonly',
+  clearTimeout: 'readonly',
+  setInterval: 'readonly',
+  clearInterval: 'readonly',
+  setImmediate: 'readonly',
+  clearImmediate: 'readonly',
+};
+
+const baseRules = {
+  ...js.configs.recommended.rules,
+  'no-unused-vars': ['error', { argsIgnorePattern: '^_' }],
+  'prefer-const': 'error',
+  eqeqeq: 'error',
+};
 
 export default [
   {
-    ignores,
+    ignores: ['node_modules/', 'coverage/', 'dist/'],
   },
   {
-    files: ['src/**/*.js'],
+    files: ['src/**/*.js', 'benchmarks/**/*.js', 'test/**/*.js'],
     languageOptions: {
       ecmaVersion: 2022,
       sourceType: 'commonjs',
@@ -19,13 +41,4 @@ export default [
     },
     rules: baseRules,
   },
-  {
-    files: ['test/**/*.js'],
-    languageOptions: {
-      ecmaVersion: 2022,
-      sourceType: 'commonjs',
-      globals: testGlobals,
-    },
-    rules: testRules,
-  },
 ];
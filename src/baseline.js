@@ -0,0 +1,248 @@
+/**
+ * redakt - Findings baseline
+ * Records the findings that already exist so detection can fail only on new
+ * ones. Only pattern names, file paths and value fingerprints are stored.
+ */
+
+const fs = require('fs');
+
+const BASELINE_VERSION = 1;
+
+/**
+ * One recorded finding group
+ * @typedef {Object} BaselineEntry
+ * @property {string} file - File path ("/"-separated, as reported)
+ * @property {string} pattern - Pattern name
+ * @property {string} fingerprint - Value fingerprint (truncated SHA-256)
+ * @property {number} count - Occurrences of the value in the file
+ */
+
+/**
+ * Baseline file contents
+ * @typedef {Object} Baseline
+ * @property {number} version
+ * @property {BaselineEntry[]} entries - Sorted by file, pattern and fingerprint
+ */
+
+/**
+ * Key grouping findings of the same value in the same file
+ */
+function entryKey(file, pattern, fingerprint) {
+  return `${normalizePath(file)}\0${pattern}\0${fingerprint}`;
+}
+
+/**
+ * Use "/" separators so baselines are portable between platforms
+ */
+function normalizePath(file) {
+  return String(file).replace(/\\/g, '/');
+}
+
+/**
+ * Count findings by file, pattern and fingerprint
+ * @param {import('./reporters').ReportEntry[]} entries
+ * @returns {Map<string, BaselineEntry>}
+ */
+function countFindings(entries) {
+  const counts = new Map();
+  for (const { file, results } of entries) {
+    for (const { pattern, fingerprint } of results.findings) {
+      const key = entryKey(file, pattern, fingerprint);
+      const entry = counts.get(key);
+      if (entry) {
+        entry.count++;
+      } else {
+        counts.set(key, { file: normalizePath(file), pattern, fingerprint, count: 1 });
+      }
+    }
+  }
+  return counts;
+}
+
+/**
+ * Sort entries so baseline files diff cleanly (locale-independent)
+ */
+function sortEntries(entries) {
+  const compare = (a, b) => (a < b ? -1 : a > b ? 1 : 0);
+  return entries.sort(
+    (a, b) =>
+      compare(a.file, b.file) ||
+      compare(a.pattern, b.pattern) ||
+      compare(a.fingerprint, b.fingerprint),
+  );
+}
+
+/**
+ * Build a baseline from the current findings
+ * @param {import('./reporters').ReportEntry[]} entries - Detection results per file
+ * @returns {Baseline}
+ */
+function createBaseline(entries) {
+  return {
+    version: BASELINE_VERSION,
+    entries: sortEntries([...countFindings(entries).values()]),
+  };
+}
+
+/**
+ * Read a baseline file
+ * @param {string} filePath
+ * @returns {Baseline}
+ */
+function loadBaseline(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Baseline file not found: ${filePath}`);
+  }
+
+  let baseline;
+  try {
+    baseline = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid baseline ${filePath}: ${err.message}`);
+  }
+
+  if (!baseline || baseline.version !== BASELINE_VERSION || !Array.isArray(baseline.entries)) {
+    throw new Error(`Invalid baseline ${filePath}: unsupported format`);
+  }
+  for (const entry of baseline.entries) {
+    if (
+      !entry ||
+      typeof entry.file !== 'string' ||
+      typeof entry.pattern !== 'string' ||
+      typeof entry.fingerprint !== 'string' ||
+      !Number.isInteger(entry.count)
+    ) {
+      throw new Error(`Invalid baseline ${filePath}: malformed entry`);
+    }
+  }
+
+  return baseline;
+}
+
+/**
+ * Write a baseline file (2-space JSON, trailing newline)
+ * @param {string} filePath
+ * @param {Baseline} baseline
+ */
+function writeBaseline(filePath, baseline) {
+  fs.writeFileSync(filePath, `${JSON.stringify(baseline, null, 2)}\n`);
+}
+
+/**
+ * Rebuild detect() results from a subset of their findings
+ */
+function withFindings(results, findings) {
+  const matches = {};
+  for (const finding of findings) {
+    const match = matches[finding.pattern];
+    if (match) {
+      match.count++;
+      if (match.samples.length < 3 && !match.samples.includes(finding.preview)) {
+        match.samples.push(finding.preview);
+      }
+    } else {
+      const { description, severity } = results.matches[finding.pattern];
+      matches[finding.pattern] = {
+        count: 1,
+        description,
+        severity,
+        samples: [finding.preview],
+      };
+    }
+  }
+
+  return {
+    ...results,
+    hasSensitiveData: findings.length > 0,
+    matches,
+    total: findings.length,
+    findings,
+  };
+}
+
+/**
+ * Drop findings recorded in a baseline
+ *
+ * A value recorded n times in a file covers its first n occurrences there, so
+ * adding another copy of a known secret is still reported.
+ *
+ * @param {import('./reporters').ReportEntry[]} entries - Detection results per file
+ * @param {Baseline} baseline
+ * @returns {{entries: import('./reporters').ReportEntry[], baselined: number}} New findings
+ *   only, and how many findings the baseline covered
+ */
+function filterBaseline(entries, baseline) {
+  const remaining = new Map();
+  for (const entry of baseline.entries) {
+    remaining.set(entryKey(entry.file, entry.pattern, entry.fingerprint), entry.count);
+  }
+
+  let baselined = 0;
+  const filtered = entries.map(({ file, results }) => {
+    const findings = results.findings.filter((finding) => {
+      const key = entryKey(file, finding.pattern, finding.fingerprint);
+      const left = remaining.get(key) || 0;
+      if (left > 0) {
+        remaining.set(key, left - 1);
+        baselined++;
+        return false;
+      }
+      return true;
+    });
+    const kept = withFindings(results, findings);
+    kept.baselined = results.findings.length - findings.length;
+    return { file, results: kept };
+  });
+
+  return { entries: filtered, baselined };
+}
+
+/**
+ * Remove baseline entries that no longer occur (and lower counts that shrank)
+ *
+ * Only files present in `entries` are pruned, so a partial scan keeps the
+ * entries of files it didn't look at, unless `fileExists` says they are gone.
+ *
+ * @param {Baseline} baseline
+ * @param {import('./reporters').ReportEntry[]} entries - Current detection results
+ * @param {Object} [options]
+ * @param {function(string): boolean} [options.fileExists] - Drop entries of files it
+ *   returns false for (e.g. deleted files)
+ * @returns {{baseline: Baseline, removed: number}} Pruned baseline and the number of
+ *   occurrences dropped
+ */
+function pruneBaseline(baseline, entries, options = {}) {
+  const { fileExists } = options;
+  const current = countFindings(entries);
+  const scanned = new Set(entries.map((e) => normalizePath(e.file)));
+  let removed = 0;
+  const kept = [];
+
+  for (const entry of baseline.entries) {
+    if (!scanned.has(entry.file)) {
+      if (fileExists && !fileExists(entry.file)) {
+        removed += entry.count;
+      } else {
+        kept.push(entry);
+      }
+      continue;
+    }
+    const found = current.get(entryKey(entry.file, entry.pattern, entry.fingerprint));
+    const count = Math.min(entry.count, found ? found.count : 0);
+    removed += entry.count - count;
+    if (count > 0) {
+      kept.push({ ...entry, count });
+    }
+  }
+
+  return { baseline: { version: BASELINE_VERSION, entries: sortEntries(kept) }, removed };
+}
+
+module.exports = {
+  BASELINE_VERSION,
+  createBaseline,
+  loadBaseline,
+  writeBaseline,
+  filterBaseline,
+  pruneBaseline,
+};
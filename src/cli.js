@@ -4,13 +4,62 @@
  * redakt CLI - Detect and mask PII in text
  * Usage: redakt [options] [file]
  *        cat file.log | redakt
+ *        redakt restore --vault <file> [file]
+ *        redakt scan [options] <path...>
+ *        redakt git [--staged | <range>]
+ *        redakt explain [options] [file]
+ *        redakt serve [--host <h>] [--port <n>]
  */
 
 const fs = require('fs');
-const { redact, detect, listPatterns } = require('./redakt');
+const { pipeline } = require('stream/promises');
+const { detect, listPatterns, getActivePatterns, maskFindings } = require('./redakt');
+const { createRedactStream } = require('./stream');
+const { redactJson, createNdjsonRedactStream } = require('./structured');
+const { createCsvRedactStream, normalizeColumns } = require('./csv');
+const { CONFIG_FORMATS, configFormatOf, redactConfig } = require('./configfiles');
+const { HAR_DEFAULTS, redactHar } = require('./har');
+const {
+  LOG_FORMATS,
+  createLogRedactStream,
+  normalizeLogFormat,
+  normalizeLogFields,
+} = require('./logformats');
+const { REPORT_FORMATS, formatReport } = require('./reporters');
+const { scan, summarize } = require('./scan');
+const { explain } = require('./explain');
+const { SEVERITIES, meetsSeverity } = require('./confidence');
+const { scanStaged, scanCommits, installHook } = require('./git');
+const { loadConfig } = require('./config');
+const { restore, loadVaultKey } = require('./vault');
+const { compileAllowlist } = require('./suppress');
+const { SERVER_DEFAULTS, createServer, loadServerToken } = require('./server');
+const { createMasker } = require('./masking');
+const {
+  createBaseline,
+  loadBaseline,
+  writeBaseline,
+  filterBaseline,
+  pruneBaseline,
+} = require('./baseline');
 
 const VERSION = require('../package.json').version;
 
+/**
+ * Subcommands recognised as the first positional argument
+ */
+const COMMANDS = ['restore', 'scan', 'git', 'install-hook', 'explain', 'serve'];
+
+/**
+ * Input formats accepted by --format
+ */
+const FORMATS = ['text', 'json', 'ndjson', 'csv', 'tsv', 'har', ...CONFIG_FORMATS];
+
+/**
+ * File name used for piped input in reports and baselines
+ */
+const STDIN_NAME = '<stdin>';
+
 const HELP = `
 redakt v${VERSION} - Detect and mask PII in text
 
@@ -18,6 +67,18 @@ USAGE:
   redakt [options] [file]      Process file
   cat file | redakt            Process stdin
   echo "text" | redakt         Process piped text
+  redakt restore --vault <f> [file]
+                               Put original values back from a vault
+  redakt scan [options] <path...>
+                               Detect sensitive data in files and directories
+  redakt git [--staged]        Detect sensitive data in staged lines
+  redakt git <range>           ... or in lines added by commits (main..HEAD)
+  redakt install-hook [--force]
+                               Add a git pre-commit hook running redakt git
+  redakt explain [options] [file]
+                               Show every pattern's matches per line and why
+                               each was redacted or not (values masked)
+  redakt serve [--port <n>]    Run a local HTTP redaction service
 
 OPTIONS:
   -h, --help              Show this help
@@ -29,13 +90,98 @@ OPTIONS:
   -a, --all               Enable all patterns (including extras)
   -i, --include <p,...>   Include only these patterns (comma-separated)
   -x, --exclude <p,...>   Exclude these patterns (comma-separated)
+      --locale <c,...>    Add national phone formats and IDs: de, gb, ca, in, br
+  -C, --context <n>       With -d, print n masked lines around each finding
+  -r, --report <format>   Detection report: json, sarif, junit, csv (implies -d)
+      --report-file <file>
+                          Write the report to a file (format from extension
+                          unless --report is given; summary goes to stderr)
   -o, --output <file>     Write output to file (default: stdout)
+      --strict-validation Skip matches failing checksums (Luhn, SSN rules, IBAN,
+                          GitHub/npm token CRC-32)
+      --min-confidence <n>
+                          Only report findings with at least this confidence
+                          (0-1; detection, scan and git modes)
+      --fail-on <severity>
+                          Exit 1 only for findings of this severity or higher:
+                          low, medium, high, critical (default: any finding)
+  -m, --mask <strategy>   Replace values using a masking strategy: partial,
+                          hash, mask, placeholder or a template ("<{TYPE}:{n}>");
+                          "pattern=strategy" sets one pattern (repeatable)
+      --allow <value>     Never redact or report this value (repeatable;
+                          "pattern:value" limits it to one pattern)
+      --allow-regex <re>  Never redact or report values matching this regex
+      --no-inline-ignore  Report lines marked redakt:ignore(-next-line) anyway
+      --inline-ignore     Honour redakt:ignore comments when redacting too
+      --baseline-create <file>
+                          Record current findings (fingerprints only) and exit 0
+      --baseline <file>   Only report and fail on findings not in the baseline
+      --baseline-prune    With --baseline, drop entries that no longer occur
+  -p, --pseudonymize      Replace each distinct value with a stable token ([EMAIL_1])
+      --key-file <file>   Derive tokens from a secret key (stable across runs)
+      --vault <file>      Save an encrypted placeholder mapping for restore
+      --vault-key-file <file>
+                          Vault key (default: $REDAKT_VAULT_KEY)
+  -f, --format <fmt>      Input format: text (default), json, ndjson, csv, tsv, har,
+                          env, yaml, ini, toml, properties (har and config formats
+                          are also picked from the file name: .har, .env, .yml, ...)
+                          Structured formats redact values and sensitive keys
+                          (password, secret, authorization, cookie, ...)
+      --column <col=rule,...>
+                          Column rules for csv/tsv, by header name or number:
+                          scan (default), redact, hash, keep, drop
+      --no-header         csv/tsv input has no header row
+      --har-header <name,...>
+                          Also redact these headers in HAR files (cookies,
+                          Authorization, tokens and sessions are by default)
+      --har-param <name,...>
+                          Also redact these query and form parameters in HAR files
+      --log-format <fmt>  Parse log lines into fields: combined (nginx/Apache),
+                          syslog (RFC 5424), logfmt
+      --log-field <name=rule,...>
+                          Field rules for --log-format: keep, redact, hash, drop
+  -c, --config <file>     Use this config file (default: search for .redaktrc)
+      --no-config         Ignore config files
+
+SERVE OPTIONS:
+      --host <host>       Address to listen on (default: ${SERVER_DEFAULTS.host})
+      --port <n>          Port to listen on (default: ${SERVER_DEFAULTS.port})
+      --max-body <size>   Largest JSON request body (default: 1m; k/m/g suffixes)
+      --token-file <file> Require "Authorization: Bearer <token>" with this token
+                          (default: $REDAKT_SERVE_TOKEN, if set)
+
+SCAN OPTIONS:
+      --glob <g,...>      Only scan files matching these globs (e.g. "*.log")
+      --exclude-glob <g,...>
+                          Skip files and directories matching these globs
+      --max-size <size>   Skip files larger than this (default: 1m; k/m/g suffixes)
+      --no-ignore         Don't read .gitignore and .redaktignore files
 
 PATTERNS:
   Default: email, phone, creditCard, ssn, ipv4, bearerToken, jwt,
-           urlWithCreds, githubToken, slackToken, privateKey
+           urlWithCreds, githubToken, slackToken, privateKey,
+           secretAssignment (high-entropy password=, api_key: ... values)
+
+  Credentials (default): stripeKey, openaiKey, anthropicKey, googleApiKey,
+           googleOAuthSecret, gcpServiceAccount, azureStorageKey, npmToken,
+           pypiToken, twilioKey, sendgridKey, mailgunKey, shopifyToken,
+           gitlabToken, discordToken
 
-  Extra:   ipv6, awsKey, awsSecret, hexSecret
+  Extra:   ipv6, iban, awsKey, awsSecret, hexSecret
+
+LOCALES (--locale):
+  de  e164Phone, dePhone, iban, deTaxId, dePassport
+  gb  e164Phone, gbPhone, iban, gbNino, gbPassport
+  ca  e164Phone, phone, caSin, caPassport
+  in  e164Phone, inPhone, inAadhaar, inPan, inPassport
+  br  e164Phone, brPhone, iban, brCpf, brCnpj, brPassport
+
+CONFIG:
+  A .redaktrc, .redaktrc.json or redakt.config.json file found in the
+  current directory or any parent supplies custom patterns, default
+  include/exclude lists, placeholder overrides, masking strategies,
+  entropy thresholds, minConfidence and failOn.
+  Command line options take precedence.
 
 EXAMPLES:
   # Redact a log file
@@ -47,6 +193,32 @@ EXAMPLES:
   # Detection mode - just report what was found
   redakt -d sensitive.txt
 
+  # Show where findings are, with 2 lines of masked context
+  redakt -d -C 2 app.log
+
+  # Why was (or wasn't) this value redacted?
+  redakt explain --locale de ticket.txt
+
+  # Audit a repository (exit code 1 if anything is found)
+  redakt scan .
+  redakt scan --min-confidence 0.6 --fail-on critical .
+  redakt scan --glob "*.log" --exclude-glob archive/ /var/log/app
+
+  # Known-safe values
+  redakt -d --allow noreply@example.com --allow-regex "ipv4:^127\\." app.log
+
+  # Adopt on an existing codebase: fail CI only on new findings
+  redakt scan --baseline-create .redakt-baseline.json .
+  redakt scan --baseline .redakt-baseline.json .
+
+  # Stop secrets before they are committed
+  redakt install-hook
+  redakt git origin/main..HEAD
+
+  # SARIF for code scanning, JUnit for CI
+  redakt --report sarif config.yml > redakt.sarif
+  redakt --report-file results.xml build.log
+
   # Include only specific patterns
   redakt -i email,phone data.txt
 
@@ -55,6 +227,45 @@ EXAMPLES:
 
   # All patterns including extras
   redakt -a config.yml
+
+  # Keep the last four card digits and email domains for support
+  redakt --mask creditCard=partial,email=partial tickets.log
+
+  # Number each distinct value with a custom label
+  redakt --mask "<{TYPE}:{n}>" app.log
+
+  # Follow one user through a log without revealing them
+  redakt --pseudonymize app.log
+
+  # Same tokens across files and runs
+  redakt --pseudonymize --key-file ~/.redakt.key app.log
+
+  # Structured JSON logs (every output line stays valid JSON)
+  kubectl logs -f api | redakt --format ndjson
+
+  # Browser capture for support: cookies, auth headers, tokens and PII removed
+  redakt support.har -o support.safe.har
+
+  # Share a config file: secrets redacted, comments and layout kept
+  redakt .env.production
+  redakt -f yaml < values.yaml
+
+  # Customer export: hash emails, drop free-text notes, keep the header
+  redakt -f csv --column email=hash,notes=drop customers.csv
+
+  # Access logs: hash client IPs, redact users and query strings
+  redakt --log-format combined access.log
+
+  # Keep client IPs, drop the referer
+  redakt --log-format combined --log-field remote_addr=keep,http_referer=drop access.log
+
+  # HTTP service for other languages (POST /redact, /detect, /redact/stream)
+  redakt serve --port 8787 --locale de
+  curl -s localhost:8787/redact -d '{"text":"mail a@x.com","stats":true}'
+
+  # Reversible redaction: share safe.log, then map answers back
+  redakt --vault app.vault --vault-key-file ~/.vault.key app.log > safe.log
+  redakt restore --vault app.vault --vault-key-file ~/.vault.key answer.txt
 `;
 
 /**
@@ -71,8 +282,48 @@ function parseArgs(argv) {
     all: false,
     include: [],
     exclude: [],
+    locale: [],
+    context: null,
+    report: null,
+    reportFile: null,
     output: null,
+    strictValidation: false,
+    minConfidence: null,
+    failOn: null,
+    mask: [],
+    pseudonymize: false,
+    keyFile: null,
+    vault: null,
+    vaultKeyFile: null,
+    format: null,
+    columns: {},
+    noHeader: false,
+    harHeaders: [],
+    harParams: [],
+    logFormat: null,
+    logFields: {},
+    config: null,
+    noConfig: false,
+    glob: [],
+    excludeGlob: [],
+    maxSize: null,
+    noIgnore: false,
+    allow: [],
+    allowRegex: [],
+    inlineIgnore: null,
+    baseline: null,
+    baselineCreate: null,
+    baselinePrune: false,
+    staged: false,
+    range: null,
+    force: false,
+    host: null,
+    port: null,
+    maxBody: null,
+    tokenFile: null,
+    command: null,
     file: null,
+    paths: [],
   };
 
   let i = 2; // Skip node and script name
@@ -103,9 +354,144 @@ function parseArgs(argv) {
       if (argv[i]) {
         args.exclude = argv[i].split(',').map((p) => p.trim());
       }
+    } else if (arg === '--locale') {
+      i++;
+      if (argv[i]) {
+        args.locale = argv[i].split(',').map((c) => c.trim());
+      }
+    } else if (arg === '-C' || arg === '--context') {
+      i++;
+      args.context = argv[i] === undefined ? null : Number(argv[i]);
+    } else if (arg === '-r' || arg === '--report') {
+      i++;
+      args.report = argv[i];
+      args.detect = true;
+    } else if (arg === '--report-file') {
+      i++;
+      args.reportFile = argv[i];
+      args.detect = true;
     } else if (arg === '-o' || arg === '--output') {
       i++;
       args.output = argv[i];
+    } else if (arg === '--strict-validation') {
+      args.strictValidation = true;
+    } else if (arg === '--min-confidence') {
+      i++;
+      args.minConfidence = argv[i] === undefined ? NaN : Number(argv[i]);
+    } else if (arg === '--fail-on') {
+      i++;
+      args.failOn = argv[i];
+    } else if (arg === '-m' || arg === '--mask') {
+      i++;
+      if (argv[i]) {
+        args.mask.push(argv[i]);
+      }
+    } else if (arg === '-p' || arg === '--pseudonymize') {
+      args.pseudonymize = true;
+    } else if (arg === '--key-file') {
+      i++;
+      args.keyFile = argv[i];
+      args.pseudonymize = true;
+    } else if (arg === '--vault') {
+      i++;
+      args.vault = argv[i];
+    } else if (arg === '--vault-key-file') {
+      i++;
+      args.vaultKeyFile = argv[i];
+    } else if (arg === '-f' || arg === '--format') {
+      i++;
+      args.format = argv[i];
+    } else if (arg === '--column') {
+      i++;
+      if (argv[i]) {
+        Object.assign(args.columns, parseRules(argv[i]));
+      }
+    } else if (arg === '--no-header') {
+      args.noHeader = true;
+    } else if (arg === '--har-header') {
+      i++;
+      if (argv[i]) {
+        args.harHeaders.push(...argv[i].split(',').map((h) => h.trim()));
+      }
+    } else if (arg === '--har-param') {
+      i++;
+      if (argv[i]) {
+        args.harParams.push(...argv[i].split(',').map((p) => p.trim()));
+      }
+    } else if (arg === '--log-format') {
+      i++;
+      args.logFormat = argv[i];
+    } else if (arg === '--log-field') {
+      i++;
+      if (argv[i]) {
+        Object.assign(args.logFields, parseRules(argv[i]));
+      }
+    } else if (arg === '-c' || arg === '--config') {
+      i++;
+      args.config = argv[i];
+    } else if (arg === '--no-config') {
+      args.noConfig = true;
+    } else if (arg === '--glob') {
+      i++;
+      if (argv[i]) {
+        args.glob = argv[i].split(',').map((p) => p.trim());
+      }
+    } else if (arg === '--exclude-glob') {
+      i++;
+      if (argv[i]) {
+        args.excludeGlob = argv[i].split(',').map((p) => p.trim());
+      }
+    } else if (arg === '--max-size') {
+      i++;
+      args.maxSize = argv[i] === undefined ? null : parseSize(argv[i]);
+    } else if (arg === '--no-ignore') {
+      args.noIgnore = true;
+    } else if (arg === '--allow') {
+      i++;
+      if (argv[i]) {
+        args.allow.push(argv[i]);
+      }
+    } else if (arg === '--allow-regex') {
+      i++;
+      if (argv[i]) {
+        args.allowRegex.push(argv[i]);
+      }
+    } else if (arg === '--inline-ignore') {
+      args.inlineIgnore = true;
+    } else if (arg === '--no-inline-ignore') {
+      args.inlineIgnore = false;
+    } else if (arg === '--baseline') {
+      i++;
+      args.baseline = argv[i];
+      args.detect = true;
+    } else if (arg === '--baseline-create') {
+      i++;
+      args.baselineCreate = argv[i];
+      args.detect = true;
+    } else if (arg === '--baseline-prune') {
+      args.baselinePrune = true;
+    } else if (arg === '--staged' || arg === '--cached') {
+      args.staged = true;
+    } else if (arg === '--force') {
+      args.force = true;
+    } else if (arg === '--host') {
+      i++;
+      args.host = argv[i];
+    } else if (arg === '--port') {
+      i++;
+      args.port = argv[i] === undefined ? NaN : Number(argv[i]);
+    } else if (arg === '--max-body') {
+      i++;
+      args.maxBody = argv[i] === undefined ? NaN : parseSize(argv[i]);
+    } else if (arg === '--token-file') {
+      i++;
+      args.tokenFile = argv[i];
+    } else if (!arg.startsWith('-') && !args.command && !args.file && COMMANDS.includes(arg)) {
+      args.command = arg;
+    } else if (!arg.startsWith('-') && args.command === 'scan') {
+      args.paths.push(arg);
+    } else if (!arg.startsWith('-') && args.command === 'git' && !args.range) {
+      args.range = arg;
     } else if (!arg.startsWith('-') && !args.file) {
       args.file = arg;
     }
@@ -116,6 +502,19 @@ function parseArgs(argv) {
   return args;
 }
 
+/**
+ * Parse a byte size such as "512", "64k" or "10m"
+ * @returns {number} Bytes (NaN if malformed)
+ */
+function parseSize(value) {
+  const match = /^(\d+)([kmg]?)b?$/i.exec(String(value).trim());
+  if (!match) {
+    return NaN;
+  }
+  const units = { '': 1, k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+  return Number(match[1]) * units[match[2].toLowerCase()];
+}
+
 /**
  * Read input from file or stdin
  */
@@ -149,33 +548,587 @@ async function readInput(filePath) {
   });
 }
 
+/**
+ * Open input from file or stdin as a stream
+ */
+function openInputStream(filePath) {
+  if (filePath) {
+    if (!fs.existsSync(filePath)) {
+      console.error(`Error: File not found: ${filePath}`);
+      process.exit(1);
+    }
+    return fs.createReadStream(filePath);
+  }
+
+  if (process.stdin.isTTY) {
+    // No piped input and no file - show help
+    console.log(HELP);
+    process.exit(0);
+  }
+
+  return process.stdin;
+}
+
+/**
+ * Parse "name=rule,name=rule" field or column rules
+ * Malformed entries are kept with an empty rule so validation reports them.
+ */
+function parseRules(value) {
+  const fields = {};
+  for (const entry of value.split(',')) {
+    const [name, rule = ''] = entry.split('=').map((part) => part.trim());
+    if (name) {
+      fields[name] = rule;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Create the redacting stream for a streamable input format
+ */
+function createFormatStream(args, options) {
+  if (args.logFormat) {
+    return createLogRedactStream({ ...options, format: args.logFormat, fields: args.logFields });
+  }
+  if (args.format === 'ndjson') {
+    return createNdjsonRedactStream(options);
+  }
+  if (args.format === 'csv' || args.format === 'tsv') {
+    return createCsvRedactStream({
+      ...options,
+      delimiter: args.format === 'tsv' ? '\t' : ',',
+      header: !args.noHeader,
+      columns: args.columns,
+    });
+  }
+  return createRedactStream(options);
+}
+
+/**
+ * Stream input through the redactor to the output file or stdout
+ * @returns {Promise<Object>} Redaction stats
+ */
+async function redactStreamed(args, options) {
+  const redactor = createFormatStream(args, options);
+  const input = openInputStream(args.file);
+  const output = args.output ? fs.createWriteStream(args.output) : process.stdout;
+
+  try {
+    await pipeline(input, redactor, output);
+  } catch (err) {
+    // Downstream closed early (e.g. piped into head) - not an error
+    if (err.code !== 'EPIPE') {
+      throw err;
+    }
+  }
+
+  return redactor.stats;
+}
+
+/**
+ * Pick the input format: --format, else from the file name for HAR and
+ * config files
+ */
+function resolveFormat(args) {
+  if (args.format || args.logFormat || !args.file) {
+    return args.format || 'text';
+  }
+  if (/\.har$/i.test(args.file)) {
+    return 'har';
+  }
+  return configFormatOf(args.file) || 'text';
+}
+
+/**
+ * Redact a whole JSON document, HAR capture or config file (they can't be
+ * redacted chunk by chunk)
+ * @returns {Promise<Object>} Redaction stats
+ */
+async function redactWholeInput(args, format, options) {
+  const input = await readInput(args.file);
+  let result;
+  if (format === 'json') {
+    result = redactJson(input, { ...options, stats: true });
+  } else if (format === 'har') {
+    result = redactHar(input, {
+      ...options,
+      headers: [...HAR_DEFAULTS.headers, ...args.harHeaders],
+      params: [...HAR_DEFAULTS.params, ...args.harParams],
+      stats: true,
+    });
+  } else {
+    result = redactConfig(input, { ...options, format, stats: true });
+  }
+  if (args.output) {
+    fs.writeFileSync(args.output, result.text);
+  } else {
+    process.stdout.write(result.text);
+  }
+  return result.stats;
+}
+
+/**
+ * Read a pseudonymization key, ignoring surrounding whitespace
+ */
+function readKeyFile(filePath) {
+  if (!fs.existsSync(filePath)) {
+    throw new Error(`Key file not found: ${filePath}`);
+  }
+  const key = fs.readFileSync(filePath, 'utf8').trim();
+  if (!key) {
+    throw new Error(`Key file is empty: ${filePath}`);
+  }
+  return key;
+}
+
+/**
+ * Load the config file named on the command line, or the nearest one
+ */
+function resolveConfig(args) {
+  if (args.noConfig) {
+    return {};
+  }
+  return loadConfig(args.config || undefined);
+}
+
+/**
+ * Turn an --allow / --allow-regex value into an allowlist rule
+ * A "pattern:" prefix naming a known pattern scopes the rule to that pattern.
+ */
+function parseAllowRule(text, isRegex, patternNames) {
+  const colon = text.indexOf(':');
+  const prefix = colon > 0 ? text.slice(0, colon) : null;
+  const pattern = prefix && patternNames.includes(prefix) ? prefix : undefined;
+  const body = pattern ? text.slice(colon + 1) : text;
+
+  if (isRegex) {
+    return { regex: body, pattern };
+  }
+  return pattern ? { value: body, pattern } : body;
+}
+
+/**
+ * Turn --mask values into masking strategies by pattern name
+ * "pattern=strategy" sets one pattern and a bare strategy the default. Values
+ * without a template may list several, separated by commas.
+ */
+function parseMaskRules(values) {
+  const masking = {};
+  for (const value of values) {
+    const rules = value.includes('{') ? [value] : value.split(',').map((r) => r.trim());
+    for (const rule of rules) {
+      const assignment = /^([A-Za-z0-9_]+)=(.+)$/.exec(rule);
+      if (assignment) {
+        masking[assignment[1]] = assignment[2];
+      } else {
+        masking.default = rule;
+      }
+    }
+  }
+  return masking;
+}
+
+/**
+ * Merge command line options over config file defaults
+ */
+function buildOptions(args, config = {}) {
+  const exclude = [...(config.exclude || []), ...args.exclude];
+  const patternNames = Object.keys(listPatterns(config));
+  const allowlist = [
+    ...(config.allowlist || []),
+    ...args.allow.map((rule) => parseAllowRule(rule, false, patternNames)),
+    ...args.allowRegex.map((rule) => parseAllowRule(rule, true, patternNames)),
+  ];
+  const inlineIgnore = args.inlineIgnore !== null ? args.inlineIgnore : config.inlineIgnore;
+  const masking = { ...config.masking, ...parseMaskRules(args.mask) };
+  return {
+    ...config,
+    all: args.all || Boolean(config.all),
+    include: args.include.length > 0 ? args.include : config.include,
+    exclude: exclude.length > 0 ? exclude : undefined,
+    locales: args.locale.length > 0 ? args.locale : config.locales,
+    strictValidation: args.strictValidation || Boolean(config.strictValidation),
+    minConfidence: args.minConfidence !== null ? args.minConfidence : config.minConfidence,
+    failOn: args.failOn || config.failOn,
+    allowlist: allowlist.length > 0 ? allowlist : undefined,
+    inlineIgnore,
+    masking: Object.keys(masking).length > 0 ? masking : undefined,
+    stats: args.stats,
+  };
+}
+
 /**
  * Format detection results for display
  */
 function formatDetectionResults(results) {
   if (!results.hasSensitiveData) {
-    return '✅ No sensitive data detected';
+    const known = formatBaselined(results.baselined);
+    return `✅ No sensitive data detected${known}${formatSuppressed(results.suppressed)}`;
   }
 
-  let output = `⚠️  Found ${results.total} sensitive item(s):\n`;
+  let output = `⚠️  Found ${results.total} sensitive item(s)${formatBaselined(results.baselined)}:\n`;
 
   for (const [pattern, info] of Object.entries(results.matches)) {
-    output += `\n  ${pattern} (${info.count})\n`;
+    output += `\n  ${pattern} (${info.count}, ${info.severity})\n`;
     output += `    ${info.description}\n`;
     if (info.samples.length > 0) {
       output += `    Samples: ${info.samples.join(', ')}\n`;
     }
   }
 
+  return output + formatSuppressed(results.suppressed);
+}
+
+/**
+ * Note findings hidden because they are in the baseline
+ */
+function formatBaselined(count) {
+  return count > 0 ? ` (${count} known from baseline)` : '';
+}
+
+/**
+ * Summarize suppressed matches so reviewers can audit the allowlist and comments
+ */
+function formatSuppressed(suppressed) {
+  if (!suppressed || suppressed.total === 0) {
+    return '';
+  }
+  const counts = Object.entries(suppressed.byType).map(([name, n]) => `${name}: ${n}`);
+  return `\n🔕 Suppressed ${suppressed.total} item(s) (${counts.join(', ')})\n`;
+}
+
+/**
+ * Write processed text to the output file or stdout
+ */
+function writeOutput(text, args) {
+  if (args.output) {
+    fs.writeFileSync(args.output, text);
+    if (!args.quiet) {
+      console.error(`✅ Written to ${args.output}`);
+    }
+  } else {
+    process.stdout.write(text);
+  }
+}
+
+/**
+ * Format grep-style masked context around findings
+ * Matching lines are marked "line:", context lines "line-", groups split by "--"
+ */
+function formatContext(text, findings, contextLines, fileName) {
+  if (findings.length === 0) {
+    return '';
+  }
+
+  const lines = maskFindings(text, findings);
+  const matched = new Set();
+  for (const finding of findings) {
+    const lineCount = text.slice(finding.start, finding.end).split('\n').length;
+    for (let n = finding.line; n < finding.line + lineCount; n++) {
+      matched.add(n);
+    }
+  }
+
+  // Merge each matching line's window into contiguous groups
+  const groups = [];
+  for (const n of [...matched].sort((a, b) => a - b)) {
+    const from = Math.max(1, n - contextLines);
+    const to = Math.min(lines.length, n + contextLines);
+    const last = groups[groups.length - 1];
+    if (last && from <= last.to + 1) {
+      last.to = Math.max(last.to, to);
+    } else {
+      groups.push({ from, to });
+    }
+  }
+
+  const prefix = fileName || '';
+  const output = groups.map(({ from, to }) => {
+    const block = [];
+    for (let n = from; n <= to; n++) {
+      const sep = matched.has(n) ? ':' : '-';
+      block.push(`${prefix}${prefix ? sep : ''}${n}${sep}${lines[n - 1]}`);
+    }
+    return block.join('\n');
+  });
+
+  return output.join('\n--\n');
+}
+
+/**
+ * Format explain() results: each line with its candidates and what became of them
+ */
+function formatExplanation({ lines, byStatus }) {
+  if (lines.length === 0) {
+    return '✅ No pattern matched';
+  }
+
+  let output = '';
+  for (const { line, text, candidates } of lines) {
+    output += `${line}: ${text}\n`;
+    const width = Math.max(...candidates.map((c) => c.pattern.length));
+    const columnWidth = Math.max(...candidates.map((c) => String(c.column).length));
+    for (const c of candidates) {
+      let detail = c.status === 'redacted' ? `-> ${c.placeholder}` : c.reason;
+      if (c.lostTo) {
+        detail = `lost to ${c.lostTo}: ${detail}`;
+      } else if (!c.enabled && c.status !== 'disabled') {
+        detail += ' (pattern disabled)';
+      }
+      output += `   ${c.status.padEnd(10)} ${c.pattern.padEnd(width)}  `;
+      output += `col ${String(c.column).padEnd(columnWidth)}  `;
+      output += `${c.preview}  ${detail}\n`;
+    }
+  }
+
+  const counts = Object.entries(byStatus).map(([status, count]) => `${count} ${status}`);
+  return `${output}\n🔎 ${counts.join(', ')}`;
+}
+
+/**
+ * Pick the report format: explicit --report, else from the report file extension
+ */
+function resolveReportFormat(args) {
+  if (args.report) {
+    return args.report;
+  }
+  if (!args.reportFile) {
+    return null;
+  }
+  const name = args.reportFile.toLowerCase();
+  if (name.endsWith('.sarif') || name.endsWith('.sarif.json')) {
+    return 'sarif';
+  }
+  if (name.endsWith('.xml')) {
+    return 'junit';
+  }
+  if (name.endsWith('.csv')) {
+    return 'csv';
+  }
+  return 'json';
+}
+
+/**
+ * Rule metadata for the patterns a run actually used
+ */
+function activeRules(options) {
+  const all = listPatterns(options);
+  const rules = {};
+  for (const name of getActivePatterns(options)) {
+    rules[name] = all[name];
+  }
+  return rules;
+}
+
+/**
+ * Format finding counts by severity, most severe first ("1 critical, 3 low")
+ */
+function formatSeverities(bySeverity) {
+  return [...SEVERITIES]
+    .reverse()
+    .filter((severity) => bySeverity[severity])
+    .map((severity) => `${bySeverity[severity]} ${severity}`)
+    .join(', ');
+}
+
+/**
+ * Check whether findings fail the run: any finding, or with --fail-on only
+ * those of that severity or higher
+ * @param {import('./redakt').Finding[]} findings
+ * @param {string} [failOn] - Lowest failing severity
+ * @returns {boolean}
+ */
+function failsRun(findings, failOn) {
+  if (!failOn) {
+    return findings.length > 0;
+  }
+  return findings.some((finding) => meetsSeverity(finding.severity, failOn));
+}
+
+/**
+ * Format scan results for display: files with findings, then a summary
+ */
+function formatScanResults({ files, summary }) {
+  let output = '';
+
+  for (const { file, results } of files) {
+    if (!results.hasSensitiveData) {
+      continue;
+    }
+    output += `⚠️  ${file}: ${results.total} finding(s)\n`;
+    for (const [pattern, info] of Object.entries(results.matches)) {
+      const lines = [
+        ...new Set(results.findings.filter((f) => f.pattern === pattern).map((f) => f.line)),
+      ];
+      output += `    ${pattern} (${info.count}) line ${lines.join(', ')}\n`;
+    }
+  }
+
+  let skipped = summary.skipped > 0 ? `, ${summary.skipped} skipped` : '';
+  if (summary.suppressed > 0) {
+    skipped += `, ${summary.suppressed} suppressed`;
+  }
+  if (summary.baselined > 0) {
+    skipped += `, ${summary.baselined} known from baseline`;
+  }
+  if (summary.findings === 0) {
+    return `✅ No sensitive data detected in ${summary.files} file(s)${skipped}`;
+  }
+
+  output += `\n📁 Scanned ${summary.files} file(s)${skipped}: `;
+  output += `${summary.findings} finding(s) in ${summary.filesWithFindings} file(s)`;
+  output += ` (${formatSeverities(summary.bySeverity)})\n`;
+  for (const [pattern, count] of Object.entries(summary.byPattern)) {
+    output += `   ${pattern}: ${count}\n`;
+  }
+
   return output;
 }
 
+/**
+ * Create, prune or apply the findings baseline named on the command line
+ * @param {import('./reporters').ReportEntry[]} entries - Detection results per file
+ * @returns {{entries: Array, baselined: number}|null} Entries to report, or null
+ *   when a baseline was created instead
+ */
+function applyBaseline(entries, args) {
+  if (args.baselineCreate) {
+    const baseline = createBaseline(entries);
+    writeBaseline(args.baselineCreate, baseline);
+    if (!args.quiet) {
+      const total = baseline.entries.reduce((n, e) => n + e.count, 0);
+      console.error(`✅ Baseline written to ${args.baselineCreate}: ${total} finding(s)`);
+    }
+    return null;
+  }
+
+  if (!args.baseline) {
+    return { entries, baselined: 0 };
+  }
+
+  let baseline = loadBaseline(args.baseline);
+  if (args.baselinePrune) {
+    // Git paths are relative to the repository root, so only prune what was scanned
+    const fileExists =
+      args.command === 'git' ? undefined : (file) => file === STDIN_NAME || fs.existsSync(file);
+    const pruned = pruneBaseline(baseline, entries, { fileExists });
+    baseline = pruned.baseline;
+    writeBaseline(args.baseline, baseline);
+    if (!args.quiet) {
+      console.error(`✂️  Pruned ${pruned.removed} stale finding(s) from ${args.baseline}`);
+    }
+  }
+
+  return filterBaseline(entries, baseline);
+}
+
+/**
+ * Print multi-file results (scan and git modes) or write a report
+ * @returns {boolean} True if anything new was found (at or above --fail-on)
+ */
+function printFileResults(scanned, args, options) {
+  const applied = applyBaseline(scanned.files, args);
+  if (!applied) {
+    return false;
+  }
+  const result = { files: applied.entries, summary: summarize(applied.entries, scanned.skipped) };
+  result.summary.baselined = applied.baselined;
+  const reportFormat = resolveReportFormat(args);
+
+  if (reportFormat) {
+    const report = formatReport(reportFormat, result.files, activeRules(options));
+    if (args.reportFile) {
+      fs.writeFileSync(args.reportFile, report);
+      if (!args.quiet) {
+        console.error(formatScanResults(result));
+      }
+    } else {
+      process.stdout.write(report);
+    }
+  } else {
+    console.log(formatScanResults(result));
+    if (args.context !== null && args.command === 'scan') {
+      for (const { file, results } of result.files) {
+        if (results.hasSensitiveData) {
+          const text = fs.readFileSync(file, 'utf8');
+          console.log(`${formatContext(text, results.findings, args.context, file)}\n`);
+        }
+      }
+    }
+  }
+
+  return failsRun(
+    result.files.flatMap((entry) => entry.results.findings),
+    options.failOn,
+  );
+}
+
+/**
+ * Run scan mode
+ * @returns {boolean} True if anything was found
+ */
+function runScan(args, options) {
+  const result = scan(args.paths.length > 0 ? args.paths : ['.'], {
+    ...options,
+    includeGlobs: args.glob,
+    excludeGlobs: args.excludeGlob,
+    maxFileSize: args.maxSize === null ? undefined : args.maxSize,
+    ignoreFiles: !args.noIgnore,
+  });
+  return printFileResults(result, args, options);
+}
+
+/**
+ * Run git mode: staged changes by default, or a commit range
+ * @returns {boolean} True if anything was found
+ */
+function runGit(args, options) {
+  if (args.staged && args.range) {
+    throw new Error('Use either --staged or a commit range, not both');
+  }
+  const result = args.range ? scanCommits(args.range, options) : scanStaged(options);
+  return printFileResults(result, args, options);
+}
+
+/**
+ * Run serve mode: listen until the process is stopped
+ * @returns {Promise<http.Server>} The listening server
+ */
+function runServe(args, options) {
+  const host = args.host || SERVER_DEFAULTS.host;
+  const token = loadServerToken({ tokenFile: args.tokenFile });
+  const server = createServer({
+    defaults: options,
+    token,
+    maxBodySize: args.maxBody === null ? undefined : args.maxBody,
+  });
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(args.port === null ? SERVER_DEFAULTS.port : args.port, host, () => {
+      if (!args.quiet) {
+        const { address, port } = server.address();
+        const shown = address.includes(':') ? `[${address}]` : address;
+        console.error(`✅ Listening on http://${shown}:${port}`);
+        if (!token && !/^(?:127\.|::1$|localhost$)/.test(host)) {
+          console.error(
+            `⚠️  No token set: anyone who can reach ${host} can use this service ` +
+              '(see --token-file)',
+          );
+        }
+      }
+      resolve(server);
+    });
+  });
+}
+
 /**
  * Format stats for display
  */
 function formatStats(stats) {
   if (stats.total === 0) {
-    return '✅ No redactions needed';
+    return `✅ No redactions needed${formatSuppressed(stats.suppressed)}`;
   }
 
   let output = `\n📊 Redacted ${stats.total} item(s):\n`;
@@ -184,7 +1137,14 @@ function formatStats(stats) {
     output += `   ${pattern}: ${count}\n`;
   }
 
-  return output;
+  if (stats.byColumn) {
+    output += '   By column:\n';
+    for (const [column, { total }] of Object.entries(stats.byColumn)) {
+      output += `     ${column}: ${total}\n`;
+    }
+  }
+
+  return output + formatSuppressed(stats.suppressed);
 }
 
 /**
@@ -204,24 +1164,168 @@ async function main() {
     process.exit(0);
   }
 
+  let config;
+  try {
+    config = resolveConfig(args);
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
   if (args.list) {
     console.log('\nAvailable patterns:\n');
-    const patterns = listPatterns();
+    const patterns = listPatterns(config);
     for (const [name, info] of Object.entries(patterns)) {
       const def = info.isDefault ? ' (default)' : '';
-      console.log(`  ${name}${def}`);
+      const custom = info.custom ? ' (custom)' : '';
+      const locales = info.locales ? ` (locale: ${info.locales.join(', ')})` : '';
+      console.log(`  ${name}${def}${custom}${locales} [${info.severity}]`);
       console.log(`    ${info.description}\n`);
     }
     process.exit(0);
   }
 
   // Build options
-  const options = {
-    all: args.all,
-    include: args.include.length > 0 ? args.include : undefined,
-    exclude: args.exclude.length > 0 ? args.exclude : undefined,
-    stats: args.stats,
-  };
+  const options = buildOptions(args, config);
+  try {
+    if (args.context !== null && (!Number.isInteger(args.context) || args.context < 0)) {
+      throw new Error('--context expects a non-negative integer');
+    }
+    if (args.report && !REPORT_FORMATS.includes(args.report)) {
+      throw new Error(
+        `Unknown report format: ${args.report} (expected ${REPORT_FORMATS.join(', ')})`,
+      );
+    }
+    if (args.format && !FORMATS.includes(args.format)) {
+      throw new Error(`Unknown format: ${args.format} (expected ${FORMATS.join(', ')})`);
+    }
+    if (args.logFormat) {
+      normalizeLogFormat(args.logFormat);
+      normalizeLogFields(args.logFields);
+      if (args.detect || args.command) {
+        throw new Error('--log-format only applies to redaction');
+      }
+      if (args.format && args.format !== 'text') {
+        throw new Error(`--log-format can't be combined with --format ${args.format}`);
+      }
+    } else if (Object.keys(args.logFields).length > 0) {
+      throw new Error(`--log-field requires --log-format (${LOG_FORMATS.join(', ')})`);
+    }
+    if (args.format === 'csv' || args.format === 'tsv') {
+      normalizeColumns(args.columns);
+    } else if (Object.keys(args.columns).length > 0 || args.noHeader) {
+      throw new Error('--column and --no-header require --format csv or tsv');
+    }
+    if (
+      (args.harHeaders.length > 0 || args.harParams.length > 0) &&
+      resolveFormat(args) !== 'har'
+    ) {
+      throw new Error('--har-header and --har-param require a HAR file or --format har');
+    }
+    compileAllowlist(options.allowlist);
+    getActivePatterns(options);
+    if (options.masking) {
+      createMasker(options.masking, Object.keys(listPatterns(config)));
+    }
+    if (args.baseline && args.baselineCreate) {
+      throw new Error('Use either --baseline or --baseline-create, not both');
+    }
+    if (args.baselinePrune && !args.baseline) {
+      throw new Error('--baseline-prune requires --baseline <file>');
+    }
+    if (
+      options.minConfidence !== undefined &&
+      !(options.minConfidence >= 0 && options.minConfidence <= 1)
+    ) {
+      throw new Error('--min-confidence expects a number between 0 and 1');
+    }
+    if (args.failOn && !SEVERITIES.includes(args.failOn)) {
+      throw new Error(`Unknown severity: ${args.failOn} (expected ${SEVERITIES.join(', ')})`);
+    }
+    if (Number.isNaN(args.maxSize)) {
+      throw new Error('--max-size expects a size such as 500k or 10m');
+    }
+    if (args.command === 'serve') {
+      if (!Number.isInteger(args.port ?? 0) || args.port < 0 || args.port > 65535) {
+        throw new Error('--port expects a port number (0-65535)');
+      }
+      if (Number.isNaN(args.maxBody) || args.maxBody === 0) {
+        throw new Error('--max-body expects a size such as 512k or 10m');
+      }
+      if (args.vault) {
+        throw new Error("serve doesn't support --vault");
+      }
+    } else if (args.host || args.port !== null || args.maxBody !== null || args.tokenFile) {
+      throw new Error('--host, --port, --max-body and --token-file require serve');
+    }
+    if (args.pseudonymize) {
+      options.pseudonymize = args.keyFile ? { key: readKeyFile(args.keyFile) } : true;
+    }
+    if (args.vault) {
+      options.vault = { file: args.vault, key: loadVaultKey({ keyFile: args.vaultKeyFile }) };
+    } else if (args.command === 'restore') {
+      throw new Error('restore requires --vault <file>');
+    }
+  } catch (err) {
+    console.error(`Error: ${err.message}`);
+    process.exit(1);
+  }
+
+  if (args.command === 'install-hook') {
+    try {
+      const hookFile = installHook({ force: args.force });
+      if (!args.quiet) {
+        console.error(`✅ Installed pre-commit hook: ${hookFile}`);
+      }
+    } catch (err) {
+      const hint = /already exists/.test(err.message) ? ' (use --force to replace it)' : '';
+      console.error(`Error: ${err.message}${hint}`);
+      process.exit(1);
+    }
+    process.exit(0);
+  }
+
+  if (args.command === 'serve') {
+    try {
+      await runServe(args, options);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    return;
+  }
+
+  if (args.command === 'scan' || args.command === 'git') {
+    let found;
+    try {
+      found = args.command === 'scan' ? runScan(args, options) : runGit(args, options);
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    process.exit(found ? 1 : 0);
+  }
+
+  // Redaction mode streams, so multi-GB files and endless pipes work
+  if (!args.detect && !args.command) {
+    try {
+      const format = resolveFormat(args);
+      const stats =
+        format === 'json' || format === 'har' || CONFIG_FORMATS.includes(format)
+          ? await redactWholeInput(args, format, options)
+          : await redactStreamed(args, options);
+      if (args.output && !args.quiet) {
+        console.error(`✅ Written to ${args.output}`);
+      }
+      if (args.stats && !args.quiet) {
+        console.error(formatStats(stats));
+      }
+    } catch (err) {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    }
+    return;
+  }
 
   // Read input
   let input;
@@ -234,29 +1338,44 @@ async function main() {
 
   // Process
   try {
-    if (args.detect) {
-      // Detection mode
-      const results = detect(input, options);
-      console.log(formatDetectionResults(results));
-      process.exit(results.hasSensitiveData ? 1 : 0);
+    if (args.command === 'explain') {
+      console.log(formatExplanation(explain(input, options)));
+    } else if (args.command === 'restore') {
+      const result = restore(input, { vault: options.vault, stats: true });
+      writeOutput(result.text, args);
+      if (args.stats && !args.quiet) {
+        console.error(`\n🔓 Restored ${result.stats.total} item(s)`);
+      }
     } else {
-      // Redaction mode
-      const result = redact(input, options);
-
-      // Output redacted text
-      if (args.output) {
-        fs.writeFileSync(args.output, result.text);
-        if (!args.quiet) {
-          console.error(`✅ Written to ${args.output}`);
-        }
-      } else {
-        process.stdout.write(result.text);
+      // Detection mode
+      const applied = applyBaseline(
+        [{ file: args.file || STDIN_NAME, results: detect(input, options) }],
+        args,
+      );
+      if (!applied) {
+        process.exit(0);
       }
+      const { entries } = applied;
+      const { results } = entries[0];
+      const reportFormat = resolveReportFormat(args);
 
-      // Show stats if requested
-      if (args.stats && !args.quiet) {
-        console.error(formatStats(result.stats));
+      if (reportFormat) {
+        const report = formatReport(reportFormat, entries, activeRules(options));
+        if (args.reportFile) {
+          fs.writeFileSync(args.reportFile, report);
+          if (!args.quiet) {
+            console.error(formatDetectionResults(results));
+          }
+        } else {
+          process.stdout.write(report);
+        }
+      } else {
+        console.log(formatDetectionResults(results));
+        if (args.context !== null && results.hasSensitiveData) {
+          console.log(formatContext(input, results.findings, args.context, args.file));
+        }
       }
+      process.exit(failsRun(results.findings, options.failOn) ? 1 : 0);
     }
   } catch (err) {
     console.error(`Error: ${err.message}`);
@@ -272,4 +1391,15 @@ if (require.main === module) {
   });
 }
 
-module.exports = { parseArgs, main };
+module.exports = {
+  parseArgs,
+  parseSize,
+  buildOptions,
+  failsRun,
+  formatContext,
+  formatExplanation,
+  formatScanResults,
+  resolveReportFormat,
+  resolveFormat,
+  main,
+};
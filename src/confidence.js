@@ -0,0 +1,120 @@
+/**
+ * redakt - Severity and confidence
+ * Severity says how much harm a leaked value of a pattern can do; confidence
+ * how likely a match is to be a real value rather than a lookalike. A PEM
+ * private key is critical and certain, while a bare 40-character string
+ * matching awsSecret is critical but a guess.
+ *
+ * Patterns declare a base `confidence` (0-1), raised for each match that
+ * passes the pattern's validator (checksums) and for each one preceded on
+ * its line by one of the pattern's `context` keywords ("card", "ssn:").
+ */
+
+/**
+ * Severity levels, lowest first
+ */
+const SEVERITIES = ['low', 'medium', 'high', 'critical'];
+
+/**
+ * Severity of patterns that don't declare one
+ */
+const DEFAULT_SEVERITY = 'medium';
+
+/**
+ * Base confidence of patterns that don't declare one
+ */
+const DEFAULT_CONFIDENCE = 0.5;
+
+/**
+ * Added when a match passes the pattern's validator
+ */
+const VALIDATOR_BOOST = 0.2;
+
+/**
+ * Added when a context keyword precedes the match
+ */
+const CONTEXT_BOOST = 0.2;
+
+/**
+ * Characters before a match searched for context keywords
+ */
+const CONTEXT_WINDOW = 40;
+
+/**
+ * Get a pattern's severity
+ * @param {Object} pattern - Pattern definition
+ * @returns {string} One of SEVERITIES
+ */
+function severityOf(pattern) {
+  return pattern.severity || DEFAULT_SEVERITY;
+}
+
+/**
+ * Check whether a severity is at least as high as another
+ * @param {string} severity
+ * @param {string} threshold
+ * @returns {boolean}
+ */
+function meetsSeverity(severity, threshold) {
+  return SEVERITIES.indexOf(severity) >= SEVERITIES.indexOf(threshold);
+}
+
+/**
+ * Validate a severity name
+ * @param {string} severity
+ * @returns {string} The severity
+ */
+function normalizeSeverity(severity) {
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Unknown severity: ${severity} (expected ${SEVERITIES.join(', ')})`);
+  }
+  return severity;
+}
+
+/**
+ * Validate a confidence value
+ * @param {number} confidence
+ * @param {string} [name] - What the value is, for error messages
+ * @returns {number} The confidence
+ */
+function normalizeConfidence(confidence, name = 'Confidence') {
+  if (typeof confidence !== 'number' || !(confidence >= 0 && confidence <= 1)) {
+    throw new Error(`${name} must be a number between 0 and 1`);
+  }
+  return confidence;
+}
+
+/**
+ * Score how likely a match is to be a real value
+ * @param {Object} pattern - Pattern definition
+ * @param {string} value - Matched text
+ * @param {string} text - Whole input (for context keywords)
+ * @param {number} start - Offset of the match in text
+ * @returns {number} Confidence between 0 and 1, to two decimals
+ */
+function scoreConfidence(pattern, value, text, start) {
+  let confidence = pattern.confidence ?? DEFAULT_CONFIDENCE;
+  if (typeof pattern.validate === 'function' && pattern.validate(value)) {
+    confidence += VALIDATOR_BOOST;
+  }
+  if (pattern.context) {
+    const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+    const before = text.slice(Math.max(lineStart, start - CONTEXT_WINDOW), start);
+    pattern.context.lastIndex = 0;
+    if (pattern.context.test(before)) {
+      confidence += CONTEXT_BOOST;
+    }
+  }
+  return Math.min(1, Math.round(confidence * 100) / 100);
+}
+
+module.exports = {
+  SEVERITIES,
+  DEFAULT_SEVERITY,
+  DEFAULT_CONFIDENCE,
+  severityOf,
+  meetsSeverity,
+  normalizeSeverity,
+  normalizeConfidence,
+  scoreConfidence,
+};
@@ -0,0 +1,335 @@
+/**
+ * redakt - Configuration file support
+ * Loads .redaktrc / redakt.config.json files with user-defined patterns,
+ * default include/exclude lists, placeholder overrides, masking strategies and
+ * entropy thresholds, confidence and severity thresholds
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { patterns: builtinPatterns } = require('./patterns');
+const { validators } = require('./validators');
+const { compileAllowlist } = require('./suppress');
+const { normalizeMasking } = require('./masking');
+const { normalizeEntropy } = require('./entropy');
+const { getLocalePatterns } = require('./locales');
+const { normalizeSeverity, normalizeConfidence } = require('./confidence');
+
+/**
+ * File names searched for, in order, in each directory
+ */
+const CONFIG_FILENAMES = ['.redaktrc', '.redaktrc.json', 'redakt.config.json'];
+
+/**
+ * Priority given to user-defined patterns that don't declare one
+ * (runs after the built-in patterns)
+ */
+const DEFAULT_CUSTOM_PRIORITY = 100;
+
+/**
+ * User-defined pattern as written in a config file
+ * @typedef {Object} PatternConfig
+ * @property {string} regex - Regular expression source
+ * @property {string} [flags] - Regex flags ("g" is always added)
+ * @property {string} [placeholder] - Replacement text (defaults to [NAME])
+ * @property {string} [description] - Human-readable description
+ * @property {number} [priority] - Wins over overlapping matches when lower (default 100)
+ * @property {boolean} [default] - Enabled without --include/--all (default true)
+ * @property {string} [validate] - Name of a built-in validator (luhn, ssn, iban, sin,
+ *   deTaxId, verhoeff, cpf, cnpj, tokenChecksum) applied with strictValidation
+ * @property {string} [severity] - low, medium (default), high or critical
+ * @property {number} [confidence] - Base confidence of matches, 0-1 (default 0.5)
+ * @property {string} [context] - Regex source of keywords that raise confidence when
+ *   they precede a match on its line (case-insensitive)
+ */
+
+/**
+ * Normalized configuration, usable directly as redact()/detect() options
+ * @typedef {Object} RedaktConfig
+ * @property {string} [source] - Path of the file the config was loaded from
+ * @property {string[]} [include] - Default patterns to include
+ * @property {string[]} [exclude] - Default patterns to exclude
+ * @property {boolean} [all] - Enable all patterns
+ * @property {string[]} [locales] - Locale packs to enable (de, gb, ca, in, br)
+ * @property {boolean} [strictValidation] - Apply pattern validators
+ * @property {Object.<string, Object>} [patterns] - Compiled user-defined patterns
+ * @property {Object.<string, string>} [placeholders] - Placeholder overrides by pattern name
+ * @property {Object.<string, string>} [masking] - Masking strategies by pattern name
+ *   ("default" applies to the rest); a single strategy is stored as {default: strategy}
+ * @property {import('./entropy').EntropyThresholds} [entropy] - Entropy thresholds for
+ *   secretAssignment, with defaults filled in
+ * @property {Array<string|Object>} [allowlist] - Values never redacted or reported: exact
+ *   strings, or {value, pattern} / {regex, flags, pattern} objects
+ * @property {boolean} [inlineIgnore] - Honour redakt:ignore comments
+ * @property {number} [minConfidence] - Leave out findings with a lower confidence (0-1)
+ * @property {string} [failOn] - Lowest severity that fails a CLI detection run
+ */
+
+/**
+ * Search for a config file starting at a directory and walking up to the root
+ * @param {string} [startDir] - Directory to start from (defaults to cwd)
+ * @returns {string|null} Path to the config file, or null if none found
+ */
+function findConfig(startDir = process.cwd()) {
+  let dir = path.resolve(startDir);
+
+  for (;;) {
+    for (const name of CONFIG_FILENAMES) {
+      const candidate = path.join(dir, name);
+      if (fs.existsSync(candidate) && fs.statSync(candidate).isFile()) {
+        return candidate;
+      }
+    }
+
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Load and normalize a config file
+ * @param {string} [filePath] - Config file path (searched for from cwd if omitted)
+ * @returns {RedaktConfig} Normalized config ({} if no file was found)
+ */
+function loadConfig(filePath) {
+  const source = filePath || findConfig();
+  if (!source) {
+    return {};
+  }
+
+  if (!fs.existsSync(source)) {
+    throw new Error(`Config file not found: ${source}`);
+  }
+
+  let raw;
+  try {
+    raw = JSON.parse(fs.readFileSync(source, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid config ${source}: ${err.message}`);
+  }
+
+  return normalizeConfig(raw, source);
+}
+
+/**
+ * Validate a parsed config object and compile its patterns
+ * @param {Object} raw - Parsed config
+ * @param {string} [source] - Where the config came from (for error messages)
+ * @returns {RedaktConfig} Normalized config
+ */
+function normalizeConfig(raw, source = 'config') {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`Invalid config ${source}: expected a JSON object`);
+  }
+
+  const config = { source };
+
+  for (const key of ['include', 'exclude']) {
+    if (raw[key] !== undefined) {
+      if (!Array.isArray(raw[key]) || raw[key].some((p) => typeof p !== 'string')) {
+        throw new Error(`Invalid config ${source}: "${key}" must be an array of pattern names`);
+      }
+      config[key] = [...raw[key]];
+    }
+  }
+
+  if (raw.all !== undefined) {
+    config.all = Boolean(raw.all);
+  }
+
+  if (raw.locales !== undefined) {
+    if (!Array.isArray(raw.locales) || raw.locales.some((code) => typeof code !== 'string')) {
+      throw new Error(`Invalid config ${source}: "locales" must be an array of locale codes`);
+    }
+    try {
+      getLocalePatterns(raw.locales);
+    } catch (err) {
+      throw new Error(`Invalid config ${source}: ${err.message}`);
+    }
+    config.locales = [...raw.locales];
+  }
+
+  if (raw.strictValidation !== undefined) {
+    config.strictValidation = Boolean(raw.strictValidation);
+  }
+
+  if (raw.inlineIgnore !== undefined) {
+    config.inlineIgnore = Boolean(raw.inlineIgnore);
+  }
+
+  if (raw.minConfidence !== undefined) {
+    try {
+      config.minConfidence = normalizeConfidence(raw.minConfidence, '"minConfidence"');
+    } catch (err) {
+      throw new Error(`Invalid config ${source}: ${err.message}`);
+    }
+  }
+
+  if (raw.failOn !== undefined) {
+    try {
+      config.failOn = normalizeSeverity(raw.failOn);
+    } catch (err) {
+      throw new Error(`Invalid config ${source}: "failOn": ${err.message}`);
+    }
+  }
+
+  if (raw.allowlist !== undefined) {
+    if (!Array.isArray(raw.allowlist)) {
+      throw new Error(`Invalid config ${source}: "allowlist" must be an array`);
+    }
+    try {
+      compileAllowlist(raw.allowlist);
+    } catch (err) {
+      throw new Error(`Invalid config ${source}: ${err.message}`);
+    }
+    config.allowlist = [...raw.allowlist];
+  }
+
+  if (raw.patterns !== undefined) {
+    if (!raw.patterns || typeof raw.patterns !== 'object' || Array.isArray(raw.patterns)) {
+      throw new Error(`Invalid config ${source}: "patterns" must be an object`);
+    }
+    config.patterns = {};
+    for (const [name, def] of Object.entries(raw.patterns)) {
+      if (builtinPatterns[name]) {
+        throw new Error(
+          `Invalid config ${source}: "${name}" is a built-in pattern (use "placeholders" to change its output)`,
+        );
+      }
+      config.patterns[name] = compilePattern(name, def, source);
+    }
+  }
+
+  if (raw.placeholders !== undefined) {
+    if (!raw.placeholders || typeof raw.placeholders !== 'object') {
+      throw new Error(`Invalid config ${source}: "placeholders" must be an object`);
+    }
+    for (const [name, value] of Object.entries(raw.placeholders)) {
+      if (typeof value !== 'string') {
+        throw new Error(`Invalid config ${source}: placeholder for "${name}" must be a string`);
+      }
+    }
+    config.placeholders = { ...raw.placeholders };
+  }
+
+  if (raw.masking !== undefined) {
+    try {
+      config.masking = normalizeMasking(raw.masking);
+    } catch (err) {
+      throw new Error(`Invalid config ${source}: ${err.message}`);
+    }
+  }
+
+  if (raw.entropy !== undefined) {
+    try {
+      config.entropy = normalizeEntropy(raw.entropy);
+    } catch (err) {
+      throw new Error(`Invalid config ${source}: ${err.message}`);
+    }
+  }
+
+  return config;
+}
+
+/**
+ * Turn a user-defined pattern into the same shape as the built-in patterns
+ * @param {string} name - Pattern name
+ * @param {PatternConfig} def - Pattern definition from the config file
+ * @param {string} [source] - Where the definition came from (for error messages)
+ * @returns {Object} Pattern with regex, placeholder, replace, description, priority (and validate)
+ */
+function compilePattern(name, def, source = 'config') {
+  if (!def || typeof def !== 'object' || typeof def.regex !== 'string' || !def.regex) {
+    throw new Error(`Invalid config ${source}: pattern "${name}" needs a "regex" string`);
+  }
+
+  let flags = def.flags || '';
+  if (!flags.includes('g')) {
+    flags += 'g';
+  }
+
+  let regex;
+  try {
+    regex = new RegExp(def.regex, flags);
+  } catch (err) {
+    throw new Error(`Invalid config ${source}: pattern "${name}": ${err.message}`);
+  }
+
+  // A pattern that matches the empty string would insert placeholders everywhere
+  if (new RegExp(def.regex, flags.replace('g', '')).test('')) {
+    throw new Error(`Invalid config ${source}: pattern "${name}" matches empty text`);
+  }
+
+  if (def.priority !== undefined && typeof def.priority !== 'number') {
+    throw new Error(`Invalid config ${source}: pattern "${name}" priority must be a number`);
+  }
+
+  if (def.validate !== undefined && !Object.hasOwn(validators, def.validate)) {
+    throw new Error(
+      `Invalid config ${source}: pattern "${name}" has unknown validator "${def.validate}" (expected ${Object.keys(validators).join(', ')})`,
+    );
+  }
+
+  let context;
+  try {
+    if (def.severity !== undefined) {
+      normalizeSeverity(def.severity);
+    }
+    if (def.confidence !== undefined) {
+      normalizeConfidence(def.confidence, 'confidence');
+    }
+    if (def.context !== undefined) {
+      context = new RegExp(def.context, 'i');
+    }
+  } catch (err) {
+    throw new Error(`Invalid config ${source}: pattern "${name}": ${err.message}`);
+  }
+
+  const pattern = {
+    regex,
+    placeholder: def.placeholder || `[${toPlaceholderLabel(name)}]`,
+    replace: (match, placeholder) => placeholder,
+    description: def.description || `Custom pattern: ${name}`,
+    priority: def.priority !== undefined ? def.priority : DEFAULT_CUSTOM_PRIORITY,
+    isDefault: def.default !== false,
+    custom: true,
+  };
+
+  if (def.validate !== undefined) {
+    pattern.validate = validators[def.validate];
+  }
+  if (def.severity !== undefined) {
+    pattern.severity = def.severity;
+  }
+  if (def.confidence !== undefined) {
+    pattern.confidence = def.confidence;
+  }
+  if (context) {
+    pattern.context = context;
+  }
+
+  return pattern;
+}
+
+/**
+ * Derive a placeholder label from a pattern name (employeeId -> EMPLOYEE_ID)
+ * @param {string} name - Pattern name
+ * @returns {string} Upper snake case label
+ */
+function toPlaceholderLabel(name) {
+  return name
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .toUpperCase();
+}
+
+module.exports = {
+  CONFIG_FILENAMES,
+  findConfig,
+  loadConfig,
+  normalizeConfig,
+  compilePattern,
+};
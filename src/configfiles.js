@@ -0,0 +1,458 @@
+/**
+ * redakt - Config file redaction
+ * Key/value aware handlers for .env, YAML, INI/TOML and Java .properties
+ * files. Values under sensitive keys (password, secret, token, ...) are
+ * replaced whole, like in redactObject(); every other value, comment and
+ * line goes through the text patterns. The files are processed line by line
+ * and only values change, so comments, ordering and layout survive. Values
+ * spanning lines are scanned whole, so a PEM key in a block scalar or a
+ * multi-line quoted value becomes one placeholder line.
+ *
+ * A sensitive YAML key without an inline value makes everything nested
+ * under it sensitive; so does a sensitive INI/TOML section name.
+ */
+
+const path = require('path');
+const { createRedactor, shareRedactState, mergeStats } = require('./redakt');
+const { createKeyMatcher, KEY_PLACEHOLDER } = require('./structured');
+
+/**
+ * Supported config formats (toml is handled as ini)
+ */
+const CONFIG_FORMATS = ['env', 'yaml', 'ini', 'toml', 'properties'];
+
+/**
+ * Config formats by file extension
+ */
+const EXTENSIONS = {
+  '.env': 'env',
+  '.yaml': 'yaml',
+  '.yml': 'yaml',
+  '.ini': 'ini',
+  '.cfg': 'ini',
+  '.toml': 'toml',
+  '.properties': 'properties',
+};
+
+/**
+ * Config redaction options (all redact() options are accepted too)
+ * @typedef {Object} RedactConfigOptions
+ * @property {string} format - env, yaml, ini, toml or properties
+ * @property {Array<string|RegExp>} [sensitiveKeys] - Key rules (see structured.js;
+ *   defaults to DEFAULT_SENSITIVE_KEYS)
+ * @property {string} [keyPlaceholder] - Replacement for sensitive values (default [REDACTED])
+ */
+
+/**
+ * Where a line's value is and how to treat it
+ * @typedef {Object} ValueSpan
+ * @property {number} start - Offset of the value in the line (inside any quotes)
+ * @property {number} end - Offset after the value
+ * @property {boolean} sensitive - Whether to replace the value whole
+ * @property {boolean} [continued] - Whether the value started on an earlier line
+ * @property {boolean} [bare] - Whether the value is unquoted
+ */
+
+/**
+ * Pick a config format from a file name
+ * @param {string} fileName
+ * @returns {string|null} Format, or null if the name doesn't say
+ */
+function configFormatOf(fileName) {
+  const base = path.basename(fileName).toLowerCase();
+  // .env, .env.local, production.env
+  if (base === '.env' || base.startsWith('.env.')) {
+    return 'env';
+  }
+  return EXTENSIONS[path.extname(base)] || null;
+}
+
+/**
+ * Validate a config format name
+ * @param {string} format
+ * @returns {string} The format
+ */
+function normalizeConfigFormat(format) {
+  if (!CONFIG_FORMATS.includes(format)) {
+    throw new Error(`Unknown config format: ${format} (expected ${CONFIG_FORMATS.join(', ')})`);
+  }
+  return format;
+}
+
+/**
+ * Find the closing quote of a quoted value, or -1 if it continues on the next line
+ * Backslash escapes apply in double quotes; a doubled quote escapes in YAML single quotes.
+ */
+function closingQuote(line, from, quote, doubled = false) {
+  for (let i = from; i < line.length; i++) {
+    if (quote === '"' && line[i] === '\\') {
+      i++;
+    } else if (line[i] === quote) {
+      if (doubled && line[i + 1] === quote) {
+        i++;
+      } else {
+        return i;
+      }
+    }
+  }
+  return -1;
+}
+
+/**
+ * Locate the value starting at an offset: inside its quotes if quoted,
+ * otherwise up to an inline comment (a comment character after whitespace)
+ * @param {string} line
+ * @param {number} from - Offset where the value starts
+ * @param {Object} syntax
+ * @param {string} syntax.comments - Characters starting an inline comment
+ * @param {boolean} [syntax.triple] - Whether """ and ''' strings exist (TOML)
+ * @param {boolean} [syntax.doubled] - Whether '' escapes a single quote (YAML)
+ * @returns {{start: number, end: number, bare: boolean, open: string|null}} Span;
+ *   open is the closing delimiter still to come for values that continue
+ */
+function locateValue(line, from, syntax) {
+  const quote = line[from];
+  if (quote === '"' || quote === "'") {
+    const triple = quote.repeat(3);
+    if (syntax.triple && line.startsWith(triple, from)) {
+      const close = line.indexOf(triple, from + 3);
+      return close === -1
+        ? { start: from + 3, end: line.length, bare: false, open: triple }
+        : { start: from + 3, end: close, bare: false, open: null };
+    }
+    const close = closingQuote(line, from + 1, quote, syntax.doubled);
+    return close === -1
+      ? { start: from + 1, end: line.length, bare: false, open: quote }
+      : { start: from + 1, end: close, bare: false, open: null };
+  }
+
+  let end = line.length;
+  const comment = new RegExp(`\\s[${syntax.comments}]`).exec(line.slice(from));
+  if (comment) {
+    end = from + comment.index;
+  }
+  while (end > from && /\s/.test(line[end - 1])) {
+    end--;
+  }
+  return { start: from, end, bare: true, open: null };
+}
+
+/**
+ * Continue a quoted value opened on an earlier line
+ * @returns {{span: ValueSpan, open: string|null}}
+ */
+function continueQuoted(line, open, sensitive, syntax) {
+  const start = line.length - line.trimStart().length;
+  const close =
+    open.length === 3 ? line.indexOf(open, start) : closingQuote(line, start, open, syntax.doubled);
+  return {
+    span: { start, end: close === -1 ? line.length : close, sensitive, continued: true },
+    open: close === -1 ? open : null,
+  };
+}
+
+/**
+ * Strip the quotes from a quoted key
+ */
+function unquoteKey(key) {
+  return /^(["']).*\1$/.test(key) ? key.slice(1, -1) : key;
+}
+
+/**
+ * .env files: KEY=value, optionally after "export"
+ */
+function createEnvParser(isSensitiveKey) {
+  const syntax = { comments: '#' };
+  let pending = null;
+
+  return (line) => {
+    if (pending) {
+      const { span, open } = continueQuoted(line, pending.open, pending.sensitive, syntax);
+      pending = open ? { ...pending, open } : null;
+      return span;
+    }
+    const m = /^(\s*(?:export\s+)?)([A-Za-z_][\w.-]*)\s*=\s*/.exec(line);
+    if (!m || m[0].length === line.length) {
+      return null;
+    }
+    const sensitive = isSensitiveKey(m[2]);
+    const { open, ...span } = locateValue(line, m[0].length, syntax);
+    if (open) {
+      pending = { open, sensitive };
+    }
+    return { ...span, sensitive };
+  };
+}
+
+/**
+ * Java .properties files: key=value, key: value or key value, with
+ * backslash line continuations
+ */
+function createPropertiesParser(isSensitiveKey) {
+  let pending = null;
+  // An odd number of trailing backslashes continues the value
+  const continues = (line) => /(?:^|[^\\])(?:\\\\)*\\$/.test(line);
+
+  return (line) => {
+    if (pending) {
+      const sensitive = pending.sensitive;
+      const start = line.length - line.trimStart().length;
+      pending = continues(line) ? pending : null;
+      return { start, end: pending ? line.length - 1 : line.length, sensitive, continued: true };
+    }
+    if (/^\s*[#!]/.test(line)) {
+      return null;
+    }
+    const m = /^\s*((?:[^\s:=\\]|\\.)+)(?:\s*[:=]\s*|\s+)/.exec(line);
+    if (!m) {
+      return null;
+    }
+    const sensitive = isSensitiveKey(m[1].replace(/\\(.)/g, '$1'));
+    if (continues(line)) {
+      pending = { sensitive };
+      return { start: m[0].length, end: line.length - 1, sensitive };
+    }
+    return { start: m[0].length, end: line.length, sensitive };
+  };
+}
+
+/**
+ * INI and TOML files: [section] headers and key = value or key: value,
+ * with ; and # comments and TOML's multi-line strings
+ */
+function createIniParser(isSensitiveKey) {
+  const syntax = { comments: ';#', triple: true };
+  let pending = null;
+  let sensitiveSection = false;
+
+  return (line) => {
+    if (pending) {
+      const { span, open } = continueQuoted(line, pending.open, pending.sensitive, syntax);
+      pending = open ? { ...pending, open } : null;
+      return span;
+    }
+    const section = /^\s*\[\[?([^\]]+)\]\]?\s*(?:[;#].*)?$/.exec(line);
+    if (section) {
+      sensitiveSection = section[1].split('.').some((name) => isSensitiveKey(unquoteKey(name)));
+      return null;
+    }
+    const m = /^\s*("[^"]*"|'[^']*'|[^\s[;#=:"'][^=:]*?)\s*[=:]\s*/.exec(line);
+    if (!m || m[0].length === line.length) {
+      return null;
+    }
+    const sensitive = sensitiveSection || isSensitiveKey(unquoteKey(m[1]));
+    const { open, ...span } = locateValue(line, m[0].length, syntax);
+    if (open) {
+      pending = { open, sensitive };
+    }
+    return { ...span, sensitive };
+  };
+}
+
+/**
+ * YAML files: key: value mappings, - item sequences, quoted and block
+ * scalars, tracked by indentation
+ */
+function createYamlParser(isSensitiveKey) {
+  const syntax = { comments: '#', doubled: true };
+  let pending = null;
+  // Block scalar (| or >) being read: lines indented past its key belong to it
+  let block = null;
+  // Sensitive key without an inline value: everything nested under it
+  let scope = null;
+
+  return (line) => {
+    const indent = line.length - line.trimStart().length;
+    const blank = indent === line.length;
+
+    if (pending) {
+      const { span, open } = continueQuoted(line, pending.open, pending.sensitive, syntax);
+      pending = open ? { ...pending, open } : null;
+      return span;
+    }
+    if (block) {
+      if (blank) {
+        return null;
+      }
+      if (indent > block.indent) {
+        const end = line.trimEnd().length;
+        return { start: indent, end, sensitive: block.sensitive, continued: true };
+      }
+      block = null;
+    }
+    if (blank || /^\s*#/.test(line) || /^(?:---|\.\.\.)(?:\s|$)/.test(line)) {
+      return null;
+    }
+    if (scope && !(indent > scope.indent || (indent === scope.indent && line[indent] === '-'))) {
+      scope = null;
+    }
+    const inScope = scope !== null;
+
+    const m = /^(\s*(?:-\s+)*)("(?:[^"\\]|\\.)*"|'(?:[^']|'')*'|[^\s"'#][^#]*?)\s*:(?:\s+|$)/.exec(
+      line,
+    );
+    let from;
+    let sensitive = inScope;
+    let keyIndent = indent;
+    if (m) {
+      keyIndent = m[1].length;
+      sensitive = inScope || isSensitiveKey(unquoteKey(m[2]));
+      from = m[0].length;
+    } else {
+      const item = /^\s*(?:-\s+)+/.exec(line);
+      // A plain line inside a sensitive scope continues a multi-line scalar
+      from = item ? item[0].length : inScope ? indent : null;
+    }
+    if (from === null) {
+      return null;
+    }
+
+    // Skip anchors and tags (&name, !!str)
+    const decorated = /^(?:[&!]\S*\s+)+/.exec(line.slice(from));
+    if (decorated) {
+      from += decorated[0].length;
+    }
+    if (from >= line.length || line[from] === '#') {
+      if (m && sensitive && !scope) {
+        scope = { indent: keyIndent };
+      }
+      return null;
+    }
+    if (/^[|>][-+0-9]*\s*(?:#.*)?$/.test(line.slice(from))) {
+      block = { indent: keyIndent, sensitive };
+      return { start: from, end: from, sensitive };
+    }
+
+    const { open, ...span } = locateValue(line, from, syntax);
+    if (open) {
+      pending = { open, sensitive };
+    }
+    return { ...span, sensitive };
+  };
+}
+
+const PARSERS = {
+  env: createEnvParser,
+  yaml: createYamlParser,
+  ini: createIniParser,
+  toml: createIniParser,
+  properties: createPropertiesParser,
+};
+
+/**
+ * Quote a YAML plain scalar if it would otherwise read as something else
+ * (a placeholder like [EMAIL] reads as a sequence)
+ */
+function yamlScalar(value) {
+  return /^[[\]{}*&!|>'"%@`#,?:-]|: | #/.test(value)
+    ? `"${value.replace(/["\\]/g, '\\$&')}"`
+    : value;
+}
+
+/**
+ * Redact a config file by its key/value structure
+ *
+ * @example
+ * redactConfig('# db\nDB_HOST=10.0.0.5\nDB_PASSWORD="hunter2" # rotate\n', { format: 'env' }).text;
+ * // '# db\nDB_HOST=[IPv4]\nDB_PASSWORD="[REDACTED]" # rotate\n'
+ *
+ * @param {string} text - File contents
+ * @param {RedactConfigOptions} options
+ * @returns {{text: string, stats?: Object}} Redacted text and optional stats
+ */
+function redactConfig(text, options = {}) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Input must be a string');
+  }
+  const { format, sensitiveKeys, keyPlaceholder = KEY_PLACEHOLDER } = options;
+  const parse = PARSERS[normalizeConfigFormat(format)](createKeyMatcher(sensitiveKeys));
+  const shared = shareRedactState(options);
+  const redactValue = createRedactor({ ...shared.options, stats: true });
+  const stats = { total: 0, byType: {} };
+  // Unquoted values must stay valid scalars in YAML and TOML
+  const quoteBare =
+    format === 'yaml'
+      ? yamlScalar
+      : format === 'toml'
+        ? (value) => `"${value.replace(/["\\]/g, '\\$&')}"`
+        : (value) => value;
+
+  const scan = (value) => {
+    if (!value) {
+      return value;
+    }
+    const result = redactValue(value);
+    mergeStats(stats, result.stats);
+    return result.text;
+  };
+
+  const lines = text.split('\n').map((line) => {
+    const eol = line.endsWith('\r') ? '\r' : '';
+    const content = eol ? line.slice(0, -1) : line;
+    const span = parse(content);
+    return { content, eol, span, value: span ? content.slice(span.start, span.end) : '' };
+  });
+
+  // Lines of one value (a block scalar, a quoted or continued value) are grouped
+  const groups = [];
+  for (const line of lines) {
+    if (line.span && line.span.continued && groups.length > 0) {
+      groups[groups.length - 1].push(line);
+    } else if (line.span) {
+      groups.push([line]);
+    }
+  }
+
+  for (const group of groups) {
+    const { sensitive, bare } = group[0].span;
+    if (sensitive) {
+      // Counted once, however many lines the value spans
+      for (const line of group) {
+        line.replaced = line.value && (bare ? quoteBare(keyPlaceholder) : keyPlaceholder);
+      }
+      if (group.some((line) => line.value)) {
+        mergeStats(stats, { total: 1, byType: { sensitiveKey: 1 } });
+      }
+    } else if (group.length === 1) {
+      const [line] = group;
+      line.replaced = scan(line.value);
+      if (bare && format === 'yaml' && line.replaced !== line.value) {
+        line.replaced = yamlScalar(line.replaced);
+      }
+    } else {
+      // Scanned as one, so patterns spanning lines (PEM keys) match. A match
+      // taking in line breaks leaves fewer pieces than lines: the last piece
+      // goes between the prefix of its first line and the suffix of the
+      // value's last line, and the lines in between are dropped.
+      const pieces = scan(group.map((line) => line.value).join('\n')).split('\n');
+      const last = Math.min(pieces.length, group.length) - 1;
+      const end = group[group.length - 1];
+      group.forEach((line, i) => {
+        line.replaced = i <= last ? pieces[i] : null;
+      });
+      group[last].replaced = pieces.slice(last).join('\n');
+      group[last].suffix = end.content.slice(end.span.end);
+    }
+  }
+
+  const output = lines
+    .filter((line) => line.replaced !== null)
+    .map(({ content, eol, span, value, replaced, suffix }) => {
+      if (!span || (value === '' && !replaced)) {
+        return scan(content) + eol;
+      }
+      const rest = suffix ?? content.slice(span.end);
+      return scan(content.slice(0, span.start)) + replaced + scan(rest) + eol;
+    })
+    .join('\n');
+  shared.finish();
+
+  return options.stats ? { text: output, stats } : { text: output };
+}
+
+module.exports = {
+  CONFIG_FORMATS,
+  configFormatOf,
+  normalizeConfigFormat,
+  redactConfig,
+};
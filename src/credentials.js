@@ -0,0 +1,194 @@
+/**
+ * redakt - SaaS credential pack
+ * Provider-specific token formats (Stripe, OpenAI, Anthropic, Google, Azure,
+ * npm, PyPI, Twilio, SendGrid, Mailgun, Shopify, GitLab, Discord). The
+ * prefixes make them precise enough to be on by default; they're merged into
+ * the built-in patterns and run before the generic secret detectors, so a
+ * token gets its provider's placeholder.
+ */
+
+const validators = require('./validators');
+
+/**
+ * Check that a Discord token's first segment is a base64-encoded numeric user ID
+ */
+function isDiscordToken(token) {
+  const id = Buffer.from(token.slice(0, token.indexOf('.')), 'base64').toString('latin1');
+  return /^\d{17,20}$/.test(id);
+}
+
+/**
+ * Patterns contributed by the credential pack
+ * @type {Object.<string, Object>}
+ */
+const credentialPatterns = {
+  // Google Cloud service account key files - before privateKey, which would
+  // only catch the key inside
+  gcpServiceAccount: {
+    regex: /\{[^{}]*"type"\s*:\s*"service_account"[^{}]*\}/g,
+    placeholder: '[GCP_SERVICE_ACCOUNT]',
+    replace: (match, placeholder) => (match.includes('"private_key"') ? placeholder : match),
+    rejectReason: 'no "private_key" field',
+    description: 'Google Cloud service account JSON keys',
+    severity: 'critical',
+    confidence: 1,
+    priority: 5,
+  },
+
+  // Azure Storage connection strings - only the account key is replaced
+  azureStorageKey: {
+    regex:
+      /\bDefaultEndpointsProtocol=https?;AccountName=[a-z0-9]{3,24};AccountKey=[A-Za-z0-9+/]{86}==/g,
+    placeholder: '[AZURE_STORAGE_KEY]',
+    replace: (match, placeholder) =>
+      match.replace(/AccountKey=[^;]+$/, () => `AccountKey=${placeholder}`),
+    description: 'Azure Storage connection strings (account key)',
+    severity: 'critical',
+    confidence: 1,
+    priority: 25,
+  },
+
+  stripeKey: {
+    regex: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{24,}\b/g,
+    placeholder: '[STRIPE_KEY]',
+    replace: (match, placeholder) => placeholder,
+    description: 'Stripe secret and restricted API keys',
+    severity: 'critical',
+    confidence: 0.9,
+    priority: 30,
+  },
+
+  // Project, service account and admin keys, and legacy keys with the
+  // "T3BlbkFJ" (base64 "OpenAI") marker
+  openaiKey: {
+    regex:
+      /\bsk-(?:proj|svcacct|admin)-[A-Za-z0-9_-]{40,}|\bsk-[A-Za-z0-9]{20}T3BlbkFJ[A-Za-z0-9]{20}\b/g,
+    placeholder: '[OPENAI_KEY]',
+    replace: (match, placeholder) => placeholder,
+    description: 'OpenAI API keys',
+    severity: 'critical',
+    confidence: 0.9,
+    priority: 30,
+  },
+
+  anthropicKey: {
+    regex: /\bsk-ant-(?:api|admin)\d{2}-[A-Za-z0-9_-]{32,}/g,
+    placeholder: '[ANTHROPIC_KEY]',
+    replace: (match, placeholder) => placeholder,
+    description: 'Anthropic API keys',
+    severity: 'critical',
+    confidence: 0.9,
+    priority: 30,
+  },
+
+  googleApiKey: {
+    regex: /\bAIza[0-9A-Za-z_-]{35}(?![0-9A-Za-z_-])/g,
+    placeholder: '[GOOGLE_API_KEY]',
+    replace: (match, placeholder) => placeholder,
+    description: 'Google API keys',
+    severity: 'high',
+    confidence: 0.9,
+    priority: 30,
+  },
+
+  googleOAuthSecret: {
+    regex: /\bGOCSPX-[A-Za-z0-9_-]{28}(?![A-Za-z0-9_-])/g,
+    placeholder: '[GOOGLE_OAUTH_SECRET]',
+    replace: (match, placeholder) => placeholder,
+    description: 'Google OAuth client secrets',
+    severity: 'critical',
+    confidence: 0.9,
+    priority: 30,
+  },
+
+  // Same format as GitHub tokens, including the CRC-32 suffix
+  npmToken: {
+    regex: /\bnpm_[A-Za-z0-9]{36}\b/g,
+    placeholder: '[NPM_TOKEN]',
+    replace: (match, placeholder) => placeholder,
+    validate: validators.tokenChecksum,
+    description: 'npm access tokens',
+    severity: 'critical',
+    confidence: 0.8,
+    priority: 30,
+  },
+
+  // Macaroons issued by pypi.org ("AgEIcHlwaS5vcmc" is its encoded location)
+  pypiToken: {
+    regex: /\bpypi-AgEIcHlwaS5vcmc[A-Za-z0-9_-]{50,}/g,
+    placeholder: '[PYPI_TOKEN]',
+    replace: (match, placeholder) => placeholder,
+    description: 'PyPI API tokens',
+    severity: 'critical',
+    confidence: 0.9,
+    priority: 30,
+  },
+
+  twilioKey: {
+    regex: /\bSK[0-9a-f]{32}\b/g,
+    placeholder: '[TWILIO_KEY]',
+    replace: (match, placeholder) => placeholder,
+    description: 'Twilio API key SIDs',
+    severity: 'high',
+    confidence: 0.7,
+    context: /twilio/i,
+    priority: 32,
+  },
+
+  sendgridKey: {
+    regex: /\bSG\.[A-Za-z0-9_-]{22}\.[A-Za-z0-9_-]{43}(?![A-Za-z0-9_-])/g,
+    placeholder: '[SENDGRID_KEY]',
+    replace: (match, placeholder) => placeholder,
+    description: 'SendGrid API keys',
+    severity: 'critical',
+    confidence: 0.9,
+    priority: 30,
+  },
+
+  mailgunKey: {
+    regex: /\bkey-[0-9a-z]{32}\b|\b[0-9a-f]{32}-[0-9a-f]{8}-[0-9a-f]{8}\b/g,
+    placeholder: '[MAILGUN_KEY]',
+    replace: (match, placeholder) => placeholder,
+    description: 'Mailgun API keys',
+    severity: 'critical',
+    confidence: 0.8,
+    context: /mailgun/i,
+    priority: 32,
+  },
+
+  shopifyToken: {
+    regex: /\bshp(?:at|ca|pa|ss)_[a-fA-F0-9]{32}\b/g,
+    placeholder: '[SHOPIFY_TOKEN]',
+    replace: (match, placeholder) => placeholder,
+    description: 'Shopify access tokens and shared secrets',
+    severity: 'critical',
+    confidence: 0.9,
+    priority: 30,
+  },
+
+  gitlabToken: {
+    regex: /\bgl(?:pat|dt|rt|ptt|oas)-[A-Za-z0-9_-]{20,}(?:\.[A-Za-z0-9_-]+)*/g,
+    placeholder: '[GITLAB_TOKEN]',
+    replace: (match, placeholder) => placeholder,
+    description: 'GitLab personal, deploy and runner tokens',
+    severity: 'critical',
+    confidence: 0.9,
+    priority: 30,
+  },
+
+  // base64(user ID).timestamp.HMAC
+  discordToken: {
+    regex: /\b[MNO][A-Za-z0-9_-]{23,27}\.[A-Za-z0-9_-]{6}\.[A-Za-z0-9_-]{27,38}(?![A-Za-z0-9_-])/g,
+    placeholder: '[DISCORD_TOKEN]',
+    replace: (match, placeholder) => (isDiscordToken(match) ? placeholder : match),
+    rejectReason: 'first part is not a base64-encoded user ID',
+    description: 'Discord bot tokens',
+    severity: 'critical',
+    confidence: 0.9,
+    priority: 32,
+  },
+};
+
+module.exports = {
+  credentialPatterns,
+};
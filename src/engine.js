@@ -0,0 +1,310 @@
+/**
+ * redakt - Match engine
+ * Finds every pattern's matches in the original text, resolves overlaps by
+ * priority and length, and rewrites the text in a single pass. Shared by
+ * redact() and detect() so both see exactly the same matches.
+ */
+
+/**
+ * Priority used for patterns that don't declare one (after everything else)
+ */
+const LAST_PRIORITY = Number.MAX_SAFE_INTEGER;
+
+/**
+ * replacedSpan() result for replacements covering the whole match
+ */
+const WHOLE_MATCH = Object.freeze({ prefix: 0, suffix: 0 });
+
+/**
+ * A pattern prepared for matching
+ * @typedef {Object} MatchRule
+ * @property {string} name - Pattern name
+ * @property {Object} pattern - Pattern definition (see patterns.js)
+ * @property {string} placeholder - Placeholder passed to pattern.replace()
+ */
+
+/**
+ * An accepted match
+ * @typedef {Object} EngineMatch
+ * @property {MatchRule} rule - Rule that matched
+ * @property {number} start - Offset of the first character
+ * @property {number} end - Offset after the last character
+ * @property {string} value - Matched text
+ * @property {number} replaceStart - Start of the part the replacement changes
+ * @property {number} replaceEnd - End of the part the replacement changes. Only this
+ *   span is claimed: a URL match replaces its credentials, so an email in its query
+ *   string is still matched.
+ * @property {string} replacement - pattern.replace(value, placeholder)
+ * @property {string|null} suppressed - "allowlist" or "inline" when the match is let
+ *   through, otherwise null
+ */
+
+/**
+ * Copy a pattern's regex with the global flag, so exec() walks every match
+ */
+function globalRegex(regex) {
+  return new RegExp(regex.source, regex.flags.includes('g') ? regex.flags : `${regex.flags}g`);
+}
+
+/**
+ * Find the part of a match its replacement changes, from where the
+ * placeholder lands in the replacement (the whole match if it can't be told)
+ * @returns {{prefix: number, suffix: number}} Lengths kept unchanged at each end
+ */
+function replacedSpan(value, replacement, placeholder) {
+  if (replacement === placeholder) {
+    return WHOLE_MATCH;
+  }
+  const index = placeholder ? replacement.indexOf(placeholder) : -1;
+  if (index === -1) {
+    return WHOLE_MATCH;
+  }
+  const prefix = replacement.slice(0, index);
+  const suffix = replacement.slice(index + placeholder.length);
+  if (
+    prefix.length + suffix.length <= value.length &&
+    value.startsWith(prefix) &&
+    value.endsWith(suffix)
+  ) {
+    return { prefix: prefix.length, suffix: suffix.length };
+  }
+  return WHOLE_MATCH;
+}
+
+/**
+ * Walk one rule's accepted matches in order
+ * Matches failing validation (with strictValidation) or left unchanged by
+ * pattern.replace() are skipped here so they can't hide other matches.
+ * @param {function(Object, string): void} [onSkip] - Called with each skipped match
+ *   ({rule, start, end, value}) and "invalid" or "rejected"
+ * @returns {{next: Object|null, advance: function(): void}} Cursor at the first match
+ */
+function createCursor(text, rule, order, strictValidation, onSkip = null) {
+  const { pattern, placeholder } = rule;
+  const priority = Number.isFinite(pattern.priority) ? pattern.priority : LAST_PRIORITY;
+  const regex = globalRegex(pattern.regex);
+
+  const cursor = {
+    next: null,
+    advance() {
+      for (let m = regex.exec(text); m; m = regex.exec(text)) {
+        const value = m[0];
+        if (!value) {
+          regex.lastIndex++;
+          continue;
+        }
+        const start = m.index;
+        const end = start + value.length;
+        if (
+          strictValidation &&
+          typeof pattern.validate === 'function' &&
+          !pattern.validate(value)
+        ) {
+          if (onSkip) {
+            onSkip({ rule, start, end, value }, 'invalid');
+          }
+          continue;
+        }
+        const replacement = pattern.replace(value, placeholder);
+        if (replacement === value) {
+          if (onSkip) {
+            onSkip({ rule, start, end, value }, 'rejected');
+          }
+          continue;
+        }
+        const { prefix, suffix } = replacedSpan(value, replacement, placeholder);
+        cursor.next = {
+          rule,
+          start,
+          end,
+          value,
+          replaceStart: start + prefix,
+          replaceEnd: end - suffix,
+          replacement,
+          priority,
+          order,
+        };
+        return;
+      }
+      cursor.next = null;
+    },
+  };
+
+  cursor.advance();
+  return cursor;
+}
+
+/**
+ * Rank candidates: priority (lower first), then length (longer first), then
+ * position and rule order
+ */
+function compareRank(a, b) {
+  return (
+    a.priority - b.priority ||
+    b.end - b.start - (a.end - a.start) ||
+    a.start - b.start ||
+    a.order - b.order
+  );
+}
+
+/**
+ * Pick the matches to keep from a group of overlapping candidates
+ * Candidates are taken in rank order; one whose replaced span overlaps an
+ * already kept one is dropped.
+ * @returns {Array} Kept candidates, ordered by position
+ */
+function resolveCluster(cluster) {
+  const kept = [];
+  for (const candidate of cluster.sort(compareRank)) {
+    if (
+      kept.every(
+        (k) => candidate.replaceEnd <= k.replaceStart || candidate.replaceStart >= k.replaceEnd,
+      )
+    ) {
+      kept.push(candidate);
+    }
+  }
+  return kept.sort((a, b) => a.replaceStart - b.replaceStart);
+}
+
+/**
+ * Iterate over the matches to redact or report in a text
+ *
+ * Every rule runs against the original text, so a pattern never sees another's
+ * placeholder and the result doesn't depend on which rule runs first. The
+ * rules' matches are merged by position, and each run of overlapping ones is
+ * resolved (see compareRank) as soon as it ends, so nothing is held for the
+ * whole text. Suppressed matches still claim their span (an allowlisted card
+ * number isn't partly redacted as a phone number).
+ *
+ * @param {string} text
+ * @param {MatchRule[]} rules - Patterns to apply
+ * @param {Object} [options]
+ * @param {boolean} [options.strictValidation] - Drop matches failing pattern.validate()
+ * @param {function(string, string, number): string|null} [options.suppress] - From
+ *   createSuppressor(); (patternName, value, offset) => reason or null
+ * @returns {Generator<EngineMatch>} Matches with non-overlapping replaced spans, in order
+ */
+function* iterateMatches(text, rules, options = {}) {
+  const { strictValidation = false, suppress = null } = options;
+  let cursors = rules
+    .map((rule, order) => createCursor(text, rule, order, strictValidation))
+    .filter((cursor) => cursor.next);
+
+  // Most matches overlap nothing, so a run is only put in an array once it
+  // has a second member
+  let first = null;
+  let run = null;
+  let runEnd = -1;
+
+  const settle = (match) => {
+    match.suppressed = suppress ? suppress(match.rule.name, match.value, match.start) : null;
+    return match;
+  };
+
+  for (;;) {
+    // Earliest next match; ties go to the earlier rule
+    let cursor = cursors[0];
+    for (let i = 1; i < cursors.length; i++) {
+      if (cursors[i].next.replaceStart < cursor.next.replaceStart) {
+        cursor = cursors[i];
+      }
+    }
+    const candidate = cursor ? cursor.next : null;
+
+    if (!candidate || candidate.replaceStart >= runEnd) {
+      if (run) {
+        for (const match of resolveCluster(run)) {
+          yield settle(match);
+        }
+      } else if (first) {
+        yield settle(first);
+      }
+      if (!candidate) {
+        return;
+      }
+      first = candidate;
+      run = null;
+      runEnd = candidate.replaceEnd;
+    } else {
+      run = run || [first];
+      run.push(candidate);
+      runEnd = Math.max(runEnd, candidate.replaceEnd);
+    }
+
+    cursor.advance();
+    if (!cursor.next) {
+      cursors = cursors.filter((c) => c !== cursor);
+    }
+  }
+}
+
+/**
+ * Find the matches to redact or report in a text (see iterateMatches)
+ * @param {string} text
+ * @param {MatchRule[]} rules - Patterns to apply
+ * @param {Object} [options] - strictValidation and suppress
+ * @returns {EngineMatch[]} Matches with non-overlapping replaced spans, ordered by position
+ */
+function findMatches(text, rules, options = {}) {
+  return [...iterateMatches(text, rules, options)];
+}
+
+/**
+ * List every match of every rule, before overlaps are resolved
+ * For explaining results: each candidate's status is "accepted", "invalid"
+ * (failed pattern.validate() with strictValidation) or "rejected" (left
+ * unchanged by pattern.replace()).
+ * @param {string} text
+ * @param {MatchRule[]} rules
+ * @param {Object} [options]
+ * @param {boolean} [options.strictValidation]
+ * @returns {Array<{rule: MatchRule, start: number, end: number, value: string,
+ *   replaceStart?: number, replaceEnd?: number, status: string}>} Candidates by position
+ */
+function findCandidates(text, rules, options = {}) {
+  const candidates = [];
+  const onSkip = (candidate, status) => candidates.push({ ...candidate, status });
+  rules.forEach((rule, order) => {
+    const cursor = createCursor(text, rule, order, options.strictValidation, onSkip);
+    for (; cursor.next; cursor.advance()) {
+      const { start, end, value, replaceStart, replaceEnd } = cursor.next;
+      candidates.push({ rule, start, end, value, replaceStart, replaceEnd, status: 'accepted' });
+    }
+  });
+  return candidates.sort((a, b) => a.start - b.start || a.end - b.end);
+}
+
+/**
+ * Rebuild a text with its matches replaced
+ *
+ * replacementFor() returns the replacement for the whole match; only its
+ * replaced span is written, so the unchanged ends of a match can hold other
+ * matches' replacements.
+ *
+ * @param {string} text - Original text
+ * @param {Iterable<EngineMatch>} matches - From iterateMatches() or findMatches()
+ * @param {function(EngineMatch): string} replacementFor - Replacement for a whole match
+ * @returns {string}
+ */
+function rewrite(text, matches, replacementFor) {
+  let result = '';
+  let last = 0;
+  for (const match of matches) {
+    const replacement = replacementFor(match);
+    const middle = replacement.slice(
+      match.replaceStart - match.start,
+      replacement.length - (match.end - match.replaceEnd),
+    );
+    result += text.slice(last, match.replaceStart) + middle;
+    last = match.replaceEnd;
+  }
+  return result + text.slice(last);
+}
+
+module.exports = {
+  iterateMatches,
+  findMatches,
+  findCandidates,
+  rewrite,
+};
@@ -0,0 +1,136 @@
+/**
+ * redakt - Entropy scoring
+ * Decides whether a value assigned to a secret-looking key (password=,
+ * api_key:, "secret": ...) is random enough to be a real secret rather than
+ * a word, a reference to another variable or a dummy value
+ */
+
+/**
+ * Default thresholds in bits per character, by the charset a value uses
+ * Random hex tops out at 4 bits per character and base64 at 6, but values
+ * shorter than the alphabet can't reach that (16 characters score at most 4).
+ */
+const DEFAULT_ENTROPY_THRESHOLDS = Object.freeze({
+  hex: 3,
+  base64: 3.5,
+  ascii: 3,
+  minLength: 8,
+});
+
+/**
+ * Entropy thresholds
+ * @typedef {Object} EntropyThresholds
+ * @property {number} [hex] - Minimum entropy of hex values (0-9, a-f)
+ * @property {number} [base64] - Minimum entropy of base64/base62 values (letters, digits, +/=_-)
+ * @property {number} [ascii] - Minimum entropy of anything else (passwords with punctuation)
+ * @property {number} [minLength] - Shorter values are never reported
+ */
+
+/**
+ * Values that point at a secret instead of holding one: ${VAR}, $VAR, %VAR%,
+ * {{ var }}, <your-key>
+ */
+const REFERENCE = /^\$\{.*\}$|^\$[A-Za-z_]\w*$|^%\w+%$|\{\{.*\}\}|^<[^>]*>$/;
+
+/**
+ * Shannon entropy of a string
+ * @param {string} value
+ * @returns {number} Bits per character
+ */
+function shannonEntropy(value) {
+  if (!value) {
+    return 0;
+  }
+  const counts = new Map();
+  for (const char of value) {
+    counts.set(char, (counts.get(char) || 0) + 1);
+  }
+  const length = [...value].length;
+  let entropy = 0;
+  for (const count of counts.values()) {
+    const p = count / length;
+    entropy -= p * Math.log2(p);
+  }
+  return entropy;
+}
+
+/**
+ * Classify the characters a value uses
+ * @param {string} value
+ * @returns {'hex'|'base64'|'ascii'} Charset
+ */
+function charsetOf(value) {
+  if (/^[0-9a-f]+$/i.test(value)) {
+    return 'hex';
+  }
+  if (/^[A-Za-z0-9+/=_-]+$/.test(value)) {
+    return 'base64';
+  }
+  return 'ascii';
+}
+
+/**
+ * Validate entropy thresholds and fill in the defaults
+ * @param {EntropyThresholds} thresholds
+ * @returns {Required<EntropyThresholds>} Thresholds for every charset
+ */
+function normalizeEntropy(thresholds) {
+  if (!thresholds || typeof thresholds !== 'object' || Array.isArray(thresholds)) {
+    throw new TypeError('Entropy thresholds must be an object');
+  }
+  for (const [name, value] of Object.entries(thresholds)) {
+    if (!Object.hasOwn(DEFAULT_ENTROPY_THRESHOLDS, name)) {
+      throw new Error(
+        `Unknown entropy threshold: ${name} (expected ${Object.keys(DEFAULT_ENTROPY_THRESHOLDS).join(', ')})`,
+      );
+    }
+    if (typeof value !== 'number' || !Number.isFinite(value) || value < 0) {
+      throw new Error(`Entropy threshold "${name}" must be a non-negative number`);
+    }
+  }
+  return { ...DEFAULT_ENTROPY_THRESHOLDS, ...thresholds };
+}
+
+/**
+ * Explain why a value isn't random enough to be a secret
+ * Numbers and references to other variables are never secrets.
+ * @param {string} value
+ * @param {Required<EntropyThresholds>} [thresholds]
+ * @returns {string|null} Reason, or null if the value passes
+ */
+function entropyCheck(value, thresholds = DEFAULT_ENTROPY_THRESHOLDS) {
+  if (value.length < thresholds.minLength) {
+    return `value shorter than ${thresholds.minLength} characters`;
+  }
+  if (/^[\d.,:-]*$/.test(value)) {
+    return 'value is a number';
+  }
+  if (REFERENCE.test(value)) {
+    return 'value is a reference to another variable';
+  }
+  const charset = charsetOf(value);
+  const entropy = shannonEntropy(value);
+  if (entropy < thresholds[charset]) {
+    return `entropy ${entropy.toFixed(2)} below the ${charset} threshold of ${thresholds[charset]} bits per character`;
+  }
+  return null;
+}
+
+/**
+ * Check whether a value is random enough to be a secret (see entropyCheck)
+ * @param {string} value
+ * @param {Required<EntropyThresholds>} [thresholds]
+ * @returns {boolean}
+ */
+function isHighEntropy(value, thresholds = DEFAULT_ENTROPY_THRESHOLDS) {
+  return entropyCheck(value, thresholds) === null;
+}
+
+module.exports = {
+  DEFAULT_ENTROPY_THRESHOLDS,
+  shannonEntropy,
+  charsetOf,
+  normalizeEntropy,
+  entropyCheck,
+  isHighEntropy,
+};
@@ -0,0 +1,210 @@
+/**
+ * redakt - Match explanations
+ * Lists every match of every pattern in a text, including patterns that
+ * aren't enabled, and says which ones were redacted and why the others
+ * weren't. Values are masked so the explanation can be shared.
+ */
+
+const {
+  getMatchRules,
+  getActivePatterns,
+  maskValue,
+  maskFindings,
+  createLineIndex,
+} = require('./redakt');
+const { localesOf } = require('./locales');
+const { createSuppressor } = require('./suppress');
+const { findMatches, findCandidates } = require('./engine');
+const { severityOf, scoreConfidence } = require('./confidence');
+
+/**
+ * One pattern's match and what became of it
+ * @typedef {Object} ExplainedCandidate
+ * @property {string} pattern - Pattern name
+ * @property {number} start - Offset of the first character
+ * @property {number} end - Offset after the last character
+ * @property {number} line - 1-based line of the first character
+ * @property {number} column - 1-based column of the first character
+ * @property {string} preview - Masked preview of the value
+ * @property {string} placeholder - Placeholder the pattern would use
+ * @property {number} [priority] - Pattern priority (lower wins overlaps)
+ * @property {string} severity - Pattern severity
+ * @property {number} confidence - Match confidence, as in detect() findings
+ * @property {boolean} enabled - Whether the pattern is active with these options
+ * @property {string} status - "redacted", "suppressed" (allowlist or redakt:ignore),
+ *   "overlap" (lost to another match), "rejected" (dropped by the pattern's own
+ *   check), "invalid" (failed strict validation) or "disabled"
+ * @property {string|null} reason - Why, for every status but "redacted"
+ * @property {string} [lostTo] - Pattern of the winning match, for "overlap"
+ */
+
+/**
+ * Explanation of a text, by line
+ * @typedef {Object} Explanation
+ * @property {Array<{line: number, text: string, candidates: ExplainedCandidate[]}>} lines -
+ *   Lines with at least one candidate; text has every candidate's value masked
+ * @property {Object.<string, number>} byStatus - Number of candidates per status
+ */
+
+/**
+ * Why a pattern isn't active with these options
+ */
+function disabledReason(name, options) {
+  if (options.exclude && options.exclude.includes(name)) {
+    return 'excluded';
+  }
+  if (!options.all && options.include && options.include.length > 0) {
+    return 'not in the include list';
+  }
+  const locales = localesOf(name);
+  if (locales.length > 0) {
+    return `not enabled by default (locale: ${locales.join(', ')})`;
+  }
+  return 'not enabled by default';
+}
+
+/**
+ * Why a match was dropped by the pattern itself
+ */
+function rejectedReason(pattern, value) {
+  const reason =
+    typeof pattern.rejectReason === 'function' ? pattern.rejectReason(value) : pattern.rejectReason;
+  return reason || 'left unchanged by the pattern';
+}
+
+/**
+ * Why the winner of an overlap beat the loser, following the engine's ranking
+ */
+function overlapReason(winner, loser) {
+  const a = winner.rule.pattern.priority;
+  const b = loser.rule.pattern.priority;
+  if (a !== b) {
+    return `priority ${a ?? 'unset'} beats ${b ?? 'unset'}`;
+  }
+  const winnerLength = winner.end - winner.start;
+  const loserLength = loser.end - loser.start;
+  if (winnerLength !== loserLength) {
+    return `longer match (${winnerLength} vs ${loserLength} characters)`;
+  }
+  if (winner.start !== loser.start) {
+    return 'earlier match';
+  }
+  return 'pattern declared first';
+}
+
+/**
+ * Find the kept match a candidate lost to (the one claiming part of its span)
+ */
+function findWinner(kept, candidate) {
+  return kept.find(
+    (k) => k.replaceStart < candidate.replaceEnd && candidate.replaceStart < k.replaceEnd,
+  );
+}
+
+/**
+ * Explain what each pattern matches in a text and what redact() does with it
+ *
+ * Every pattern runs, whether enabled or not; the enabled ones are then
+ * resolved as in redact() (redakt:ignore comments are only honoured with
+ * inlineIgnore: true). Use it to find out why a value was or wasn't
+ * redacted, or which pattern's placeholder it got.
+ *
+ * @param {string} text - Input text
+ * @param {import('./redakt').RedactOptions} [options] - Options as for redact()
+ * @returns {Explanation} Candidates by line, with masked values
+ */
+function explain(text, options = {}) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Input must be a string');
+  }
+
+  const active = new Set(getActivePatterns(options));
+  const rules = getMatchRules({
+    ...options,
+    all: true,
+    include: undefined,
+    exclude: undefined,
+    locales: undefined,
+  });
+  const suppress = createSuppressor(text, {
+    allowlist: options.allowlist,
+    inlineIgnore: options.inlineIgnore === true,
+  });
+  const kept = findMatches(
+    text,
+    rules.filter((rule) => active.has(rule.name)),
+    { strictValidation: options.strictValidation, suppress },
+  );
+  const keptBySpan = new Map(kept.map((match) => [`${match.rule.name}:${match.start}`, match]));
+
+  const candidates = findCandidates(text, rules, { strictValidation: options.strictValidation });
+  const locate = createLineIndex(text);
+  const masked = maskFindings(text, candidates);
+  const byStatus = {};
+  const lines = new Map();
+
+  for (const candidate of candidates) {
+    const { rule, start, end, value } = candidate;
+    const enabled = active.has(rule.name);
+    let status = candidate.status;
+    let reason = null;
+    let lostTo;
+
+    if (status === 'invalid') {
+      reason = `failed ${rule.pattern.validate.name || 'strict'} validation`;
+    } else if (status === 'rejected') {
+      reason = rejectedReason(rule.pattern, value);
+    } else if (!enabled) {
+      status = 'disabled';
+      reason = disabledReason(rule.name, options);
+    } else {
+      const match = keptBySpan.get(`${rule.name}:${start}`);
+      if (match && match.suppressed) {
+        status = 'suppressed';
+        reason = match.suppressed === 'inline' ? 'redakt:ignore comment' : 'allowlist';
+      } else if (match) {
+        status = 'redacted';
+      } else {
+        const winner = findWinner(kept, candidate);
+        status = 'overlap';
+        lostTo = winner.rule.name;
+        reason = overlapReason(winner, candidate);
+      }
+    }
+
+    const position = locate(start);
+    const explained = {
+      pattern: rule.name,
+      start,
+      end,
+      ...position,
+      preview: maskValue(value),
+      placeholder: rule.placeholder,
+      priority: rule.pattern.priority,
+      severity: severityOf(rule.pattern),
+      confidence: scoreConfidence(rule.pattern, value, text, start),
+      enabled,
+      status,
+      reason,
+    };
+    if (lostTo) {
+      explained.lostTo = lostTo;
+    }
+
+    byStatus[status] = (byStatus[status] || 0) + 1;
+    if (!lines.has(position.line)) {
+      lines.set(position.line, {
+        line: position.line,
+        text: masked[position.line - 1],
+        candidates: [],
+      });
+    }
+    lines.get(position.line).candidates.push(explained);
+  }
+
+  return { lines: [...lines.values()], byStatus };
+}
+
+module.exports = {
+  explain,
+};
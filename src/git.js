@@ -0,0 +1,307 @@
+/**
+ * redakt - Git integration
+ * Scans the lines added by staged changes or a commit range (using the local
+ * git binary) and installs a pre-commit hook
+ */
+
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const path = require('path');
+const { detect, createLineIndex } = require('./redakt');
+const { summarize } = require('./scan');
+
+/**
+ * Largest git output accepted (diffs of huge commits)
+ */
+const MAX_GIT_OUTPUT = 512 * 1024 * 1024;
+
+/**
+ * First line after the shebang in hooks written by installHook()
+ */
+const HOOK_MARKER = '# redakt pre-commit hook';
+
+const HOOK_SCRIPT = `#!/bin/sh
+${HOOK_MARKER}: block commits that add sensitive data
+# Bypass once with: git commit --no-verify
+if command -v redakt >/dev/null 2>&1; then
+  exec redakt git --staged
+fi
+exec npx --no-install redakt git --staged
+`;
+
+/**
+ * Diff options shared by every scan: no context lines, no colour or external
+ * diff tools, the a/ and b/ path prefixes whatever diff.noprefix or
+ * diff.mnemonicPrefix say, and rename detection so moved files aren't rescanned
+ */
+const DIFF_FLAGS = [
+  '--unified=0',
+  '--no-color',
+  '--no-ext-diff',
+  '--src-prefix=a/',
+  '--dst-prefix=b/',
+  '-M',
+];
+
+/**
+ * Git options (all detect() options are accepted too)
+ * @typedef {Object} GitOptions
+ * @property {string} [cwd] - Directory inside the repository (default process.cwd())
+ */
+
+/**
+ * Lines added to one file
+ * @typedef {Object} DiffFile
+ * @property {string} file - Path in the new tree
+ * @property {Array<{line: number, text: string}>} added - Added lines with new-file line numbers
+ */
+
+/**
+ * Run git and return its stdout
+ * @param {string[]} args - git arguments
+ * @param {string} [cwd] - Working directory
+ * @returns {string}
+ */
+function runGit(args, cwd) {
+  try {
+    return execFileSync('git', ['-c', 'core.quotePath=false', ...args], {
+      cwd,
+      encoding: 'utf8',
+      maxBuffer: MAX_GIT_OUTPUT,
+      stdio: ['ignore', 'pipe', 'pipe'],
+    });
+  } catch (err) {
+    if (err.code === 'ENOENT') {
+      throw new Error('git executable not found');
+    }
+    const detail = String(err.stderr || err.message).trim();
+    throw new Error(`git ${args[0]} failed: ${detail}`);
+  }
+}
+
+/**
+ * Undo git's C-style quoting of unusual paths ("a\tb.txt", "caf\303\251")
+ */
+function unquotePath(value) {
+  if (!value.startsWith('"')) {
+    return value;
+  }
+
+  const bytes = [];
+  const body = value.slice(1, -1);
+  const escapes = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+  for (let i = 0; i < body.length; i++) {
+    if (body[i] !== '\\') {
+      bytes.push(...Buffer.from(body[i]));
+    } else if (/[0-7]/.test(body[i + 1])) {
+      bytes.push(parseInt(body.slice(i + 1, i + 4), 8));
+      i += 3;
+    } else {
+      bytes.push(escapes[body[i + 1]] ?? body.charCodeAt(i + 1));
+      i++;
+    }
+  }
+  return Buffer.from(bytes).toString('utf8');
+}
+
+/**
+ * Extract added lines from unified diff output
+ * Deleted and binary files have no added lines and are left out.
+ * @param {string} diff - Output of git diff / diff-tree -p
+ * @returns {DiffFile[]}
+ */
+function parseDiff(diff) {
+  const files = [];
+  let current = null;
+  let lineNumber = 0;
+  // File headers only come before a file's first hunk; inside a hunk an added
+  // line reading "++ x" also starts with "+++ "
+  let inHeader = false;
+
+  for (const line of diff.split('\n')) {
+    if (line.startsWith('diff --git ')) {
+      current = null;
+      inHeader = true;
+    } else if (inHeader && line.startsWith('+++ ')) {
+      // git appends a tab to paths containing spaces
+      const target = line.slice(4).replace(/\t$/, '');
+      if (target === '/dev/null') {
+        current = null;
+      } else {
+        current = { file: unquotePath(target).replace(/^b\//, ''), added: [] };
+        files.push(current);
+      }
+    } else if (line.startsWith('@@')) {
+      inHeader = false;
+      const match = /^@@ -\d+(?:,\d+)? \+(\d+)(?:,\d+)? @@/.exec(line);
+      lineNumber = match ? Number(match[1]) : 0;
+    } else if (current && line.startsWith('+')) {
+      current.added.push({ line: lineNumber, text: line.slice(1) });
+      lineNumber++;
+    } else if (current && line.startsWith(' ')) {
+      lineNumber++;
+    }
+  }
+
+  return files.filter((f) => f.added.length > 0);
+}
+
+/**
+ * Run detect() over a file's added lines and map findings back to the new file
+ *
+ * Consecutive added lines are scanned as one block (so multi-line values such
+ * as private keys are found); separate hunks are kept apart.
+ *
+ * @param {DiffFile} diffFile
+ * @param {Object} options - detect() options
+ * @param {function(string): string} readFile - Reads the new file's contents
+ * @returns {Object} detect() results with new-file lines, columns and offsets
+ */
+function detectAdded({ file, added }, options, readFile) {
+  const parts = [];
+  const lineMap = [];
+  for (const { line, text } of added) {
+    if (lineMap.length > 0 && lineMap[lineMap.length - 1] !== line - 1) {
+      parts.push('');
+      lineMap.push(null);
+    }
+    parts.push(text);
+    lineMap.push(line);
+  }
+
+  const text = parts.join('\n');
+  const results = detect(text, options);
+  if (results.findings.length === 0 && results.suppressed.findings.length === 0) {
+    return results;
+  }
+
+  const locate = createLineIndex(text);
+  const lineStarts = [0];
+  const content = readFile(file);
+  for (let i = content.indexOf('\n'); i !== -1; i = content.indexOf('\n', i + 1)) {
+    lineStarts.push(i + 1);
+  }
+
+  const toFile = (finding) => {
+    const { line, column } = locate(finding.start);
+    const fileLine = lineMap[line - 1];
+    const start = lineStarts[fileLine - 1] + column - 1;
+    return {
+      ...finding,
+      start,
+      end: start + finding.end - finding.start,
+      line: fileLine,
+      column,
+    };
+  };
+  results.findings = results.findings.map(toFile);
+  results.suppressed.findings = results.suppressed.findings.map(toFile);
+
+  return results;
+}
+
+/**
+ * Scan parsed diff files
+ */
+function scanDiff(diff, options, readFile) {
+  const files = parseDiff(diff).map((diffFile) => ({
+    file: diffFile.file,
+    results: detectAdded(diffFile, options, readFile),
+  }));
+  return { files, summary: summarize(files) };
+}
+
+/**
+ * Scan the lines added by staged changes (git diff --cached)
+ *
+ * @example
+ * const { summary } = scanStaged();
+ * if (summary.findings > 0) process.exit(1);
+ *
+ * @param {GitOptions} [options] - Git and detect() options
+ * @returns {{files: import('./reporters').ReportEntry[], summary: Object}} Results per changed file
+ */
+function scanStaged(options = {}) {
+  const { cwd, ...detectOptions } = options;
+  // Fail fast on bad options (e.g. unknown patterns)
+  detect('', detectOptions);
+
+  const diff = runGit(['diff', '--cached', ...DIFF_FLAGS], cwd);
+  return scanDiff(diff, detectOptions, (file) => runGit(['cat-file', 'blob', `:${file}`], cwd));
+}
+
+/**
+ * Scan the lines added by a commit range
+ *
+ * Accepts anything git diff does for two revisions ("main..HEAD",
+ * "origin/main...feature") or a single commit, which is compared with its parent.
+ *
+ * @param {string} range - Commit range or single revision
+ * @param {GitOptions} [options] - Git and detect() options
+ * @returns {{files: import('./reporters').ReportEntry[], summary: Object}} Results per changed file
+ */
+function scanCommits(range, options = {}) {
+  if (typeof range !== 'string' || !range || range.startsWith('-')) {
+    throw new TypeError('Commit range must be a revision or range such as main..HEAD');
+  }
+
+  const { cwd, ...detectOptions } = options;
+  detect('', detectOptions);
+
+  let diff;
+  let target;
+  const dots = /\.{2,3}/.exec(range);
+  if (dots) {
+    target = range.slice(dots.index + dots[0].length) || 'HEAD';
+    diff = runGit(['diff', ...DIFF_FLAGS, range, '--'], cwd);
+  } else {
+    // diff-tree handles root commits, which have no parent to diff against
+    target = range;
+    diff = runGit(['diff-tree', '-p', '-r', '--root', '--no-commit-id', ...DIFF_FLAGS, range], cwd);
+  }
+
+  return scanDiff(diff, detectOptions, (file) =>
+    runGit(['cat-file', 'blob', `${target}:${file}`], cwd),
+  );
+}
+
+/**
+ * Install a pre-commit hook that runs `redakt git --staged`
+ *
+ * Honours core.hooksPath. An existing hook that wasn't written by redakt is
+ * only replaced with `force`.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.cwd] - Directory inside the repository
+ * @param {boolean} [options.force] - Replace an existing hook
+ * @returns {string} Path of the hook file
+ */
+function installHook(options = {}) {
+  const { cwd = process.cwd(), force = false } = options;
+  const hooksDir = path.resolve(cwd, runGit(['rev-parse', '--git-path', 'hooks'], cwd).trim());
+  const hookFile = path.join(hooksDir, 'pre-commit');
+
+  if (fs.existsSync(hooksDir) && !fs.statSync(hooksDir).isDirectory()) {
+    throw new Error(`Git hooks path is not a directory: ${hooksDir} (check core.hooksPath)`);
+  }
+
+  if (fs.existsSync(hookFile) && !force) {
+    const existing = fs.readFileSync(hookFile, 'utf8');
+    if (!existing.includes(HOOK_MARKER)) {
+      throw new Error(`A pre-commit hook already exists: ${hookFile}`);
+    }
+  }
+
+  fs.mkdirSync(hooksDir, { recursive: true });
+  fs.writeFileSync(hookFile, HOOK_SCRIPT, { mode: 0o755 });
+  fs.chmodSync(hookFile, 0o755);
+  return hookFile;
+}
+
+module.exports = {
+  HOOK_SCRIPT,
+  parseDiff,
+  scanStaged,
+  scanCommits,
+  installHook,
+};
@@ -0,0 +1,340 @@
+/**
+ * redakt - HAR sanitizer
+ * Redacts browser HAR captures entry by entry. Values of sensitive headers,
+ * cookies and query/form parameters are replaced whole. Request and
+ * response bodies are redacted by content type: JSON bodies are parsed and
+ * redacted like redactObject(), form bodies like query strings, and base64
+ * text bodies are decoded first. URLs (request, redirect, Referer and
+ * Location) are rewritten with the same parameter rules as the parsed
+ * queryString, so the capture stays consistent and is still a valid HAR.
+ */
+
+const { createRedactor, shareRedactState, mergeStats } = require('./redakt');
+const {
+  createKeyMatcher,
+  createObjectRedactor,
+  DEFAULT_SENSITIVE_KEYS,
+  KEY_PLACEHOLDER,
+} = require('./structured');
+
+/**
+ * Names whose values are replaced whole, by kind (key rules as in
+ * structured.js: strings match anywhere in the normalized name, RegExps the
+ * raw name). Every cookie is redacted by default: session cookie names vary
+ * too much to list.
+ */
+const HAR_DEFAULTS = {
+  headers: [...DEFAULT_SENSITIVE_KEYS, 'token', 'csrf', 'xsrf', 'session', 'signature'],
+  cookies: [/^/],
+  params: [
+    ...DEFAULT_SENSITIVE_KEYS,
+    'token',
+    'session',
+    'signature',
+    /^(?:code|key|sig|sid|auth)$/i,
+  ],
+};
+
+/**
+ * Headers whose values are URLs
+ */
+const URL_HEADERS = ['referer', 'location', 'content-location'];
+
+/**
+ * Media types whose bodies are text
+ */
+const TEXT_TYPES = /^text\/|[/+](?:json|xml|javascript|x-www-form-urlencoded)\b/i;
+
+/**
+ * HAR redaction options (all redact() options are accepted too)
+ * @typedef {Object} RedactHarOptions
+ * @property {Array<string|RegExp>} [headers] - Header names to redact (default
+ *   HAR_DEFAULTS.headers); Cookie and Set-Cookie are redacted per cookie
+ * @property {Array<string|RegExp>} [cookies] - Cookie names to redact (default: all)
+ * @property {Array<string|RegExp>} [params] - Query and form parameter names to redact
+ *   (default HAR_DEFAULTS.params)
+ * @property {Array<string|RegExp>} [sensitiveKeys] - Keys redacted in JSON bodies
+ *   (default DEFAULT_SENSITIVE_KEYS)
+ * @property {string} [keyPlaceholder] - Replacement for redacted values (default [REDACTED])
+ */
+
+/**
+ * Decode a URL component, leaving it as is if it isn't valid
+ */
+function decodeComponent(value) {
+  try {
+    return decodeURIComponent(value.replace(/\+/g, ' '));
+  } catch {
+    return value;
+  }
+}
+
+/**
+ * Encode a redacted URL component, keeping placeholder brackets readable
+ */
+function encodeComponent(value) {
+  return encodeURIComponent(value).replace(/%5B/g, '[').replace(/%5D/g, ']');
+}
+
+/**
+ * Build the redactor for one HAR document
+ */
+function createHarRedactor(options) {
+  const {
+    headers = HAR_DEFAULTS.headers,
+    cookies = HAR_DEFAULTS.cookies,
+    params = HAR_DEFAULTS.params,
+    sensitiveKeys,
+    keyPlaceholder = KEY_PLACEHOLDER,
+  } = options;
+  const isSensitiveHeader = createKeyMatcher(headers);
+  const isSensitiveCookie = createKeyMatcher(cookies);
+  const isSensitiveParam = createKeyMatcher(params);
+  const shared = shareRedactState(options);
+  const redactLeaf = createRedactor({ ...shared.options, stats: true });
+  const redactJsonValue = createObjectRedactor({
+    ...shared.options,
+    sensitiveKeys,
+    keyPlaceholder,
+    stats: true,
+  });
+  const stats = { total: 0, byType: {} };
+
+  const scan = (value) => {
+    if (typeof value !== 'string' || !value) {
+      return value;
+    }
+    const result = redactLeaf(value);
+    mergeStats(stats, result.stats);
+    return result.text;
+  };
+
+  // Replace a value whole, counting it under its kind
+  const replace = (value, type) => {
+    if (typeof value !== 'string' || !value) {
+      return value;
+    }
+    mergeStats(stats, { total: 1, byType: { [type]: 1 } });
+    return keyPlaceholder;
+  };
+
+  const param = (name, value) =>
+    isSensitiveParam(name) ? replace(value, 'harParam') : scan(value);
+
+  // name=value&... with the parameter rules; unchanged pairs keep their encoding
+  const redactQuery = (query) =>
+    query
+      .split('&')
+      .map((pair) => {
+        const eq = pair.indexOf('=');
+        if (eq === -1) {
+          return scan(pair);
+        }
+        const raw = pair.slice(eq + 1);
+        const value = decodeComponent(raw);
+        const redacted = param(decodeComponent(pair.slice(0, eq)), value);
+        return `${pair.slice(0, eq)}=${redacted === value ? raw : encodeComponent(redacted)}`;
+      })
+      .join('&');
+
+  const redactUrl = (url) => {
+    if (typeof url !== 'string' || !url) {
+      return url;
+    }
+    const hash = url.indexOf('#');
+    const fragment = hash === -1 ? '' : scan(url.slice(hash));
+    const rest = hash === -1 ? url : url.slice(0, hash);
+    const question = rest.indexOf('?');
+    if (question === -1) {
+      return scan(rest) + fragment;
+    }
+    return `${scan(rest.slice(0, question))}?${redactQuery(rest.slice(question + 1))}${fragment}`;
+  };
+
+  // "a=1; b=2" (Cookie) or "a=1; Path=/; HttpOnly" (Set-Cookie: first pair only)
+  const redactCookieHeader = (value, setCookie) =>
+    value
+      .split(';')
+      .map((pair, i) => {
+        const eq = pair.indexOf('=');
+        if (eq === -1 || (setCookie && i > 0)) {
+          return pair;
+        }
+        const name = pair.slice(0, eq).trim();
+        const cookie = pair.slice(eq + 1);
+        const redacted = isSensitiveCookie(name) ? replace(cookie, 'harCookie') : scan(cookie);
+        return `${pair.slice(0, eq)}=${redacted}`;
+      })
+      .join(';');
+
+  const redactHeaders = (list) => {
+    for (const header of list || []) {
+      const name = String(header.name).toLowerCase();
+      if (name === 'cookie' || name === 'set-cookie') {
+        // Set-Cookie headers may be joined with newlines
+        header.value = String(header.value)
+          .split('\n')
+          .map((line) => redactCookieHeader(line, name === 'set-cookie'))
+          .join('\n');
+      } else if (isSensitiveHeader(header.name)) {
+        header.value = replace(header.value, 'harHeader');
+      } else if (URL_HEADERS.includes(name)) {
+        header.value = redactUrl(header.value);
+      } else {
+        header.value = scan(header.value);
+      }
+    }
+  };
+
+  const redactCookies = (list) => {
+    for (const cookie of list || []) {
+      cookie.value = isSensitiveCookie(cookie.name)
+        ? replace(cookie.value, 'harCookie')
+        : scan(cookie.value);
+    }
+  };
+
+  // Some browsers store parsed parameters still URL-encoded
+  const redactParams = (list) => {
+    for (const entry of list || []) {
+      if (typeof entry.value !== 'string') {
+        continue;
+      }
+      const value = decodeComponent(entry.value);
+      const redacted = param(decodeComponent(String(entry.name)), value);
+      if (redacted !== value) {
+        entry.value = value === entry.value ? redacted : encodeComponent(redacted);
+      }
+    }
+  };
+
+  // Bodies by media type; JSON that doesn't parse is redacted as text
+  const redactBody = (text, mimeType = '') => {
+    if (typeof text !== 'string' || !text) {
+      return text;
+    }
+    if (/[/+]json\b/i.test(mimeType)) {
+      try {
+        const result = redactJsonValue(JSON.parse(text));
+        mergeStats(stats, result.stats);
+        return result.stats.total > 0 ? JSON.stringify(result.value) : text;
+      } catch (err) {
+        if (!(err instanceof SyntaxError)) {
+          throw err;
+        }
+      }
+    }
+    if (/x-www-form-urlencoded/i.test(mimeType)) {
+      return redactQuery(text);
+    }
+    return scan(text);
+  };
+
+  const redactContent = (content) => {
+    if (!content || typeof content.text !== 'string') {
+      return;
+    }
+    const mimeType = content.mimeType || '';
+    if (content.encoding === 'base64') {
+      // Leave images, fonts and other binary bodies alone
+      if (!TEXT_TYPES.test(mimeType)) {
+        return;
+      }
+      const decoded = Buffer.from(content.text, 'base64').toString('utf8');
+      const redacted = redactBody(decoded, mimeType);
+      if (redacted !== decoded) {
+        content.text = Buffer.from(redacted, 'utf8').toString('base64');
+        content.size = Buffer.byteLength(redacted);
+      }
+      return;
+    }
+    const redacted = redactBody(content.text, mimeType);
+    if (redacted !== content.text) {
+      content.text = redacted;
+      content.size = Buffer.byteLength(redacted);
+    }
+  };
+
+  // Browser-specific fields (_initiator, _webSocketMessages, ...)
+  const redactExtensions = (object) => {
+    for (const key of Object.keys(object)) {
+      if (key.startsWith('_')) {
+        const result = redactJsonValue(object[key]);
+        mergeStats(stats, result.stats);
+        object[key] = result.value;
+      }
+    }
+  };
+
+  const redactEntry = (entry) => {
+    const { request, response } = entry;
+    if (request) {
+      request.url = redactUrl(request.url);
+      redactHeaders(request.headers);
+      redactCookies(request.cookies);
+      redactParams(request.queryString);
+      if (request.postData) {
+        redactParams(request.postData.params);
+        request.postData.text = redactBody(request.postData.text, request.postData.mimeType);
+      }
+      redactExtensions(request);
+    }
+    if (response) {
+      redactHeaders(response.headers);
+      redactCookies(response.cookies);
+      response.redirectURL = redactUrl(response.redirectURL);
+      redactContent(response.content);
+      redactExtensions(response);
+    }
+    if (entry.serverIPAddress) {
+      entry.serverIPAddress = scan(entry.serverIPAddress);
+    }
+    redactExtensions(entry);
+  };
+
+  return {
+    redactLog(log) {
+      for (const page of log.pages || []) {
+        page.title = /^[a-z][a-z0-9+.-]*:\/\//i.test(page.title)
+          ? redactUrl(page.title)
+          : scan(page.title);
+      }
+      log.entries.forEach(redactEntry);
+      shared.finish();
+      return stats;
+    },
+  };
+}
+
+/**
+ * Redact a HAR capture
+ *
+ * @example
+ * redactHar(fs.readFileSync('support.har', 'utf8'), { stats: true }).stats;
+ * // { total: 42, byType: { harCookie: 18, harHeader: 9, harParam: 3, email: 12 } }
+ *
+ * @param {string} text - HAR (JSON) text
+ * @param {RedactHarOptions} [options]
+ * @returns {{text: string, stats?: Object}} Redacted HAR (2-space indented)
+ */
+function redactHar(text, options = {}) {
+  let har;
+  try {
+    har = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid HAR input: ${err.message}`);
+  }
+  if (!har || !har.log || !Array.isArray(har.log.entries)) {
+    throw new Error('Invalid HAR input: missing log.entries');
+  }
+
+  const stats = createHarRedactor(options).redactLog(har.log);
+  const output = `${JSON.stringify(har, null, 2)}\n`;
+
+  return options.stats ? { text: output, stats } : { text: output };
+}
+
+module.exports = {
+  HAR_DEFAULTS,
+  redactHar,
+};
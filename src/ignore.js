@@ -0,0 +1,158 @@
+/**
+ * redakt - Glob and ignore-file matching
+ * Implements the .gitignore pattern syntax used by scan for .gitignore,
+ * .redaktignore and the include/exclude globs
+ */
+
+/**
+ * Ignore files read in every scanned directory
+ */
+const IGNORE_FILENAMES = ['.gitignore', '.redaktignore'];
+
+/**
+ * One parsed ignore rule
+ * @typedef {Object} IgnoreRule
+ * @property {RegExp} regex - Compiled glob
+ * @property {boolean} negate - "!pattern" re-includes matching paths
+ * @property {boolean} dirOnly - "pattern/" only matches directories
+ * @property {boolean} anchored - Pattern contains a slash, so it matches the
+ *   whole relative path rather than just the base name
+ */
+
+/**
+ * Compile a glob to a RegExp over "/"-separated paths
+ * Supports *, ?, [...] and ** (any number of directories)
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  let source = '';
+
+  for (let i = 0; i < glob.length; i++) {
+    const c = glob[i];
+
+    if (c === '*') {
+      if (glob[i + 1] === '*') {
+        // "**/" matches zero or more directories, a trailing "**" everything below
+        if (glob[i + 2] === '/') {
+          source += '(?:.*/)?';
+          i += 2;
+        } else {
+          source += '.*';
+          i += 1;
+        }
+      } else {
+        source += '[^/]*';
+      }
+    } else if (c === '?') {
+      source += '[^/]';
+    } else if (c === '[') {
+      const close = glob.indexOf(']', i + 2);
+      if (close === -1) {
+        source += '\\[';
+      } else {
+        let body = glob.slice(i + 1, close).replace(/\\/g, '\\\\');
+        if (body[0] === '!') {
+          body = `^${body.slice(1)}`;
+        }
+        source += `[${body}]`;
+        i = close;
+      }
+    } else if (c === '\\' && i + 1 < glob.length) {
+      i++;
+      source += glob[i].replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    } else {
+      source += c.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Parse one glob into a rule
+ * @param {string} pattern - Glob in .gitignore syntax
+ * @returns {IgnoreRule|null} Null for blank lines and comments
+ */
+function parseRule(pattern) {
+  let glob = pattern.replace(/(?<!\\)\s+$/, '');
+  if (!glob || glob.startsWith('#')) {
+    return null;
+  }
+
+  let negate = false;
+  if (glob.startsWith('!')) {
+    negate = true;
+    glob = glob.slice(1);
+  } else if (glob.startsWith('\\!') || glob.startsWith('\\#')) {
+    glob = glob.slice(1);
+  }
+
+  let dirOnly = false;
+  if (glob.endsWith('/')) {
+    dirOnly = true;
+    glob = glob.slice(0, -1);
+  }
+
+  const anchored = glob.includes('/');
+  if (glob.startsWith('/')) {
+    glob = glob.slice(1);
+  }
+
+  if (!glob) {
+    return null;
+  }
+
+  return { regex: globToRegExp(glob), negate, dirOnly, anchored };
+}
+
+/**
+ * Parse the contents of an ignore file
+ * @param {string} text - File contents
+ * @returns {IgnoreRule[]}
+ */
+function parseIgnoreFile(text) {
+  return text.split(/\r?\n/).map(parseRule).filter(Boolean);
+}
+
+/**
+ * Decide whether a path is ignored by a list of rules (last match wins)
+ * @param {IgnoreRule[]} rules
+ * @param {string} relPath - Path relative to the rules' base directory, "/"-separated
+ * @param {boolean} isDir - Whether the path is a directory
+ * @returns {boolean|null} True if ignored, false if re-included, null if no rule matched
+ */
+function matchRules(rules, relPath, isDir) {
+  const name = relPath.slice(relPath.lastIndexOf('/') + 1);
+  let result = null;
+
+  for (const rule of rules) {
+    if (rule.dirOnly && !isDir) {
+      continue;
+    }
+    if (rule.regex.test(rule.anchored ? relPath : name)) {
+      result = !rule.negate;
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Build a predicate matching paths against any of the given globs
+ * @param {string[]} globs - Globs in .gitignore syntax (no negation)
+ * @returns {function(string, boolean): boolean} (relPath, isDir) => matched
+ */
+function createGlobMatcher(globs) {
+  const rules = globs.map(parseRule).filter(Boolean);
+  return (relPath, isDir = false) => matchRules(rules, relPath, isDir) === true;
+}
+
+module.exports = {
+  IGNORE_FILENAMES,
+  globToRegExp,
+  parseRule,
+  parseIgnoreFile,
+  matchRules,
+  createGlobMatcher,
+};
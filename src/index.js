@@ -20,22 +20,187 @@
  * if (info.hasSensitiveData) {
  *   console.log('Found sensitive data:', info.matches);
  * }
+ *
+ * // Stable tokens so one user can be followed through a log
+ * redact('a@x.com b@y.com a@x.com', { pseudonymize: true }).text;
+ * // "[EMAIL_1] [EMAIL_2] [EMAIL_1]"
+ *
+ * // Keep what support needs to debug
+ * redact('4111-1111-1111-1234 jane@example.com', {
+ *   masking: { creditCard: 'partial', email: 'partial' },
+ * }).text;
+ * // "****-****-****-1234 j***@example.com"
+ *
+ * // Severity and confidence on every finding
+ * detect(text, { minConfidence: 0.6 }).findings.filter((f) => f.severity === 'critical');
+ *
+ * // Why a value was or wasn't redacted (every pattern's matches, masked)
+ * explain('password=hunter2').lines[0].candidates[0].reason;
+ * // "value shorter than 8 characters"
+ *
+ * // National phone formats and identifiers
+ * redact('CPF 529.982.247-25', { locales: ['br'] }).text; // "CPF [CPF]"
+ *
+ * // Reversible redaction via an encrypted vault
+ * const vault = { file: 'map.vault', key: loadVaultKey() };
+ * const { text: safe } = redact(text, { vault });
+ * restore(safe, { vault }).text === text; // true
+ *
+ * // Stream huge or never-ending logs
+ * process.stdin.pipe(createRedactStream()).pipe(process.stdout);
+ *
+ * // Structured values: string leaves plus sensitive keys
+ * redactObject({ user: 'a@x.com', password: 'hunter2' }).value;
+ * // { user: '[EMAIL]', password: '[REDACTED]' }
+ *
+ * // Browser HAR captures: cookies, auth headers, tokens in URLs and bodies
+ * redactHar(fs.readFileSync('support.har', 'utf8')).text;
+ *
+ * // Config files: sensitive keys replaced, comments and layout kept
+ * redactConfig('DB_PASSWORD=hunter2 # rotate\n', { format: 'env' }).text;
+ * // "DB_PASSWORD=[REDACTED] # rotate\n"
+ *
+ * // CSV exports, column by column
+ * redactCsv(csv, { columns: { email: 'hash', notes: 'drop' }, stats: true }).stats.byColumn;
+ *
+ * // Redact what the app logs (console, pino, winston)
+ * patchConsole();
+ * pino({ ...pinoRedaction() });
+ *
+ * // Access logs, syslog and logfmt, field by field
+ * redactLog(accessLog, { format: 'combined', fields: { remote_addr: 'keep' } }).text;
+ *
+ * // Scan a directory tree, honouring .gitignore
+ * const { summary } = scan('src');
+ *
+ * // Only what a commit adds
+ * scanStaged().summary;
+ * scanCommits('origin/main..HEAD').files;
+ *
+ * // Fail only on findings that aren't in a baseline
+ * const { entries } = filterBaseline(scan('.').files, loadBaseline('.redakt-baseline.json'));
+ *
+ * // SARIF / JUnit / CSV / JSON reports for CI
+ * formatReport('sarif', [{ file: 'app.log', results: detect(log) }], listPatterns());
+ *
+ * // Local HTTP service for other languages
+ * createServer({ token: loadServerToken() }).listen(8787, '127.0.0.1');
+ *
+ * // Share settings with the CLI via .redaktrc
+ * const config = loadConfig(); // searches up from process.cwd()
+ * redact(text, { ...config, stats: true });
  */
 
 const {
   redact,
+  createRedactor,
   detect,
   listPatterns,
   patterns,
   defaultPatterns,
   allPatternNames,
 } = require('./redakt');
+const { explain } = require('./explain');
+const { loadConfig, findConfig } = require('./config');
+const { createPseudonymizer } = require('./pseudonymize');
+const { createMasker, MASK_STRATEGIES } = require('./masking');
+const { LOCALE_PACKS } = require('./locales');
+const { SEVERITIES } = require('./confidence');
+const { restore, loadVaultKey } = require('./vault');
+const { createRedactStream } = require('./stream');
+const {
+  createObjectRedactor,
+  redactObject,
+  redactJson,
+  createNdjsonRedactStream,
+  DEFAULT_SENSITIVE_KEYS,
+} = require('./structured');
+const { redactConfig, configFormatOf, CONFIG_FORMATS } = require('./configfiles');
+const { redactHar, HAR_DEFAULTS } = require('./har');
+const { redactCsv, parseCsv, createCsvRedactStream, CSV_COLUMN_RULES } = require('./csv');
+const {
+  LOG_FORMATS,
+  LOG_FIELD_RULES,
+  parseLogLine,
+  redactLog,
+  createLogRedactStream,
+} = require('./logformats');
+const {
+  CONSOLE_METHODS,
+  patchConsole,
+  pinoRedaction,
+  pinoFormatters,
+  pinoHooks,
+  winstonFormat,
+} = require('./loggers');
+const { createServer, loadServerToken, SERVER_DEFAULTS } = require('./server');
+const { formatReport, REPORT_FORMATS } = require('./reporters');
+const { scan } = require('./scan');
+const { scanStaged, scanCommits, installHook } = require('./git');
+const {
+  createBaseline,
+  loadBaseline,
+  writeBaseline,
+  filterBaseline,
+  pruneBaseline,
+} = require('./baseline');
 
 module.exports = {
   redact,
+  createRedactor,
   detect,
   listPatterns,
   patterns,
   defaultPatterns,
   allPatternNames,
+  explain,
+  LOCALE_PACKS,
+  SEVERITIES,
+  loadConfig,
+  findConfig,
+  createPseudonymizer,
+  createMasker,
+  MASK_STRATEGIES,
+  restore,
+  loadVaultKey,
+  createRedactStream,
+  createObjectRedactor,
+  redactObject,
+  redactJson,
+  createNdjsonRedactStream,
+  DEFAULT_SENSITIVE_KEYS,
+  redactHar,
+  HAR_DEFAULTS,
+  redactConfig,
+  configFormatOf,
+  CONFIG_FORMATS,
+  redactCsv,
+  parseCsv,
+  createCsvRedactStream,
+  CSV_COLUMN_RULES,
+  LOG_FORMATS,
+  LOG_FIELD_RULES,
+  parseLogLine,
+  redactLog,
+  createLogRedactStream,
+  CONSOLE_METHODS,
+  patchConsole,
+  pinoRedaction,
+  pinoFormatters,
+  pinoHooks,
+  winstonFormat,
+  createServer,
+  loadServerToken,
+  SERVER_DEFAULTS,
+  formatReport,
+  REPORT_FORMATS,
+  scan,
+  scanStaged,
+  scanCommits,
+  installHook,
+  createBaseline,
+  loadBaseline,
+  writeBaseline,
+  filterBaseline,
+  pruneBaseline,
 };
@@ -0,0 +1,246 @@
+/**
+ * redakt - Locale packs
+ * National phone formats and identifiers for users outside the US, enabled
+ * per country with --locale de,gb or the `locales` option. The patterns are
+ * merged into the built-in set (so --all and --include reach them too).
+ *
+ * Identifiers with check digits are only redacted when the check digits are
+ * valid: their shapes (runs of 9-14 digits) are too common otherwise.
+ * Passport numbers are only matched after a "passport" label, since most
+ * formats are a letter or two and a few digits.
+ */
+
+const validators = require('./validators');
+
+/**
+ * Words before a phone number that raise confidence in it
+ */
+const PHONE_CONTEXT = /\b(?:phone|tel|mobile|cell|fax|call|telefon|handy|celular)/i;
+
+/**
+ * Replace and rejectReason for identifiers replaced only when their checksum passes
+ */
+function checked(validate) {
+  return {
+    replace: (match, placeholder) => (validate(match) ? placeholder : match),
+    rejectReason: `check digits invalid (${validate.name})`,
+  };
+}
+
+/**
+ * Build a passport pattern: a label such as "Passport No.:" followed by a
+ * number in the given format. Only the number is replaced.
+ * @param {string} format - Regex source of the number
+ * @param {string} country - Country name for the description
+ * @param {string} [labels] - Regex source of extra labels in the local language
+ * @param {number} [priority]
+ * @returns {Object} Pattern definition
+ */
+function passportPattern(format, country, labels = '', priority = 59) {
+  const label = labels ? `passport|${labels}` : 'passport';
+  return {
+    regex: new RegExp(
+      `\\b(?:${label})(?:[ \\t]*(?:no\\.?|nr\\.?|num(?:ber)?|#))?[ \\t]*[:=#]?[ \\t]*(?:${format})\\b`,
+      'gi',
+    ),
+    placeholder: '[PASSPORT]',
+    replace: (match, placeholder) => match.replace(/[A-Za-z0-9]+$/, () => placeholder),
+    description: `${country} passport numbers (after a passport label)`,
+    severity: 'high',
+    confidence: 0.9,
+    priority,
+  };
+}
+
+/**
+ * Patterns contributed by locale packs
+ * @type {Object.<string, Object>}
+ */
+const localePatterns = {
+  // International format, any country: + and 8-15 digits with single separators
+  e164Phone: {
+    regex: /(?<![\w+])\+[1-9](?:[ .-]?\d){7,14}\b/g,
+    placeholder: '[PHONE]',
+    replace: (match, placeholder) => placeholder,
+    description: 'Phone numbers in international E.164 format (+49 30 1234567)',
+    severity: 'low',
+    confidence: 0.6,
+    context: PHONE_CONTEXT,
+    priority: 68,
+  },
+
+  // Germany
+  dePhone: {
+    regex: /(?<![\w+])0(?:1[5-7]\d[ /-]?\d{7,8}|[2-9]\d{1,4}[ /-]\d{4,8})\b/g,
+    placeholder: '[PHONE]',
+    replace: (match, placeholder) => placeholder,
+    description: 'German phone numbers (030 1234567, 0151 23456789)',
+    severity: 'low',
+    confidence: 0.5,
+    context: PHONE_CONTEXT,
+    priority: 72,
+  },
+  deTaxId: {
+    regex: /\b[1-9]\d(?: ?\d{3}){3}\b/g,
+    placeholder: '[TAX_ID]',
+    ...checked(validators.deTaxId),
+    description: 'German tax identification numbers (Steuer-IdNr)',
+    severity: 'high',
+    confidence: 0.7,
+    context: /steuer|tax|idnr/i,
+    priority: 54,
+  },
+  dePassport: passportPattern(
+    '[CFGHJK][CFGHJKLMNPRTVWXYZ0-9]{8}',
+    'German',
+    'reisepass(?:nummer)?',
+  ),
+
+  // United Kingdom
+  gbPhone: {
+    regex:
+      /(?<![\w+])0(?:7\d{3} ?\d{6}|20 ?\d{4} ?\d{4}|1\d{2,3} ?\d{3} ?\d{3,4}|[38]\d{2} ?\d{3} ?\d{4})\b/g,
+    placeholder: '[PHONE]',
+    replace: (match, placeholder) => placeholder,
+    description: 'UK phone numbers (07700 900123, 020 7946 0958)',
+    severity: 'low',
+    confidence: 0.5,
+    context: PHONE_CONTEXT,
+    priority: 72,
+  },
+  gbNino: {
+    regex:
+      /\b(?!BG|GB|KN|NK|NT|TN|ZZ)[A-CEGHJ-PR-TW-Z][A-CEGHJ-NPR-TW-Z] ?\d{2} ?\d{2} ?\d{2} ?[A-D]\b/g,
+    placeholder: '[NI_NUMBER]',
+    replace: (match, placeholder) => placeholder,
+    description: 'UK National Insurance numbers',
+    severity: 'high',
+    confidence: 0.6,
+    context: /\bni\b|nino|national insurance/i,
+    priority: 52,
+  },
+  gbPassport: passportPattern('\\d{9}', 'UK'),
+
+  // Canada (national phone numbers share the US format of `phone`)
+  caSin: {
+    regex: /\b\d{3}([ -]?)\d{3}\1\d{3}\b/g,
+    placeholder: '[SIN]',
+    ...checked(validators.sin),
+    description: 'Canadian Social Insurance Numbers',
+    severity: 'high',
+    confidence: 0.7,
+    context: /\bsin\b|social insurance/i,
+    priority: 53,
+  },
+  caPassport: passportPattern('[A-Z]{2}\\d{6}', 'Canadian'),
+
+  // India
+  inPhone: {
+    regex: /(?<![\w+])(?:0|91[ -]?)?[6-9]\d{4}[ -]?\d{5}\b/g,
+    placeholder: '[PHONE]',
+    replace: (match, placeholder) => placeholder,
+    description: 'Indian mobile numbers (98765 43210)',
+    severity: 'low',
+    confidence: 0.5,
+    context: PHONE_CONTEXT,
+    priority: 72,
+  },
+  inAadhaar: {
+    regex: /\b[2-9]\d{3}([ -]?)\d{4}\1\d{4}\b/g,
+    placeholder: '[AADHAAR]',
+    ...checked(validators.verhoeff),
+    description: 'Indian Aadhaar numbers',
+    severity: 'high',
+    confidence: 0.7,
+    context: /aadhaa?r|\buid/i,
+    priority: 56,
+  },
+  inPan: {
+    regex: /\b[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z]\b/g,
+    placeholder: '[PAN]',
+    replace: (match, placeholder) => placeholder,
+    description: 'Indian Permanent Account Numbers (PAN)',
+    severity: 'high',
+    confidence: 0.6,
+    context: /\bpan\b|permanent account/i,
+    priority: 57,
+  },
+  inPassport: passportPattern('[A-Z]\\d{7}', 'Indian'),
+
+  // Brazil
+  brPhone: {
+    regex: /(?:\(\d{2}\) ?|\b\d{2} )9?\d{4}-\d{4}\b/g,
+    placeholder: '[PHONE]',
+    replace: (match, placeholder) => placeholder,
+    description: 'Brazilian phone numbers ((11) 91234-5678)',
+    severity: 'low',
+    confidence: 0.5,
+    context: PHONE_CONTEXT,
+    priority: 72,
+  },
+  brCpf: {
+    regex: /\b\d{3}(\.?)\d{3}\1\d{3}-?\d{2}\b/g,
+    placeholder: '[CPF]',
+    ...checked(validators.cpf),
+    description: 'Brazilian individual taxpayer numbers (CPF)',
+    severity: 'high',
+    confidence: 0.7,
+    context: /\bcpf\b/i,
+    priority: 58,
+  },
+  brCnpj: {
+    regex: /\b\d{2}(\.?)\d{3}\1\d{3}\/?\d{4}-?\d{2}\b/g,
+    placeholder: '[CNPJ]',
+    ...checked(validators.cnpj),
+    description: 'Brazilian company numbers (CNPJ)',
+    severity: 'high',
+    confidence: 0.7,
+    context: /\bcnpj\b/i,
+    priority: 57,
+  },
+  brPassport: passportPattern('[A-Z]{2}\\d{6}', 'Brazilian', 'passaporte'),
+};
+
+/**
+ * Patterns each locale enables, on top of the default patterns
+ */
+const LOCALE_PACKS = {
+  de: ['e164Phone', 'dePhone', 'iban', 'deTaxId', 'dePassport'],
+  gb: ['e164Phone', 'gbPhone', 'iban', 'gbNino', 'gbPassport'],
+  ca: ['e164Phone', 'phone', 'caSin', 'caPassport'],
+  in: ['e164Phone', 'inPhone', 'inAadhaar', 'inPan', 'inPassport'],
+  br: ['e164Phone', 'brPhone', 'iban', 'brCpf', 'brCnpj', 'brPassport'],
+};
+
+/**
+ * Get the patterns enabled by a list of locales
+ * @param {string[]} [locales] - Locale codes (case-insensitive)
+ * @returns {string[]} Pattern names, without duplicates
+ */
+function getLocalePatterns(locales = []) {
+  const codes = locales.map((code) => code.toLowerCase());
+  const unknown = codes.filter((code) => !Object.hasOwn(LOCALE_PACKS, code));
+  if (unknown.length > 0) {
+    throw new Error(
+      `Unknown locales: ${unknown.join(', ')} (expected ${Object.keys(LOCALE_PACKS).join(', ')})`,
+    );
+  }
+  return [...new Set(codes.flatMap((code) => LOCALE_PACKS[code]))];
+}
+
+/**
+ * Find the locales whose pack contains a pattern
+ * @param {string} patternName
+ * @returns {string[]} Locale codes
+ */
+function localesOf(patternName) {
+  return Object.keys(LOCALE_PACKS).filter((code) => LOCALE_PACKS[code].includes(patternName));
+}
+
+module.exports = {
+  checked,
+  localePatterns,
+  LOCALE_PACKS,
+  getLocalePatterns,
+  localesOf,
+};
@@ -0,0 +1,478 @@
+/**
+ * redakt - Log format parsers
+ * Splits nginx/Apache combined, RFC 5424 syslog and logfmt lines into named
+ * fields, applies a rule to each field (keep, redact, hash or drop; fields
+ * without a rule go through the text patterns) and rebuilds the line in its
+ * original format
+ */
+
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { createRedactor, shareRedactState, mergeStats, fingerprintValue } = require('./redakt');
+const { createKeyMatcher, KEY_PLACEHOLDER } = require('./structured');
+
+/**
+ * Supported log formats
+ */
+const LOG_FORMATS = ['combined', 'syslog', 'logfmt'];
+
+/**
+ * What can be done with a field
+ */
+const LOG_FIELD_RULES = ['keep', 'redact', 'hash', 'drop'];
+
+/**
+ * Rules applied unless overridden, by format
+ * Client addresses are hashed so requests can still be grouped by client;
+ * user names and query strings are redacted; what's needed to read the log
+ * (times, methods, statuses, sizes, user agents) is kept.
+ */
+const DEFAULT_FIELD_RULES = {
+  combined: {
+    remote_addr: 'hash',
+    ident: 'redact',
+    remote_user: 'redact',
+    time_local: 'keep',
+    method: 'keep',
+    query: 'redact',
+    protocol: 'keep',
+    status: 'keep',
+    body_bytes_sent: 'keep',
+    http_user_agent: 'keep',
+  },
+  syslog: {
+    pri: 'keep',
+    version: 'keep',
+    timestamp: 'keep',
+    app_name: 'keep',
+    procid: 'keep',
+    msgid: 'keep',
+  },
+  logfmt: {
+    ts: 'keep',
+    time: 'keep',
+    timestamp: 'keep',
+    level: 'keep',
+  },
+};
+
+/**
+ * Log redaction options (all redact() options are accepted too)
+ * @typedef {Object} LogRedactOptions
+ * @property {string} format - Log format: combined, syslog or logfmt
+ * @property {Object.<string, string>} [fields] - Rules by field name (keep, redact, hash,
+ *   drop), on top of the format's defaults
+ * @property {Array<string|RegExp>} [sensitiveKeys] - logfmt keys and syslog parameters
+ *   redacted when no rule names them (see structured.js; defaults to DEFAULT_SENSITIVE_KEYS)
+ * @property {string} [keyPlaceholder] - Replacement for redacted fields (default [REDACTED])
+ */
+
+/**
+ * A parsed field: its name, its text and how to write a new value back
+ * render(null) gives the dropped form ("-" for positional fields, nothing for
+ * key=value pairs).
+ * @typedef {Object} LogField
+ * @property {string} name
+ * @property {string} value - Field text as it appears in the line (still escaped)
+ * @property {function(string|null): string} render
+ */
+
+const COMBINED =
+  /^(\S+) (\S+) (\S+) \[([^\]]*)\] "((?:[^"\\]|\\.)*)" (\S+) (\S+)(?: "((?:[^"\\]|\\.)*)" "((?:[^"\\]|\\.)*)")?(.*)$/;
+const REQUEST = /^(\S+) ([^\s?]*)(?:\?(\S*))?(?: (\S+))?$/;
+
+const SYSLOG =
+  /^<(\d{1,3})>(\d{1,2}) (\S+) (\S+) (\S+) (\S+) (\S+) (-|(?:\[(?:[^\]"\\]|\\.|"(?:[^"\\]|\\.)*")*\])+)(?: ([\s\S]*))?$/;
+const SD_ELEMENT = /\[([^\s\]=]+)((?: [^\s="\]]+="(?:[^"\\]|\\.)*")*)\]/g;
+const SD_PARAM = / ([^\s="\]]+)="((?:[^"\\]|\\.)*)"/g;
+
+const LOGFMT_PAIR = /(\s*)([^\s="]+)(?:=("(?:[^"\\]|\\.)*"|[^\s"]*))?/y;
+
+/**
+ * A positional field, written back as "-" when dropped
+ */
+function positional(name, value, wrap = (v) => v) {
+  return { name, value, render: (v) => wrap(v === null ? '-' : v) };
+}
+
+/**
+ * Parse an nginx/Apache "combined" (or "common") access log line
+ */
+function parseCombined(line) {
+  const m = COMBINED.exec(line);
+  if (!m) {
+    return null;
+  }
+  const quoted = (v) => `"${v}"`;
+  const parts = [
+    positional('remote_addr', m[1]),
+    ' ',
+    positional('ident', m[2]),
+    ' ',
+    positional('remote_user', m[3]),
+    ' [',
+    positional('time_local', m[4]),
+    '] "',
+  ];
+
+  const request = REQUEST.exec(m[5]);
+  if (request) {
+    parts.push(positional('method', request[1]), ' ', positional('path', request[2]));
+    if (request[3] !== undefined) {
+      parts.push({ name: 'query', value: request[3], render: (v) => (v === null ? '' : `?${v}`) });
+    }
+    if (request[4] !== undefined) {
+      parts.push(' ', positional('protocol', request[4]));
+    }
+  } else {
+    parts.push(positional('request', m[5]));
+  }
+
+  parts.push('" ', positional('status', m[6]), ' ', positional('body_bytes_sent', m[7]));
+  if (m[8] !== undefined) {
+    parts.push(
+      ' ',
+      positional('http_referer', m[8], quoted),
+      ' ',
+      positional('http_user_agent', m[9], quoted),
+    );
+  }
+  if (m[10]) {
+    parts.push({ name: 'extra', value: m[10], render: (v) => v ?? '' });
+  }
+  return parts;
+}
+
+/**
+ * Parse an RFC 5424 syslog line
+ * Structured data parameters become fields named after the parameter.
+ */
+function parseSyslog(line) {
+  const m = SYSLOG.exec(line);
+  if (!m) {
+    return null;
+  }
+  const parts = [
+    '<',
+    positional('pri', m[1]),
+    '>',
+    positional('version', m[2]),
+    ' ',
+    positional('timestamp', m[3]),
+    ' ',
+    positional('hostname', m[4]),
+    ' ',
+    positional('app_name', m[5]),
+    ' ',
+    positional('procid', m[6]),
+    ' ',
+    positional('msgid', m[7]),
+    ' ',
+  ];
+
+  if (m[8] === '-') {
+    parts.push('-');
+  } else {
+    for (const element of m[8].matchAll(SD_ELEMENT)) {
+      parts.push(`[${element[1]}`);
+      for (const param of element[2].matchAll(SD_PARAM)) {
+        const name = param[1];
+        parts.push({
+          name,
+          value: param[2],
+          render: (v) => (v === null ? '' : ` ${name}="${v}"`),
+        });
+      }
+      parts.push(']');
+    }
+  }
+
+  if (m[9] !== undefined) {
+    parts.push(' ', { name: 'msg', value: m[9], render: (v) => v ?? '' });
+  }
+  return parts;
+}
+
+/**
+ * Parse a logfmt line (key=value key="quoted value" flag)
+ * Words without a value are unnamed fields, so they still go through the patterns.
+ */
+function parseLogfmt(line) {
+  const parts = [];
+  LOGFMT_PAIR.lastIndex = 0;
+  while (LOGFMT_PAIR.lastIndex < line.length) {
+    const start = LOGFMT_PAIR.lastIndex;
+    const m = LOGFMT_PAIR.exec(line);
+    if (!m) {
+      // Trailing whitespace, or text that isn't logfmt
+      if (line.slice(start).trim()) {
+        return null;
+      }
+      parts.push(line.slice(start));
+      break;
+    }
+    const [, space, key, raw] = m;
+    if (raw === undefined) {
+      // A bare word: no rule can name it, but the patterns still apply
+      parts.push(space, { name: null, value: key, render: (v) => v ?? '' });
+      continue;
+    }
+    const isQuoted = raw.startsWith('"');
+    parts.push({
+      name: key,
+      value: isQuoted ? raw.slice(1, -1) : raw,
+      render: (v) => {
+        if (v === null) {
+          return '';
+        }
+        if (isQuoted) {
+          return `${space}${key}="${v}"`;
+        }
+        return /[\s"=]/.test(v)
+          ? `${space}${key}="${v.replace(/["\\]/g, '\\$&')}"`
+          : `${space}${key}=${v}`;
+      },
+    });
+  }
+  return parts.some((part) => typeof part !== 'string' && part.name !== null) ? parts : null;
+}
+
+const PARSERS = {
+  combined: parseCombined,
+  syslog: parseSyslog,
+  logfmt: parseLogfmt,
+};
+
+/**
+ * Validate a log format name
+ * @param {string} format
+ * @returns {string} The format
+ */
+function normalizeLogFormat(format) {
+  if (!LOG_FORMATS.includes(format)) {
+    throw new Error(`Unknown log format: ${format} (expected ${LOG_FORMATS.join(', ')})`);
+  }
+  return format;
+}
+
+/**
+ * Validate field rules
+ * @param {Object.<string, string>} fields - Rules by field name
+ * @returns {Object.<string, string>} The rules
+ */
+function normalizeLogFields(fields) {
+  if (!fields || typeof fields !== 'object' || Array.isArray(fields)) {
+    throw new TypeError('Log field rules must be an object');
+  }
+  for (const [name, rule] of Object.entries(fields)) {
+    if (!LOG_FIELD_RULES.includes(rule)) {
+      throw new Error(
+        `Unknown rule for log field "${name}": ${rule} (expected ${LOG_FIELD_RULES.join(', ')})`,
+      );
+    }
+  }
+  return fields;
+}
+
+/**
+ * Split a log line into named fields
+ * @param {string} line - One line, without its line end
+ * @param {string} format - combined, syslog or logfmt
+ * @returns {Object.<string, string>|null} Field values by name (as written in the
+ *   line), or null if the line isn't in that format
+ */
+function parseLogLine(line, format) {
+  const parts = PARSERS[normalizeLogFormat(format)](line);
+  if (!parts) {
+    return null;
+  }
+  const fields = {};
+  for (const part of parts) {
+    if (typeof part !== 'string' && part.name !== null) {
+      fields[part.name] = part.value;
+    }
+  }
+  return fields;
+}
+
+/**
+ * Build the line redactor for a set of options
+ * @returns {function(string, Function, Object): {text: string, parsed: boolean}} Redacts a
+ *   line with a compiled text redactor, adding to stats
+ */
+function createLineRedactor(options) {
+  const { format, fields = {}, sensitiveKeys, keyPlaceholder = KEY_PLACEHOLDER } = options;
+  const parse = PARSERS[normalizeLogFormat(format)];
+  const rules = { ...DEFAULT_FIELD_RULES[format], ...normalizeLogFields(fields) };
+  const isSensitiveKey = createKeyMatcher(sensitiveKeys);
+  const keyed = format !== 'combined';
+
+  const ruleFor = (name) => {
+    if (name === null) {
+      return null;
+    }
+    if (Object.hasOwn(rules, name)) {
+      return rules[name];
+    }
+    return keyed && isSensitiveKey(name) ? 'redact' : null;
+  };
+
+  return (line, redactText, stats) => {
+    const parts = parse(line);
+    if (!parts) {
+      const result = redactText(line);
+      mergeStats(stats, result.stats);
+      return { text: result.text, parsed: false };
+    }
+
+    let text = '';
+    for (const part of parts) {
+      if (typeof part === 'string') {
+        text += part;
+        continue;
+      }
+      const rule = ruleFor(part.name);
+      const { value } = part;
+      // "-" and "" mean the field is absent
+      const present = value !== '' && value !== '-';
+      if (rule === 'keep' || (!present && rule !== 'drop')) {
+        text += part.render(value);
+      } else if (rule === null) {
+        const result = redactText(value);
+        mergeStats(stats, result.stats);
+        text += part.render(result.text);
+      } else {
+        if (present) {
+          mergeStats(stats, { total: 1, byType: { logField: 1 } });
+        }
+        if (rule === 'drop') {
+          text += part.render(null);
+        } else {
+          text += part.render(rule === 'hash' ? fingerprintValue(value) : keyPlaceholder);
+        }
+      }
+    }
+    return { text, parsed: true };
+  };
+}
+
+/**
+ * Redact a log, line by line, in its format
+ *
+ * Lines that don't parse in the format are redacted as plain text and counted
+ * in stats.unparsedLines, so nothing slips through unredacted.
+ *
+ * @example
+ * redactLog('203.0.113.9 - bob [10/Oct/2024:13:55:36 +0000] "GET /a?token=x HTTP/1.1" 200 512', {
+ *   format: 'combined',
+ * }).text;
+ * // 'd861b7e91033ebc1 - [REDACTED] [10/Oct/2024:13:55:36 +0000] "GET /a?[REDACTED] HTTP/1.1" 200 512'
+ *
+ * @param {string} text - Log text
+ * @param {LogRedactOptions} options
+ * @returns {{text: string, stats?: Object}} Redacted log and optional stats
+ *   (with lines and unparsedLines counts)
+ */
+function redactLog(text, options = {}) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Input must be a string');
+  }
+  const redactLine = createLineRedactor(options);
+  const shared = shareRedactState(options);
+  const redactText = createRedactor({ ...shared.options, stats: true });
+  const stats = { total: 0, byType: {}, lines: 0, unparsedLines: 0 };
+
+  const output = text
+    .split('\n')
+    .map((line) => processLogLine(line, redactLine, redactText, stats))
+    .join('\n');
+  shared.finish();
+
+  return options.stats ? { text: output, stats } : { text: output };
+}
+
+/**
+ * Redact one line (keeping a trailing \r) and count it
+ */
+function processLogLine(line, redactLine, redactText, stats) {
+  if (!line.trim()) {
+    return line;
+  }
+  stats.lines++;
+  const eol = line.endsWith('\r') ? '\r' : '';
+  const { text, parsed } = redactLine(eol ? line.slice(0, -1) : line, redactText, stats);
+  if (!parsed) {
+    stats.unparsedLines++;
+  }
+  return text + eol;
+}
+
+/**
+ * Create a Transform stream that redacts a log line by line in its format
+ * (see redactLog). Stats are emitted as a 'stats' event at the end.
+ * @param {LogRedactOptions} options
+ * @returns {Transform} Redacting stream
+ */
+function createLogRedactStream(options = {}) {
+  const redactLine = createLineRedactor(options);
+  // Share pseudonyms and the vault across lines; saved once at the end
+  const shared = shareRedactState(options);
+  // Compiled once, which also fails fast on bad options (e.g. unknown patterns)
+  const redactText = createRedactor({ ...shared.options, stats: true });
+
+  const decoder = new StringDecoder('utf8');
+  const stats = { total: 0, byType: {}, lines: 0, unparsedLines: 0 };
+  let buffer = '';
+
+  const stream = new Transform({
+    decodeStrings: false,
+
+    transform(chunk, encoding, callback) {
+      try {
+        buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        if (lines.length > 0) {
+          this.push(
+            lines
+              .map((line) => `${processLogLine(line, redactLine, redactText, stats)}\n`)
+              .join(''),
+          );
+        }
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+
+    flush(callback) {
+      try {
+        buffer += decoder.end();
+        if (buffer) {
+          this.push(processLogLine(buffer, redactLine, redactText, stats));
+          buffer = '';
+        }
+        shared.finish();
+        stream.emit('stats', stats);
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+  });
+
+  stream.setEncoding('utf8');
+  stream.stats = stats;
+  return stream;
+}
+
+module.exports = {
+  LOG_FORMATS,
+  LOG_FIELD_RULES,
+  DEFAULT_FIELD_RULES,
+  normalizeLogFormat,
+  normalizeLogFields,
+  parseLogLine,
+  redactLog,
+  createLogRedactStream,
+};
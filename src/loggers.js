@@ -0,0 +1,243 @@
+/**
+ * redakt - Logger integrations
+ * Redacts what an application logs before it is written: console methods are
+ * wrapped in place, and pino and winston get hooks and formats in the shapes
+ * they accept, so neither library is a dependency. Patterns and key rules are
+ * compiled when the integration is set up, leaving only matching per call.
+ *
+ * Strings are scanned with the text patterns; plain objects and arrays are
+ * redacted like redactObject() (sensitive keys replaced whole); Errors are
+ * copied with their message and stack redacted. Other values pass through.
+ * A vault is written once, when the process exits.
+ */
+
+const { createObjectRedactor, createKeyMatcher, KEY_PLACEHOLDER } = require('./structured');
+
+/**
+ * Console methods patched by default
+ */
+const CONSOLE_METHODS = ['log', 'info', 'warn', 'error', 'debug'];
+
+const MESSAGE = Symbol.for('message');
+const SPLAT = Symbol.for('splat');
+
+/**
+ * Logger redaction options (all redactObject() options are accepted too;
+ * stats are not collected)
+ * @typedef {Object} LoggerRedactOptions
+ * @property {Array<string|RegExp>} [sensitiveKeys] - Keys whose values are replaced whole
+ *   (default DEFAULT_SENSITIVE_KEYS)
+ * @property {string} [keyPlaceholder] - Replacement for those values (default [REDACTED])
+ */
+
+/**
+ * Build the value redactor shared by the integrations
+ */
+function createLogRedactor(options) {
+  const redactObject = createObjectRedactor({ ...options, stats: false });
+  const isSensitiveKey = createKeyMatcher(options.sensitiveKeys);
+  const keyPlaceholder = options.keyPlaceholder ?? KEY_PLACEHOLDER;
+
+  // A vault is saved once, when the process exits (or the console is restored)
+  const finish = () => {
+    process.removeListener('exit', finish);
+    redactObject.finish();
+  };
+  if (options.vault) {
+    process.on('exit', finish);
+  }
+
+  // A copy with the same prototype, so instanceof and error serializers still work
+  const redactError = (err) => {
+    const copy = Object.create(Object.getPrototypeOf(err), Object.getOwnPropertyDescriptors(err));
+    for (const key of ['message', 'stack']) {
+      if (typeof err[key] === 'string') {
+        copy[key] = redactObject(err[key]).value;
+      }
+    }
+    return copy;
+  };
+
+  const redactValue = (value) =>
+    value instanceof Error ? redactError(value) : redactObject(value).value;
+
+  // Top-level fields, with Errors among them (pino's { err }) redacted too
+  const redactFields = (source, target, skip = []) => {
+    for (const [key, value] of Object.entries(source)) {
+      if (skip.includes(key)) {
+        continue;
+      }
+      target[key] =
+        isSensitiveKey(key) && value !== null && value !== '' ? keyPlaceholder : redactValue(value);
+    }
+    return target;
+  };
+
+  // A logged argument: plain objects get the same top-level Error handling
+  const redactArg = (value) =>
+    value && Object.getPrototypeOf(value) === Object.prototype
+      ? redactFields(value, {})
+      : redactValue(value);
+
+  return { redactArg, redactValue, redactFields, finish };
+}
+
+/**
+ * Redact everything logged through console methods
+ *
+ * @example
+ * const restore = patchConsole({ pseudonymize: true });
+ * console.log('login', { user: 'a@x.com', password: 'hunter2' });
+ * // login { user: '[EMAIL_1]', password: '[REDACTED]' }
+ * restore();
+ *
+ * @param {LoggerRedactOptions & {methods?: string[], target?: Object}} [options] -
+ *   methods to wrap (default log, info, warn, error and debug) on target (default console)
+ * @returns {function(): void} Puts the original methods back (and saves the vault)
+ */
+function patchConsole(options = {}) {
+  const { methods = CONSOLE_METHODS, target = console, ...redactOptions } = options;
+  for (const method of methods) {
+    if (typeof target[method] !== 'function') {
+      throw new Error(`Unknown console method: ${method}`);
+    }
+  }
+  const { redactArg, finish } = createLogRedactor(redactOptions);
+
+  const originals = new Map();
+  for (const method of methods) {
+    const original = target[method];
+    const wrapped = function (...args) {
+      return original.apply(this, args.map(redactArg));
+    };
+    originals.set(method, { original, wrapped });
+    target[method] = wrapped;
+  }
+
+  return () => {
+    for (const [method, { original, wrapped }] of originals) {
+      // Leave methods someone else has replaced since
+      if (target[method] === wrapped) {
+        target[method] = original;
+      }
+    }
+    originals.clear();
+    finish();
+  };
+}
+
+/**
+ * pino options redacting everything logged: formatters for the merging object
+ * and child bindings, hooks for the message and format arguments. Both share
+ * one redactor, so pseudonyms and a vault stay consistent between them.
+ *
+ * @example
+ * pino({ ...pinoRedaction({ pseudonymize: true }) });
+ *
+ * @param {LoggerRedactOptions} [options]
+ * @returns {{formatters: Object, hooks: Object}} pino's formatters and hooks options
+ */
+function pinoRedaction(options = {}) {
+  const redactor = createLogRedactor(options);
+  return { formatters: createPinoFormatters(redactor), hooks: createPinoHooks(redactor) };
+}
+
+/**
+ * A second redactor would number pseudonyms on its own and save the vault over
+ * the first one's
+ */
+function rejectVault(options, name) {
+  if (options.vault) {
+    throw new Error(`${name}() can't share a vault with other hooks; use pinoRedaction()`);
+  }
+}
+
+/**
+ * pino formatters over a log redactor
+ */
+function createPinoFormatters({ redactFields }) {
+  return {
+    log: (object) => redactFields(object, {}),
+    bindings: (bindings) => redactFields(bindings, {}),
+  };
+}
+
+/**
+ * pino hooks over a log redactor
+ */
+function createPinoHooks({ redactArg }) {
+  return {
+    logMethod(args, method) {
+      return method.apply(this, args.map(redactArg));
+    },
+  };
+}
+
+/**
+ * pino formatters that redact the merging object and child bindings
+ * The message string never reaches a formatter; use pinoRedaction() to cover
+ * both with one redactor. A vault needs pinoRedaction().
+ *
+ * @example
+ * pino({ formatters: pinoFormatters() });
+ *
+ * @param {LoggerRedactOptions} [options]
+ * @returns {{log: function(Object): Object, bindings: function(Object): Object}}
+ */
+function pinoFormatters(options = {}) {
+  rejectVault(options, 'pinoFormatters');
+  return createPinoFormatters(createLogRedactor(options));
+}
+
+/**
+ * pino hooks that redact every argument of a log call (message, format
+ * arguments and the merging object). A vault needs pinoRedaction().
+ * @param {LoggerRedactOptions} [options]
+ * @returns {{logMethod: function(Array, Function): void}}
+ */
+function pinoHooks(options = {}) {
+  rejectVault(options, 'pinoHooks');
+  return createPinoHooks(createLogRedactor(options));
+}
+
+/**
+ * winston format that redacts the info object in place
+ * Every field but level is redacted, along with the splat arguments and,
+ * when placed after a finalizing format (json, printf), the formatted line.
+ *
+ * @example
+ * winston.createLogger({ format: format.combine(winstonFormat(), format.json()) });
+ *
+ * @param {LoggerRedactOptions} [options]
+ * @returns {{transform: function(Object): Object}} A format instance for format.combine()
+ */
+function winstonFormat(options = {}) {
+  const { redactArg, redactValue, redactFields } = createLogRedactor(options);
+  return {
+    transform(info) {
+      redactFields(info, info, ['level']);
+      // Errors logged as the info object keep message and stack non-enumerable
+      for (const key of ['message', 'stack']) {
+        if (typeof info[key] === 'string' && !Object.keys(info).includes(key)) {
+          info[key] = redactValue(info[key]);
+        }
+      }
+      if (Array.isArray(info[SPLAT])) {
+        info[SPLAT] = info[SPLAT].map(redactArg);
+      }
+      if (typeof info[MESSAGE] === 'string') {
+        info[MESSAGE] = redactValue(info[MESSAGE]);
+      }
+      return info;
+    },
+  };
+}
+
+module.exports = {
+  CONSOLE_METHODS,
+  patchConsole,
+  pinoRedaction,
+  pinoFormatters,
+  pinoHooks,
+  winstonFormat,
+};
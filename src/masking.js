@@ -0,0 +1,223 @@
+/**
+ * redakt - Masking strategies
+ * Controls what a redacted value is replaced with, per pattern: the fixed
+ * placeholder, a partial reveal (last four digits, email domain), a truncated
+ * hash, a same-length mask or a custom template
+ */
+
+const crypto = require('crypto');
+const { getLabel } = require('./pseudonymize');
+
+/**
+ * Built-in strategy names ("placeholder" is the default behaviour)
+ */
+const MASK_STRATEGIES = ['placeholder', 'partial', 'hash', 'mask'];
+
+/**
+ * Variables available in templates such as "<{TYPE}:{n}>"
+ */
+const TEMPLATE_VARIABLES = ['TYPE', 'type', 'n', 'hash', 'length'];
+
+/**
+ * Key of a masking object that applies to patterns not named in it
+ */
+const DEFAULT_KEY = 'default';
+
+/**
+ * Character replacing hidden parts of a value
+ */
+const MASK_CHAR = '*';
+
+/**
+ * Masking option: one strategy for every pattern, or strategies by pattern name
+ * (with "default" for the rest). A strategy is a name from MASK_STRATEGIES or a
+ * template containing {TYPE}, {type}, {n}, {hash} or {length}.
+ * @typedef {string|Object.<string, string>} MaskingOption
+ */
+
+/**
+ * Hide every character except line breaks (so line numbers don't shift)
+ */
+function maskAll(value) {
+  return value.replace(/[^\r\n]/gu, MASK_CHAR);
+}
+
+/**
+ * Hide every digit except the last `keep`, leaving separators in place
+ */
+function maskDigits(value, keep = 4) {
+  let seen = (value.match(/[0-9]/g) || []).length;
+  return value.replace(/[0-9]/g, (digit) => (seen-- > keep ? MASK_CHAR : digit));
+}
+
+/**
+ * Partial reveals for the PII patterns that have a safe one. Every other
+ * pattern keeps its placeholder: the ends of a password, token or key are
+ * part of the secret, and custom patterns have no known shape.
+ */
+const partialMaskers = {
+  creditCard: (value) => maskDigits(value),
+  ssn: (value) => maskDigits(value),
+  phone: (value) => maskDigits(value),
+  e164Phone: (value) => maskDigits(value),
+  dePhone: (value) => maskDigits(value),
+  gbPhone: (value) => maskDigits(value),
+  inPhone: (value) => maskDigits(value),
+  brPhone: (value) => maskDigits(value),
+  caSin: (value) => maskDigits(value, 3),
+  inAadhaar: (value) => maskDigits(value),
+  brCpf: (value) => maskDigits(value, 2),
+  brCnpj: (value) => maskDigits(value, 2),
+  email: (value) => {
+    const at = value.lastIndexOf('@');
+    return `${value[0]}${MASK_CHAR.repeat(3)}${value.slice(at)}`;
+  },
+  ipv4: (value) => value.replace(/^(\d+\.\d+)\..*$/, `$1.${MASK_CHAR}.${MASK_CHAR}`),
+  ipv6: (value) => value.replace(/(?<=:.*)[0-9a-fA-F]/g, MASK_CHAR),
+  // Country code and last four characters
+  iban: (value) => {
+    const total = (value.match(/[A-Za-z0-9]/g) || []).length;
+    let index = 0;
+    return value.replace(/[A-Za-z0-9]/g, (char) => {
+      index++;
+      return index <= 2 || index > total - 4 ? char : MASK_CHAR;
+    });
+  },
+  // The replaced value is "user:password"
+  urlWithCreds: (value) => {
+    const colon = value.indexOf(':');
+    return colon === -1 ? null : `${value.slice(0, colon + 1)}${MASK_CHAR.repeat(4)}`;
+  },
+};
+
+/**
+ * Truncated SHA-256, the same fingerprint detect() reports for the value
+ */
+function hashValue(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+}
+
+/**
+ * Check that a strategy is a known name or a template with known variables
+ * @param {string} strategy
+ * @param {string} [name] - Pattern the strategy is for (for error messages)
+ */
+function validateStrategy(strategy, name) {
+  const where = name ? ` for "${name}"` : '';
+  if (typeof strategy !== 'string' || !strategy) {
+    throw new TypeError(`Masking strategy${where} must be a non-empty string`);
+  }
+  if (!strategy.includes('{')) {
+    if (!MASK_STRATEGIES.includes(strategy)) {
+      throw new TypeError(
+        `Unknown masking strategy${where}: ${strategy} (expected ${MASK_STRATEGIES.join(', ')} or a template such as "<{TYPE}:{n}>")`,
+      );
+    }
+    return;
+  }
+  for (const [, variable] of strategy.matchAll(/\{([^{}]*)\}/g)) {
+    if (!TEMPLATE_VARIABLES.includes(variable)) {
+      throw new TypeError(
+        `Unknown masking template variable${where}: {${variable}} (expected ${TEMPLATE_VARIABLES.map((v) => `{${v}}`).join(', ')})`,
+      );
+    }
+  }
+}
+
+/**
+ * Validate a masking option and turn it into strategies by pattern name
+ * @param {MaskingOption} masking
+ * @returns {Object.<string, string>} Strategies ("default" applies to the rest)
+ */
+function normalizeMasking(masking) {
+  if (typeof masking === 'string') {
+    validateStrategy(masking);
+    return { [DEFAULT_KEY]: masking };
+  }
+  if (!masking || typeof masking !== 'object' || Array.isArray(masking)) {
+    throw new TypeError('masking must be a strategy name, a template or an object of them');
+  }
+  for (const [name, strategy] of Object.entries(masking)) {
+    validateStrategy(strategy, name);
+  }
+  return { ...masking };
+}
+
+/**
+ * Create a masker applying the configured strategy to each redacted value
+ *
+ * {n} numbers distinct values per label in order of appearance, like
+ * pseudonymize, so reuse one masker across calls to keep the numbers stable.
+ *
+ * @example
+ * const mask = createMasker({ creditCard: 'partial', email: 'partial' });
+ * mask('creditCard', patterns.creditCard, '4111-1111-1111-1234'); // '****-****-****-1234'
+ * mask('email', patterns.email, 'jane@example.com'); // 'j***@example.com'
+ *
+ * @param {MaskingOption} masking
+ * @param {string[]} [patternNames] - Known patterns; other keys are rejected
+ * @returns {function(string, Object, string): string|null} (patternName, pattern, value) =>
+ *   replacement, or null to use the placeholder
+ */
+function createMasker(masking, patternNames) {
+  const strategies = normalizeMasking(masking);
+  if (patternNames) {
+    for (const name of Object.keys(strategies)) {
+      if (name !== DEFAULT_KEY && !patternNames.includes(name)) {
+        throw new TypeError(`Unknown pattern in masking: ${name}`);
+      }
+    }
+  }
+
+  const numbers = new Map();
+  const numberFor = (label, value) => {
+    let byValue = numbers.get(label);
+    if (!byValue) {
+      byValue = new Map();
+      numbers.set(label, byValue);
+    }
+    if (!byValue.has(value)) {
+      byValue.set(value, byValue.size + 1);
+    }
+    return byValue.get(value);
+  };
+
+  return (patternName, pattern, value) => {
+    const strategy = Object.hasOwn(strategies, patternName)
+      ? strategies[patternName]
+      : strategies[DEFAULT_KEY];
+
+    switch (strategy) {
+      case undefined:
+      case 'placeholder':
+        return null;
+      case 'mask':
+        return maskAll(value);
+      case 'hash':
+        return `[${getLabel(patternName, pattern)}:${hashValue(value)}]`;
+      case 'partial': {
+        return Object.hasOwn(partialMaskers, patternName)
+          ? partialMaskers[patternName](value)
+          : null;
+      }
+      default: {
+        const label = getLabel(patternName, pattern);
+        const variables = {
+          TYPE: () => label,
+          type: () => patternName,
+          n: () => numberFor(label, value),
+          hash: () => hashValue(value),
+          length: () => Array.from(value).length,
+        };
+        return strategy.replace(/\{([^{}]*)\}/g, (_, variable) => String(variables[variable]()));
+      }
+    }
+  };
+}
+
+module.exports = {
+  MASK_STRATEGIES,
+  TEMPLATE_VARIABLES,
+  normalizeMasking,
+  createMasker,
+};
@@ -1,105 +1,261 @@
 /**
  * PII detection patterns for redakt
- * Each pattern has a regex and a replacement function
- * Order matters - more specific patterns should come before generic ones
+ * Each pattern has a regex, a default placeholder and a replacement function
+ * (and optionally a label for pseudonym tokens when the placeholder isn't [LABEL])
+ * All patterns are matched against the original text. Where matches overlap,
+ * the lower priority number wins (then the longer match), so more specific
+ * patterns get lower priorities than generic ones.
+ *
+ * replace(match, placeholder) returns the text to substitute for a match.
+ * Returning the match unchanged means "not sensitive after all" and is not
+ * counted as a redaction.
+ *
+ * validate(match), when present, is a stricter check (checksums, issuance
+ * rules) applied only with the strictValidation option.
+ *
+ * rejectReason, when replace() can reject matches, says why for explain():
+ * a string, or a function of the match returning one.
+ *
+ * severity (low, medium, high, critical) and confidence (0-1) rate detect()
+ * findings; context is a regex of keywords that raise confidence when they
+ * precede a match (see confidence.js).
  */
 
+const validators = require('./validators');
+const { DEFAULT_ENTROPY_THRESHOLDS, entropyCheck } = require('./entropy');
+const { localePatterns, checked } = require('./locales');
+const { credentialPatterns } = require('./credentials');
+
+/**
+ * Words that make a key hold a secret (at the end of the key or before a
+ * separator, so DB_PASSWORD, clientSecret, x-api-key and secret_value count
+ * but tokenizer does not)
+ */
+const SECRET_KEY_WORDS =
+  'passw(?:or)?d|passphrase|secret|token|api[_.-]?key|access[_.-]?key|private[_.-]?key|signing[_.-]?key|encryption[_.-]?key|credentials?';
+
+/**
+ * key = value, key: value, "key": "value", key := value and key => value, with
+ * the value double-, single- or backtick-quoted, or bare up to a delimiter
+ * Groups: 1 key quote, 2 key, 3-5 quoted value, 6 bare value
+ * The text around the key word is bounded: unbounded runs backtrack
+ * quadratically on long keyword-like text (token_token_...).
+ */
+const SECRET_ASSIGNMENT = String.raw`(?<![\w.-])(["']?)([\w.-]{0,64}?(?:${SECRET_KEY_WORDS})(?:[_.-][\w.-]{0,64})?)\1[ \t]*(?::=|=>|[:=])[ \t]*(?:"((?:[^"\\\n]|\\.)*)"|'((?:[^'\\\n]|\\.)*)'|\x60([^\x60\n]*)\x60|([^\s"'\x60,;&[\]{}<>]+)(?=$|[\s,;&)\]}]))`;
+
+/**
+ * IBANs: a country code, check digits and the rest of the country's length,
+ * optionally grouped with spaces - a word after the IBAN (a currency, a BIC)
+ * can't be taken in
+ */
+const IBAN = Object.entries(validators.IBAN_COUNTRIES)
+  .map(
+    ([length, countries]) =>
+      `(?:${countries.split(' ').join('|')})[0-9]{2}(?: ?[A-Z0-9]){${length - 4}}`,
+  )
+  .join('|');
+
+/**
+ * Bare values that read as code rather than data: words, member expressions
+ * and calls (password = config.password, token = getToken())
+ */
+const CODE_VALUE = /^[A-Za-z_$]+$|^[A-Za-z_$][\w$]*(?:\.[A-Za-z_$][\w$]*)+$|^[A-Za-z_$][\w$.]*\(/;
+
+/**
+ * Build the secretAssignment pattern for a set of entropy thresholds
+ * Only the value is replaced; the key, separator and quotes are kept.
+ * @param {import('./entropy').EntropyThresholds} [thresholds] - Normalized thresholds
+ * @returns {Object} Pattern definition
+ */
+function secretAssignmentPattern(thresholds = DEFAULT_ENTROPY_THRESHOLDS) {
+  const parse = new RegExp(`^${SECRET_ASSIGNMENT}$`, 'i');
+
+  // The assigned value and where it ends, or a reason to leave the match alone
+  const check = (match) => {
+    const m = parse.exec(match);
+    if (!m) {
+      return { reason: 'not an assignment' };
+    }
+    const bare = m[6] !== undefined;
+    const value = bare ? m[6] : (m[3] ?? m[4] ?? m[5]);
+    const reason =
+      bare && CODE_VALUE.test(value) ? 'value reads as code' : entropyCheck(value, thresholds);
+    return { value, end: match.length - (bare ? 0 : 1), reason };
+  };
+
+  return {
+    regex: new RegExp(SECRET_ASSIGNMENT, 'gi'),
+    placeholder: '[SECRET]',
+    replace: (match, placeholder) => {
+      const { value, end, reason } = check(match);
+      if (reason) {
+        return match;
+      }
+      return match.slice(0, end - value.length) + placeholder + match.slice(end);
+    },
+    rejectReason: (match) => check(match).reason,
+    description: 'High-entropy values assigned to password, secret, token and API key names',
+    severity: 'high',
+    confidence: 0.8,
+    priority: 88,
+  };
+}
+
 /**
  * Built-in redaction patterns
- * Patterns are processed in order defined in defaultPatterns/allPatternNames
- * @type {Object.<string, {regex: RegExp, replace: function, description: string, priority: number}>}
+ * @type {Object.<string, {regex: RegExp, placeholder: string, label?: string, replace: function, validate?: function, description: string, severity: string, confidence: number, context?: RegExp, priority: number}>}
  */
 const patterns = {
   // Private keys (PEM format markers) - high priority, very specific
   privateKey: {
     regex:
       /-----BEGIN (?:RSA |DSA |EC |OPENSSH )?PRIVATE KEY-----[\s\S]+?-----END (?:RSA |DSA |EC |OPENSSH )?PRIVATE KEY-----/g,
-    replace: () => '[PRIVATE_KEY]',
+    placeholder: '[PRIVATE_KEY]',
+    replace: (match, placeholder) => placeholder,
     description: 'Private keys (PEM format)',
+    severity: 'critical',
+    confidence: 1,
     priority: 10,
   },
 
   // JWT tokens - before bearer tokens
   jwt: {
     regex: /\beyJ[A-Za-z0-9\-_]+\.eyJ[A-Za-z0-9\-_]+\.[A-Za-z0-9\-_.+/=]+/g,
-    replace: () => '[JWT]',
+    placeholder: '[JWT]',
+    replace: (match, placeholder) => placeholder,
     description: 'JSON Web Tokens',
+    severity: 'high',
+    confidence: 0.8,
     priority: 20,
   },
 
   // URLs with credentials - before email (which might match user@domain)
   urlWithCreds: {
     regex: /(?:https?|ftp):\/\/[^\s:]+:[^\s@]+@[^\s]+/gi,
-    replace: (match) => {
+    placeholder: '[REDACTED]',
+    label: 'URL_CREDS',
+    replace: (match, placeholder) => {
       // Preserve domain but hide credentials
-      return match.replace(/:\/\/[^\s:]+:[^\s@]+@/, '://[REDACTED]@');
+      return match.replace(/:\/\/[^\s:]+:[^\s@]+@/, () => `://${placeholder}@`);
     },
     description: 'URLs containing credentials',
+    severity: 'critical',
+    confidence: 0.9,
     priority: 25,
   },
 
   // GitHub tokens (classic and fine-grained)
   githubToken: {
-    regex: /\b(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36,}\b/g,
-    replace: () => '[GITHUB_TOKEN]',
+    regex:
+      /\b(?:(?:ghp|gho|ghu|ghs|ghr)_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9]{22}_[A-Za-z0-9]{59})\b/g,
+    placeholder: '[GITHUB_TOKEN]',
+    replace: (match, placeholder) => placeholder,
+    validate: validators.tokenChecksum,
     description: 'GitHub personal access tokens',
+    severity: 'critical',
+    confidence: 0.8,
     priority: 30,
   },
 
+  // Provider-specific API keys and tokens (see credentials.js)
+  ...credentialPatterns,
+
   // Slack tokens - before phone (contains number sequences)
   slackToken: {
     regex: /\bxox[baprs]-\d+-\d+-[a-zA-Z0-9]+\b/g,
-    replace: () => '[SLACK_TOKEN]',
+    placeholder: '[SLACK_TOKEN]',
+    replace: (match, placeholder) => placeholder,
     description: 'Slack tokens',
+    severity: 'critical',
+    confidence: 0.9,
     priority: 35,
   },
 
   // AWS Access Key ID
   awsKey: {
     regex: /\b(?:A3T[A-Z0-9]|AKIA|AGPA|AIDA|AROA|AIPA|ANPA|ANVA|ASIA)[A-Z0-9]{16}\b/g,
-    replace: () => '[AWS_KEY]',
+    placeholder: '[AWS_KEY]',
+    replace: (match, placeholder) => placeholder,
     description: 'AWS Access Key IDs',
+    severity: 'high',
+    confidence: 0.9,
     priority: 40,
   },
 
   // Generic API keys (Bearer tokens, Authorization headers)
   bearerToken: {
     regex: /\b(?:Bearer|Basic)\s+[A-Za-z0-9\-_=]+\.?[A-Za-z0-9\-_=]*\.?[A-Za-z0-9\-_.+/=]*/gi,
-    replace: () => '[AUTH_TOKEN]',
+    placeholder: '[AUTH_TOKEN]',
+    replace: (match, placeholder) => placeholder,
     description: 'Bearer/Basic auth tokens',
+    severity: 'high',
+    confidence: 0.7,
+    context: /authorization/i,
     priority: 45,
   },
 
+  // IBAN (international bank account numbers) - before credit cards, whose
+  // 4-digit groups can appear inside a grouped IBAN. Always mod-97 checked:
+  // the shape also fits order numbers and other references.
+  iban: {
+    regex: new RegExp(`\\b(?:${IBAN})\\b`, 'g'),
+    placeholder: '[IBAN]',
+    ...checked(validators.iban),
+    validate: validators.iban,
+    description: 'International bank account numbers (IBAN)',
+    severity: 'medium',
+    confidence: 0.6,
+    context: /\b(?:iban|account|bank)/i,
+    priority: 48,
+  },
+
   // Credit card numbers (major brands with common formats) - before phone
   creditCard: {
     regex:
       /\b(?:4[0-9]{12}(?:[0-9]{3})?|5[1-5][0-9]{14}|3[47][0-9]{13}|6(?:011|5[0-9]{2})[0-9]{12}|[0-9]{4}[- ]?[0-9]{4}[- ]?[0-9]{4}[- ]?[0-9]{4})\b/g,
-    replace: () => '[CREDIT_CARD]',
+    placeholder: '[CREDIT_CARD]',
+    replace: (match, placeholder) => placeholder,
+    validate: validators.luhn,
     description: 'Credit card numbers',
+    severity: 'high',
+    confidence: 0.5,
+    context: /\b(?:card|credit|debit|visa|mastercard|amex|cc)\b/i,
     priority: 50,
   },
 
   // Social Security Numbers - before phone
   ssn: {
     regex: /\b[0-9]{3}-[0-9]{2}-[0-9]{4}\b|\b[0-9]{3}\s[0-9]{2}\s[0-9]{4}\b/g,
-    replace: () => '[SSN]',
+    placeholder: '[SSN]',
+    replace: (match, placeholder) => placeholder,
+    validate: validators.ssn,
     description: 'Social Security Numbers',
+    severity: 'high',
+    confidence: 0.4,
+    context: /\b(?:ssn|social security|ss#)/i,
     priority: 55,
   },
 
   // Email addresses
   email: {
     regex: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g,
-    replace: () => '[EMAIL]',
+    placeholder: '[EMAIL]',
+    replace: (match, placeholder) => placeholder,
     description: 'Email addresses',
+    severity: 'low',
+    confidence: 0.9,
     priority: 60,
   },
 
   // Phone numbers (various formats) - after credit cards and SSN
   phone: {
     regex: /\b(?:\+?1[-.\s]?)?\(?[0-9]{3}\)?[-.\s][0-9]{3}[-.\s][0-9]{4}\b/g,
-    replace: () => '[PHONE]',
+    placeholder: '[PHONE]',
+    replace: (match, placeholder) => placeholder,
     description: 'Phone numbers (US format)',
+    severity: 'low',
+    confidence: 0.5,
+    context: /\b(?:phone|tel|mobile|cell|fax|call)/i,
     priority: 70,
   },
 
@@ -107,8 +263,11 @@ const patterns = {
   ipv4: {
     regex:
       /\b(?:(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\.){3}(?:25[0-5]|2[0-4][0-9]|[01]?[0-9][0-9]?)\b/g,
-    replace: () => '[IPv4]',
+    placeholder: '[IPv4]',
+    replace: (match, placeholder) => placeholder,
     description: 'IPv4 addresses',
+    severity: 'low',
+    confidence: 0.8,
     priority: 80,
   },
 
@@ -116,44 +275,63 @@ const patterns = {
   ipv6: {
     regex:
       /\b(?:[0-9a-fA-F]{1,4}:){7}[0-9a-fA-F]{1,4}\b|\b(?:[0-9a-fA-F]{1,4}:){1,7}:\b|\b(?:[0-9a-fA-F]{1,4}:){1,6}:[0-9a-fA-F]{1,4}\b/g,
-    replace: () => '[IPv6]',
+    placeholder: '[IPv6]',
+    replace: (match, placeholder) => placeholder,
     description: 'IPv6 addresses',
+    severity: 'low',
+    confidence: 0.6,
     priority: 85,
   },
 
+  // Secrets assigned to secret-looking keys - after the specific token formats,
+  // which give the value a more precise label
+  secretAssignment: secretAssignmentPattern(),
+
   // AWS Secret Access Key (high entropy 40-char base64)
   awsSecret: {
     regex: /\b[A-Za-z0-9/+=]{40}\b/g,
-    replace: (match) => {
+    placeholder: '[AWS_SECRET]',
+    replace: (match, placeholder) => {
       // Only redact if it looks like a real secret (not just random text)
       // Check for reasonable entropy
       const uniqueChars = new Set(match).size;
       if (uniqueChars > 15) {
-        return '[AWS_SECRET]';
+        return placeholder;
       }
       return match;
     },
+    rejectReason: 'fewer than 16 distinct characters',
     description: 'AWS Secret Access Keys',
+    severity: 'critical',
+    confidence: 0.3,
+    context: /aws|secret/i,
     priority: 90,
   },
 
   // Generic hex secrets (32+ chars, looks like hash/key)
   hexSecret: {
     regex: /\b[a-fA-F0-9]{32,}\b/g,
-    replace: (match) => {
+    placeholder: '[HEX_SECRET]',
+    replace: (match, placeholder) => {
       // Only redact if it's at least 32 chars (MD5 length or longer)
       if (match.length >= 32) {
-        return '[HEX_SECRET]';
+        return placeholder;
       }
       return match;
     },
     description: 'Hex-encoded secrets/hashes (32+ chars)',
+    severity: 'medium',
+    confidence: 0.3,
+    context: /secret|token|key|passw|signature/i,
     priority: 100,
   },
+
+  // National phone formats and identifiers, enabled by locale packs (see locales.js)
+  ...localePatterns,
 };
 
 /**
- * Default patterns to enable (in priority order)
+ * Default patterns to enable (getActivePatterns() sorts them by priority)
  */
 const defaultPatterns = [
   'privateKey',
@@ -167,6 +345,8 @@ const defaultPatterns = [
   'email',
   'phone',
   'ipv4',
+  'secretAssignment',
+  ...Object.keys(credentialPatterns),
 ];
 
 /**
@@ -178,4 +358,5 @@ module.exports = {
   patterns,
   defaultPatterns,
   allPatternNames,
+  secretAssignmentPattern,
 };
@@ -0,0 +1,107 @@
+/**
+ * redakt - Consistent pseudonymization
+ * Maps each distinct sensitive value to a stable token such as [EMAIL_1],
+ * so one user or host can be followed through redacted output
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Number of hex characters kept from the HMAC digest in keyed tokens
+ */
+const KEYED_TOKEN_LENGTH = 8;
+
+/**
+ * Pseudonymizer options
+ * @typedef {Object} PseudonymizeOptions
+ * @property {string|Buffer} [key] - Secret key. When set, tokens are derived with
+ *   HMAC-SHA256 so the same value gets the same token across runs and files, and
+ *   raw values are never kept in memory.
+ * @property {Object.<string, string>} [seed] - Existing token -> value mapping (e.g. from a
+ *   vault) so numbered tokens are reused and numbering continues where it left off
+ */
+
+/**
+ * Create a pseudonymizer
+ *
+ * Without a key, tokens are numbered per label in order of first appearance
+ * ([EMAIL_1], [EMAIL_2], ...) and are only stable within one pseudonymizer.
+ *
+ * @param {PseudonymizeOptions} [options]
+ * @returns {{tokenFor: function(string, string): string, keyed: boolean}}
+ */
+function createPseudonymizer(options = {}) {
+  if (options.key !== undefined) {
+    const key = options.key;
+    if ((typeof key !== 'string' && !Buffer.isBuffer(key)) || key.length === 0) {
+      throw new TypeError('Pseudonymization key must be a non-empty string or Buffer');
+    }
+
+    return {
+      keyed: true,
+      tokenFor(label, value) {
+        const digest = crypto
+          .createHmac('sha256', key)
+          .update(`${label}\0${value}`)
+          .digest('hex')
+          .slice(0, KEYED_TOKEN_LENGTH);
+        return `[${label}_${digest}]`;
+      },
+    };
+  }
+
+  const tokens = new Map();
+  const counters = new Map();
+
+  for (const [token, value] of Object.entries(options.seed || {})) {
+    const parsed = /^\[(.+)_(\d+)\]$/.exec(token);
+    if (!parsed) {
+      continue;
+    }
+    const [, label, n] = parsed;
+    tokens.set(`${label}\0${value}`, token);
+    counters.set(label, Math.max(counters.get(label) || 0, Number(n)));
+  }
+
+  return {
+    keyed: false,
+    tokenFor(label, value) {
+      const id = `${label}\0${value}`;
+      let token = tokens.get(id);
+      if (!token) {
+        const n = (counters.get(label) || 0) + 1;
+        counters.set(label, n);
+        token = `[${label}_${n}]`;
+        tokens.set(id, token);
+      }
+      return token;
+    },
+  };
+}
+
+/**
+ * Get the token label for a pattern ([EMAIL] -> EMAIL, employeeId -> EMPLOYEE_ID)
+ * @param {string} patternName
+ * @param {Object} pattern - Pattern definition
+ * @returns {string} Label used in pseudonym tokens
+ */
+function getLabel(patternName, pattern) {
+  if (pattern.label) {
+    return pattern.label;
+  }
+
+  const bracketed = /^\[([A-Za-z0-9_]+)\]$/.exec(pattern.placeholder || '');
+  if (bracketed) {
+    return bracketed[1];
+  }
+
+  return patternName
+    .replace(/([a-z0-9])([A-Z])/g, '$1_$2')
+    .replace(/[^A-Za-z0-9]+/g, '_')
+    .toUpperCase();
+}
+
+module.exports = {
+  createPseudonymizer,
+  getLabel,
+};
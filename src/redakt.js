@@ -3,13 +3,29 @@
  * Zero-dependency module for detecting and masking sensitive data
  */
 
-const { patterns, defaultPatterns, allPatternNames } = require('./patterns');
+const crypto = require('crypto');
+const {
+  patterns,
+  defaultPatterns,
+  allPatternNames,
+  secretAssignmentPattern,
+} = require('./patterns');
+const { normalizeEntropy } = require('./entropy');
+const { getLocalePatterns, localesOf } = require('./locales');
+const { createPseudonymizer, getLabel } = require('./pseudonymize');
+const { openVault, replacedValue } = require('./vault');
+const { createSuppressor, compileAllowlist } = require('./suppress');
+const { createMasker } = require('./masking');
+const { severityOf, scoreConfidence } = require('./confidence');
+const { iterateMatches, rewrite } = require('./engine');
 
 /**
  * Statistics tracking for redactions
  * @typedef {Object} RedactStats
  * @property {number} total - Total number of redactions
  * @property {Object.<string, number>} byType - Count by pattern type
+ * @property {{total: number, byType: Object.<string, number>}} [suppressed] - Matches let
+ *   through by the allowlist or inline comments (only present when there were any)
  */
 
 /**
@@ -18,7 +34,34 @@ const { patterns, defaultPatterns, allPatternNames } = require('./patterns');
  * @property {string[]} [include] - Patterns to include (defaults to defaultPatterns)
  * @property {string[]} [exclude] - Patterns to exclude
  * @property {boolean} [all] - Include all patterns
+ * @property {string[]} [locales] - Locale packs adding national phone formats and identifiers
+ *   (de, gb, ca, in, br) to the selected patterns
  * @property {boolean} [stats] - Track and return statistics
+ * @property {boolean} [strictValidation] - Apply pattern validators (Luhn, SSN rules, IBAN mod-97)
+ *   and skip matches that fail them
+ * @property {Object.<string, Object>} [patterns] - Additional user-defined patterns (see config.js)
+ * @property {Object.<string, string>} [placeholders] - Placeholder overrides by pattern name
+ * @property {import('./entropy').EntropyThresholds} [entropy] - Entropy thresholds (bits per
+ *   character) the secretAssignment pattern applies to values, by charset
+ * @property {import('./masking').MaskingOption} [masking] - How values are replaced: "partial"
+ *   (****-****-****-1234, j***@example.com), "hash", "mask" or a template such as
+ *   "<{TYPE}:{n}>", for every pattern or by pattern name. Takes precedence over
+ *   pseudonymize for the patterns it covers.
+ * @property {Function} [masker] - Shared masker (from createMasker) to keep {n} numbers
+ *   consistent across several redact() calls
+ * @property {boolean|{key: (string|Buffer)}} [pseudonymize] - Replace each distinct value with a
+ *   stable numbered token ([EMAIL_1]); with a key, tokens are HMAC-derived and stable across runs
+ * @property {Object} [pseudonymizer] - Shared pseudonymizer (from createPseudonymizer) to keep
+ *   tokens consistent across several redact() calls
+ * @property {{file: string, key: (string|Buffer)}} [vault] - Write an encrypted placeholder ->
+ *   original mapping to this file so the output can be restored (implies pseudonymize).
+ *   A vault returned by openVault() is recorded into but left for the caller to save.
+ * @property {import('./suppress').AllowRule[]} [allowlist] - Values never redacted or reported:
+ *   exact strings, RegExps, or {value|regex, pattern} objects scoped to one pattern
+ * @property {boolean} [inlineIgnore] - Honour redakt:ignore and redakt:ignore-next-line
+ *   comments. On by default in detect(); off by default in redact(), where the text
+ *   (e.g. a log line) may be attacker-controlled.
+ * @property {number} [minConfidence] - detect() leaves out findings with a lower confidence (0-1)
  */
 
 /**
@@ -28,20 +71,65 @@ const { patterns, defaultPatterns, allPatternNames } = require('./patterns');
  * @property {RedactStats} [stats] - Statistics (if stats option is true)
  */
 
+/**
+ * secretAssignment patterns built for custom entropy thresholds, by options.entropy
+ */
+const secretPatternCache = new WeakMap();
+
+/**
+ * Merge built-in patterns with user-defined ones
+ * @param {RedactOptions} options
+ * @returns {Object.<string, Object>} Pattern definitions by name
+ */
+function resolvePatterns(options = {}) {
+  if (!options.patterns && !options.entropy) {
+    return patterns;
+  }
+  const resolved = { ...patterns, ...options.patterns };
+  if (options.entropy) {
+    if (!secretPatternCache.has(options.entropy)) {
+      const thresholds = normalizeEntropy(options.entropy);
+      secretPatternCache.set(options.entropy, secretAssignmentPattern(thresholds));
+    }
+    resolved.secretAssignment = secretPatternCache.get(options.entropy);
+  }
+  return resolved;
+}
+
+/**
+ * A single detected value and where it is
+ * @typedef {Object} Finding
+ * @property {string} pattern - Pattern name
+ * @property {number} start - Offset of the first character
+ * @property {number} end - Offset after the last character
+ * @property {number} line - 1-based line of the first character
+ * @property {number} column - 1-based column of the first character
+ * @property {string} severity - Pattern severity: low, medium, high or critical
+ * @property {number} confidence - How likely the value is real (0-1; see confidence.js)
+ * @property {string} preview - Masked preview of the value
+ * @property {string} fingerprint - Truncated SHA-256 of the value (safe to store and compare)
+ */
+
 /**
  * Get active patterns based on options
  * @param {RedactOptions} options
- * @returns {string[]} Array of pattern names to use
+ * @returns {string[]} Array of pattern names to use, in priority order
  */
 function getActivePatterns(options = {}) {
+  const available = resolvePatterns(options);
+  const custom = Object.keys(options.patterns || {});
   let active;
 
   if (options.all) {
-    active = [...allPatternNames];
+    active = [...allPatternNames, ...custom];
   } else if (options.include && options.include.length > 0) {
     active = [...options.include];
   } else {
-    active = [...defaultPatterns];
+    active = [...defaultPatterns, ...custom.filter((p) => available[p].isDefault !== false)];
+  }
+
+  if (options.locales && options.locales.length > 0) {
+    active = [...new Set([...active, ...getLocalePatterns(options.locales)])];
   }
 
   // Apply exclusions
@@ -50,16 +138,217 @@ function getActivePatterns(options = {}) {
   }
 
   // Validate pattern names
-  const invalid = active.filter((p) => !patterns[p]);
+  const invalid = active.filter((p) => !available[p]);
   if (invalid.length > 0) {
     throw new Error(`Unknown patterns: ${invalid.join(', ')}`);
   }
 
-  return active;
+  // Stable sort keeps the declared order for equal priorities
+  return active.sort((a, b) => available[a].priority - available[b].priority);
+}
+
+/**
+ * Get the placeholder for a pattern, honouring overrides
+ * @param {string} patternName
+ * @param {Object} pattern - Pattern definition
+ * @param {RedactOptions} options
+ * @returns {string} Placeholder text
+ */
+function getPlaceholder(patternName, pattern, options = {}) {
+  if (options.placeholders && typeof options.placeholders[patternName] === 'string') {
+    return options.placeholders[patternName];
+  }
+  return pattern.placeholder;
+}
+
+/**
+ * Prepare the active patterns for the match engine
+ * @param {RedactOptions} options
+ * @returns {import('./engine').MatchRule[]} Rules in priority order
+ */
+function getMatchRules(options = {}) {
+  const available = resolvePatterns(options);
+  return getActivePatterns(options).map((name) => ({
+    name,
+    pattern: available[name],
+    placeholder: getPlaceholder(name, available[name], options),
+  }));
+}
+
+/**
+ * Get the pseudonymizer to use for a call, if pseudonymization is enabled
+ * @param {RedactOptions} options
+ * @param {Object} [vault] - Open vault (its pseudonymizer is seeded from the vault)
+ * @returns {Object|null} Pseudonymizer or null
+ */
+function getPseudonymizer(options = {}, vault = null) {
+  if (options.pseudonymizer) {
+    return options.pseudonymizer;
+  }
+  if (vault) {
+    return vault.pseudonymizer;
+  }
+  if (!options.pseudonymize) {
+    return null;
+  }
+  return createPseudonymizer(options.pseudonymize === true ? {} : options.pseudonymize);
+}
+
+/**
+ * Resolve per-run state once so several redact() calls share it
+ *
+ * Opens the vault (if any) and creates the pseudonymizer and masker up front. Callers that
+ * redact piece by piece (streams, object walkers) compile the returned options
+ * with createRedactor() and call finish() once at the end to save the vault.
+ *
+ * @param {RedactOptions} options
+ * @returns {{options: RedactOptions, finish: function(): void}}
+ */
+function shareRedactState(options = {}) {
+  const ownsVault = Boolean(options.vault) && typeof options.vault.record !== 'function';
+  const vault = ownsVault
+    ? openVault(options.vault, typeof options.pseudonymize === 'object' ? options.pseudonymize : {})
+    : options.vault || null;
+  const pseudonymizer = getPseudonymizer(options, vault);
+  const masker =
+    options.masker ||
+    (options.masking ? createMasker(options.masking, Object.keys(resolvePatterns(options))) : null);
+
+  return {
+    options: { ...options, vault, pseudonymizer, masker },
+    finish() {
+      if (ownsVault) {
+        vault.save();
+      }
+    },
+  };
+}
+
+/**
+ * Count one suppressed match
+ */
+function countSuppressed(suppressed, patternName) {
+  suppressed.byType[patternName] = (suppressed.byType[patternName] || 0) + 1;
+  suppressed.total++;
+}
+
+/**
+ * Add one set of stats into another (for callers that redact piece by piece)
+ * @param {RedactStats} into - Running totals (modified)
+ * @param {RedactStats} stats - Stats from one redact() call
+ * @returns {RedactStats} into
+ */
+function mergeStats(into, stats) {
+  into.total += stats.total;
+  for (const [name, count] of Object.entries(stats.byType)) {
+    into.byType[name] = (into.byType[name] || 0) + count;
+  }
+  if (stats.suppressed) {
+    if (!into.suppressed) {
+      into.suppressed = { total: 0, byType: {} };
+    }
+    mergeStats(into.suppressed, stats.suppressed);
+  }
+  return into;
+}
+
+/**
+ * Compile options into a reusable redactor
+ *
+ * Patterns, the allowlist, the masker and the pseudonymizer are resolved
+ * once, so each call only pays for matching - use it where redact() runs per
+ * log line or per value. Pseudonyms are shared by every call. A vault is
+ * recorded into by every call and saved once, by finish().
+ *
+ * @example
+ * const redactLine = createRedactor({ vault: { file: 'app.vault', key } });
+ * const safe = lines.map((line) => redactLine(line).text);
+ * redactLine.finish(); // writes app.vault
+ *
+ * @param {RedactOptions} [options] - Redaction options
+ * @returns {function(string): RedactResult} Redacts one text as redact(text, options) would,
+ *   with a finish() method saving the vault
+ */
+function createRedactor(options = {}) {
+  const rules = getMatchRules(options);
+  // An already-open vault (from openVault) is recorded into but saved by its owner
+  const shared = shareRedactState(options);
+  const { vault, pseudonymizer, masker } = shared.options;
+  const allowed = compileAllowlist(options.allowlist);
+  const inlineIgnore = options.inlineIgnore === true;
+
+  const redactor = (text) => {
+    if (typeof text !== 'string') {
+      throw new TypeError('Input must be a string');
+    }
+
+    const suppress = createSuppressor(text, { inlineIgnore }, allowed);
+    const matches = iterateMatches(text, rules, {
+      strictValidation: options.strictValidation,
+      suppress,
+    });
+
+    const counts = {};
+    const suppressed = { total: 0, byType: {} };
+
+    const result = rewrite(text, matches, (match) => {
+      const { rule, value, replacement, suppressed: reason } = match;
+      const { name, pattern } = rule;
+      if (reason) {
+        countSuppressed(suppressed, name);
+        return value;
+      }
+      counts[name] = (counts[name] || 0) + 1;
+
+      // Masking applies to the part the placeholder replaced (the credentials of a URL)
+      const masked = masker
+        ? masker(
+            name,
+            pattern,
+            value.slice(match.replaceStart - match.start, match.replaceEnd - match.start),
+          )
+        : null;
+      if (masked !== null) {
+        return pattern.replace(value, masked);
+      }
+      if (pseudonymizer) {
+        const token = pseudonymizer.tokenFor(getLabel(name, pattern), value);
+        const tokenized = pattern.replace(value, token);
+        if (vault) {
+          vault.record(token, replacedValue(value, tokenized, token));
+        }
+        return tokenized;
+      }
+      return replacement;
+    });
+
+    if (!options.stats) {
+      return { text: result };
+    }
+
+    // byType follows priority order, whatever order the values appeared in
+    const stats = { total: 0, byType: {} };
+    for (const { name } of rules) {
+      if (counts[name]) {
+        stats.byType[name] = counts[name];
+        stats.total += counts[name];
+      }
+    }
+    if (suppressed.total > 0) {
+      stats.suppressed = suppressed;
+    }
+    return { text: result, stats };
+  };
+  redactor.finish = shared.finish;
+  return redactor;
 }
 
 /**
  * Redact sensitive data from text
+ *
+ * All patterns are matched against the original text; where matches overlap,
+ * the higher-priority (then longer) one wins. See engine.js.
+ *
  * @param {string} text - Input text to redact
  * @param {RedactOptions} [options] - Redaction options
  * @returns {RedactResult} Redacted text and optional stats
@@ -68,73 +357,164 @@ function redact(text, options = {}) {
   if (typeof text !== 'string') {
     throw new TypeError('Input must be a string');
   }
+  const redactor = createRedactor(options);
+  const result = redactor(text);
+  redactor.finish();
+  return result;
+}
 
-  const activePatterns = getActivePatterns(options);
-  const stats = options.stats ? { total: 0, byType: {} } : null;
+/**
+ * Mask a value for display, keeping only a few characters at each end
+ * @param {string} value
+ * @returns {string} Masked preview
+ */
+function maskValue(value) {
+  return value.length > 6 ? `${value.slice(0, 3)}...${value.slice(-3)}` : '***';
+}
 
-  let result = text;
+/**
+ * Mask every finding in the text, line by line, so line numbers are preserved
+ * @param {string} text
+ * @param {Array<{start: number, end: number}>} findings - Spans ordered by start
+ * @returns {string[]} Masked lines
+ */
+function maskFindings(text, findings) {
+  // Merge overlapping spans (one value can match several patterns)
+  const spans = [];
+  for (const { start, end } of findings) {
+    const last = spans[spans.length - 1];
+    if (last && start < last.end) {
+      last.end = Math.max(last.end, end);
+    } else {
+      spans.push({ start, end });
+    }
+  }
 
-  for (const patternName of activePatterns) {
-    const pattern = patterns[patternName];
-    // Clone regex to reset lastIndex
-    const regex = new RegExp(pattern.regex.source, pattern.regex.flags);
+  let masked = '';
+  let pos = 0;
+  for (const { start, end } of spans) {
+    masked += text.slice(pos, start);
+    masked += text
+      .slice(start, end)
+      .split('\n')
+      .map((segment) => (segment ? maskValue(segment) : segment))
+      .join('\n');
+    pos = end;
+  }
+  masked += text.slice(pos);
 
-    let count = 0;
-    result = result.replace(regex, (match, ...args) => {
-      const replacement = pattern.replace(match, ...args);
-      if (replacement !== match) {
-        count++;
-      }
-      return replacement;
-    });
+  return masked.split('\n');
+}
 
-    if (stats && count > 0) {
-      stats.byType[patternName] = count;
-      stats.total += count;
-    }
-  }
+/**
+ * Fingerprint a value so findings can be compared without storing it
+ * @param {string} value
+ * @returns {string} First 16 hex characters of the SHA-256 digest
+ */
+function fingerprintValue(value) {
+  return crypto.createHash('sha256').update(value).digest('hex').slice(0, 16);
+}
 
-  if (stats) {
-    return { text: result, stats };
+/**
+ * Build a function mapping offsets to 1-based line and column numbers
+ * @param {string} text
+ * @returns {function(number): {line: number, column: number}}
+ */
+function createLineIndex(text) {
+  const starts = [0];
+  for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) {
+    starts.push(i + 1);
   }
 
-  return { text: result };
+  return (offset) => {
+    let lo = 0;
+    let hi = starts.length - 1;
+    while (lo < hi) {
+      const mid = (lo + hi + 1) >> 1;
+      if (starts[mid] <= offset) {
+        lo = mid;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return { line: lo + 1, column: offset - starts[lo] + 1 };
+  };
 }
 
 /**
  * Check if text contains any sensitive data
  * @param {string} text - Input text to check
  * @param {RedactOptions} [options] - Options
- * @returns {Object} Detection results with matches
+ * @returns {Object} Detection results with per-pattern matches and a findings list
+ *   ({@link Finding}) ordered by position. Allowlisted and commented-out matches are
+ *   left out and listed under `suppressed` (with a `reason`) for auditing. Overlapping
+ *   matches are resolved as in redact(), so each span is reported once. Findings below
+ *   minConfidence are left out entirely.
  */
 function detect(text, options = {}) {
   if (typeof text !== 'string') {
     throw new TypeError('Input must be a string');
   }
 
-  const activePatterns = getActivePatterns(options);
+  const rules = getMatchRules(options);
+  const locate = createLineIndex(text);
+  const suppress = createSuppressor(text, {
+    allowlist: options.allowlist,
+    inlineIgnore: options.inlineIgnore !== false,
+  });
   const results = {
     hasSensitiveData: false,
     matches: {},
     total: 0,
+    findings: [],
+    suppressed: { total: 0, byType: {}, findings: [] },
   };
 
-  for (const patternName of activePatterns) {
-    const pattern = patterns[patternName];
-    const regex = new RegExp(pattern.regex.source, pattern.regex.flags);
-    const matches = text.match(regex) || [];
+  const values = {};
+  for (const { rule, start, end, value, suppressed: reason } of iterateMatches(text, rules, {
+    strictValidation: options.strictValidation,
+    suppress,
+  })) {
+    const confidence = scoreConfidence(rule.pattern, value, text, start);
+    if (options.minConfidence && confidence < options.minConfidence) {
+      continue;
+    }
+    const finding = {
+      pattern: rule.name,
+      start,
+      end,
+      ...locate(start),
+      severity: severityOf(rule.pattern),
+      confidence,
+      preview: maskValue(value),
+      fingerprint: fingerprintValue(value),
+    };
+    if (reason) {
+      countSuppressed(results.suppressed, rule.name);
+      results.suppressed.findings.push({ ...finding, reason });
+      continue;
+    }
+    (values[rule.name] = values[rule.name] || []).push(value);
+    results.findings.push(finding);
+  }
 
-    if (matches.length > 0) {
+  // Matches are ordered by replaced span; a URL's credentials can come after its start
+  results.findings.sort((a, b) => a.start - b.start || a.end - b.end);
+  results.suppressed.findings.sort((a, b) => a.start - b.start || a.end - b.end);
+
+  // matches follows priority order
+  for (const { name, pattern } of rules) {
+    const found = values[name];
+    if (found) {
       results.hasSensitiveData = true;
-      results.matches[patternName] = {
-        count: matches.length,
+      results.matches[name] = {
+        count: found.length,
         description: pattern.description,
+        severity: severityOf(pattern),
         // Show partial matches for reference (first 3 chars only)
-        samples: [...new Set(matches)]
-          .slice(0, 3)
-          .map((m) => (m.length > 6 ? `${m.slice(0, 3)}...${m.slice(-3)}` : '***')),
+        samples: [...new Set(found)].slice(0, 3).map(maskValue),
       };
-      results.total += matches.length;
+      results.total += found.length;
     }
   }
 
@@ -143,24 +523,42 @@ function detect(text, options = {}) {
 
 /**
  * List available patterns
+ * @param {RedactOptions} [options] - Options (user-defined patterns are listed too)
  * @returns {Object} Pattern info
  */
-function listPatterns() {
+function listPatterns(options = {}) {
   const info = {};
-  for (const [name, pattern] of Object.entries(patterns)) {
+  for (const [name, pattern] of Object.entries(resolvePatterns(options))) {
     info[name] = {
       description: pattern.description,
-      isDefault: defaultPatterns.includes(name),
+      severity: severityOf(pattern),
+      isDefault: pattern.custom ? pattern.isDefault !== false : defaultPatterns.includes(name),
     };
+    if (pattern.custom) {
+      info[name].custom = true;
+    }
+    const locales = localesOf(name);
+    if (locales.length > 0) {
+      info[name].locales = locales;
+    }
   }
   return info;
 }
 
 module.exports = {
   redact,
+  createRedactor,
   detect,
   listPatterns,
   patterns,
   defaultPatterns,
   allPatternNames,
+  getActivePatterns,
+  shareRedactState,
+  mergeStats,
+  maskValue,
+  maskFindings,
+  fingerprintValue,
+  getMatchRules,
+  createLineIndex,
 };
@@ -0,0 +1,310 @@
+/**
+ * redakt - Machine-readable detection reports
+ * Renders detect() results as JSON, SARIF 2.1.0, JUnit XML or CSV
+ */
+
+const path = require('path');
+const { pathToFileURL } = require('url');
+
+const VERSION = require('../package.json').version;
+
+const TOOL_NAME = 'redakt';
+const INFORMATION_URI = 'https://github.com/brandonwise/redakt';
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * Supported report formats
+ */
+const REPORT_FORMATS = ['json', 'sarif', 'junit', 'csv'];
+
+/**
+ * SARIF level of each severity
+ */
+const SARIF_LEVELS = { critical: 'error', high: 'error', medium: 'warning', low: 'note' };
+
+/**
+ * GitHub code scanning "security-severity" scores, inside each severity's band
+ */
+const SECURITY_SEVERITY = { critical: '9.5', high: '8.0', medium: '5.5', low: '2.0' };
+
+/**
+ * Detection results for one input
+ * @typedef {Object} ReportEntry
+ * @property {string} file - File path (or "<stdin>")
+ * @property {Object} results - detect() results
+ */
+
+/**
+ * Flatten entries into one findings list carrying the file path
+ */
+function collectFindings(entries) {
+  const findings = [];
+  for (const { file, results } of entries) {
+    for (const finding of results.findings) {
+      findings.push({ file, ...finding });
+    }
+  }
+  return findings;
+}
+
+/**
+ * Count findings per value of a key (pattern, severity)
+ */
+function countBy(findings, key) {
+  const counts = {};
+  for (const finding of findings) {
+    counts[finding[key]] = (counts[finding[key]] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Rule description, falling back to the pattern name
+ */
+function describe(rules, pattern) {
+  return rules[pattern] ? rules[pattern].description : pattern;
+}
+
+/**
+ * Render a JSON report
+ * @param {ReportEntry[]} entries
+ * @param {Object.<string, Object>} rules - Pattern info from listPatterns()
+ * @returns {string} JSON document
+ */
+function formatJson(entries, rules) {
+  const findings = collectFindings(entries);
+  const report = {
+    tool: { name: TOOL_NAME, version: VERSION },
+    summary: {
+      files: entries.length,
+      filesWithFindings: entries.filter((e) => e.results.hasSensitiveData).length,
+      findings: findings.length,
+      byPattern: countBy(findings, 'pattern'),
+      bySeverity: countBy(findings, 'severity'),
+      suppressed: entries.reduce((n, e) => n + e.results.suppressed.total, 0),
+    },
+    rules: Object.entries(rules).map(([id, info]) => ({ id, ...info })),
+    findings,
+  };
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+/**
+ * Render a SARIF 2.1.0 report (for code-scanning dashboards)
+ * @param {ReportEntry[]} entries
+ * @param {Object.<string, Object>} rules - Pattern info from listPatterns()
+ * @returns {string} SARIF log
+ */
+function formatSarif(entries, rules) {
+  const ruleIds = Object.keys(rules);
+
+  const results = collectFindings(entries).map((finding) => ({
+    ruleId: finding.pattern,
+    ruleIndex: ruleIds.indexOf(finding.pattern),
+    level: SARIF_LEVELS[finding.severity] || 'warning',
+    message: {
+      text: `${describe(rules, finding.pattern)} detected (${finding.preview})`,
+    },
+    locations: [
+      {
+        physicalLocation: {
+          artifactLocation: { uri: toUri(finding.file) },
+          region: {
+            startLine: finding.line,
+            startColumn: finding.column,
+            charOffset: finding.start,
+            charLength: finding.end - finding.start,
+          },
+        },
+      },
+    ],
+    partialFingerprints: { 'redaktValue/v1': finding.fingerprint },
+    properties: { severity: finding.severity, confidence: finding.confidence },
+  }));
+
+  const log = {
+    $schema: SARIF_SCHEMA,
+    version: '2.1.0',
+    runs: [
+      {
+        tool: {
+          driver: {
+            name: TOOL_NAME,
+            version: VERSION,
+            informationUri: INFORMATION_URI,
+            rules: ruleIds.map((id) => ({
+              id,
+              name: id,
+              shortDescription: { text: rules[id].description },
+              defaultConfiguration: { level: SARIF_LEVELS[rules[id].severity] || 'warning' },
+              properties: {
+                default: Boolean(rules[id].isDefault),
+                'security-severity': SECURITY_SEVERITY[rules[id].severity] || '5.5',
+              },
+            })),
+          },
+        },
+        results,
+      },
+    ],
+  };
+
+  return `${JSON.stringify(log, null, 2)}\n`;
+}
+
+/**
+ * Render a JUnit XML report (for CI test reporters)
+ * Each input is a test suite with one test case per rule; a rule fails if it
+ * has findings in that input.
+ * @param {ReportEntry[]} entries
+ * @param {Object.<string, Object>} rules - Pattern info from listPatterns()
+ * @returns {string} JUnit XML
+ */
+function formatJunit(entries, rules) {
+  const ruleIds = Object.keys(rules);
+  const suites = [];
+  let totalTests = 0;
+  let totalFailures = 0;
+
+  for (const { file, results } of entries) {
+    const cases = [];
+    let failures = 0;
+
+    for (const id of ruleIds) {
+      const hits = results.findings.filter((f) => f.pattern === id);
+      const name = `${id}: ${rules[id].description}`;
+      if (hits.length === 0) {
+        cases.push(`    <testcase classname="${escapeXml(file)}" name="${escapeXml(name)}"/>`);
+        continue;
+      }
+
+      failures++;
+      const details = hits
+        .map((f) => `${file}:${f.line}:${f.column} ${f.preview} (${f.fingerprint}, ${f.severity})`)
+        .join('\n');
+      cases.push(
+        [
+          `    <testcase classname="${escapeXml(file)}" name="${escapeXml(name)}">`,
+          `      <failure message="${hits.length} finding(s)" type="${escapeXml(id)}">${escapeXml(details)}</failure>`,
+          '    </testcase>',
+        ].join('\n'),
+      );
+    }
+
+    totalTests += ruleIds.length;
+    totalFailures += failures;
+    suites.push(
+      [
+        `  <testsuite name="${escapeXml(file)}" tests="${ruleIds.length}" failures="${failures}" errors="0" skipped="0">`,
+        ...cases,
+        '  </testsuite>',
+      ].join('\n'),
+    );
+  }
+
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${TOOL_NAME}" tests="${totalTests}" failures="${totalFailures}">`,
+    ...suites,
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Render a CSV report (one row per finding)
+ * @param {ReportEntry[]} entries
+ * @param {Object.<string, Object>} rules - Pattern info from listPatterns()
+ * @returns {string} CSV with header row
+ */
+function formatCsv(entries, rules) {
+  const header = [
+    'file',
+    'line',
+    'column',
+    'start',
+    'end',
+    'pattern',
+    'description',
+    'preview',
+    'fingerprint',
+    'severity',
+    'confidence',
+  ];
+  const rows = collectFindings(entries).map((f) => [
+    f.file,
+    f.line,
+    f.column,
+    f.start,
+    f.end,
+    f.pattern,
+    describe(rules, f.pattern),
+    f.preview,
+    f.fingerprint,
+    f.severity,
+    f.confidence,
+  ]);
+
+  return [header, ...rows].map((row) => row.map(escapeCsv).join(',')).join('\r\n') + '\r\n';
+}
+
+/**
+ * Render a report in the given format
+ * @param {string} format - One of REPORT_FORMATS
+ * @param {ReportEntry[]} entries - Results per input
+ * @param {Object.<string, Object>} rules - Pattern info from listPatterns() (active patterns)
+ * @returns {string} Report text
+ */
+function formatReport(format, entries, rules) {
+  switch (format) {
+    case 'json':
+      return formatJson(entries, rules);
+    case 'sarif':
+      return formatSarif(entries, rules);
+    case 'junit':
+      return formatJunit(entries, rules);
+    case 'csv':
+      return formatCsv(entries, rules);
+    default:
+      throw new Error(`Unknown report format: ${format} (expected ${REPORT_FORMATS.join(', ')})`);
+  }
+}
+
+/**
+ * Escape text for XML attributes and content
+ */
+function escapeXml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Quote a CSV field when needed (RFC 4180)
+ */
+function escapeCsv(value) {
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Turn a file path into a SARIF artifact URI (relative paths stay relative)
+ */
+function toUri(file) {
+  if (path.isAbsolute(file)) {
+    return pathToFileURL(file).href;
+  }
+  return file.split(/[\\/]/).map(encodeURIComponent).join('/');
+}
+
+module.exports = {
+  REPORT_FORMATS,
+  formatReport,
+  formatJson,
+  formatSarif,
+  formatJunit,
+  formatCsv,
+};
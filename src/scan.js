@@ -0,0 +1,238 @@
+/**
+ * redakt - Recursive file scanning
+ * Walks files and directories and runs detect() on each text file
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { detect } = require('./redakt');
+const { IGNORE_FILENAMES, parseIgnoreFile, matchRules, createGlobMatcher } = require('./ignore');
+
+/**
+ * Files larger than this are skipped unless maxFileSize says otherwise
+ */
+const DEFAULT_MAX_FILE_SIZE = 1024 * 1024;
+
+/**
+ * Bytes inspected when deciding whether a file is binary
+ */
+const BINARY_SNIFF_BYTES = 8000;
+
+/**
+ * Directories never descended into
+ */
+const ALWAYS_SKIPPED_DIRS = ['.git'];
+
+/**
+ * Scan options (all detect() options are accepted too)
+ * @typedef {Object} ScanOptions
+ * @property {string[]} [includeGlobs] - Only scan files matching one of these globs
+ * @property {string[]} [excludeGlobs] - Skip files and directories matching these globs
+ * @property {number} [maxFileSize] - Skip files larger than this many bytes (default 1 MiB)
+ * @property {boolean} [ignoreFiles] - Honour .gitignore and .redaktignore (default true)
+ */
+
+/**
+ * Scan results
+ * @typedef {Object} ScanResults
+ * @property {import('./reporters').ReportEntry[]} files - detect() results per scanned file
+ * @property {Array<{file: string, reason: string}>} skipped - Files not scanned
+ *   (reason is "binary", "size" or "unreadable")
+ * @property {Object} summary - files, filesWithFindings, findings, byPattern, bySeverity,
+ *   suppressed, skipped
+ */
+
+/**
+ * Check for a NUL byte near the start, as git does
+ */
+function isBinary(buffer) {
+  return buffer.subarray(0, BINARY_SNIFF_BYTES).includes(0);
+}
+
+/**
+ * Total up per-file results
+ * @param {import('./reporters').ReportEntry[]} files - Scanned files
+ * @param {Array} [skipped] - Files not scanned
+ * @returns {Object} files, filesWithFindings, findings, byPattern, bySeverity, suppressed,
+ *   skipped
+ */
+function summarize(files, skipped = []) {
+  const summary = {
+    files: files.length,
+    filesWithFindings: 0,
+    findings: 0,
+    byPattern: {},
+    bySeverity: {},
+    suppressed: 0,
+  };
+
+  for (const { results } of files) {
+    summary.suppressed += results.suppressed.total;
+    if (results.hasSensitiveData) {
+      summary.filesWithFindings++;
+      summary.findings += results.total;
+      for (const [name, info] of Object.entries(results.matches)) {
+        summary.byPattern[name] = (summary.byPattern[name] || 0) + info.count;
+        summary.bySeverity[info.severity] = (summary.bySeverity[info.severity] || 0) + info.count;
+      }
+    }
+  }
+
+  summary.skipped = skipped.length;
+  return summary;
+}
+
+/**
+ * Load the ignore files in a directory
+ * @returns {import('./ignore').IgnoreRule[]} Rules (empty if there are none)
+ */
+function readIgnoreRules(dir) {
+  const rules = [];
+  for (const name of IGNORE_FILENAMES) {
+    const file = path.join(dir, name);
+    if (fs.existsSync(file)) {
+      rules.push(...parseIgnoreFile(fs.readFileSync(file, 'utf8')));
+    }
+  }
+  return rules;
+}
+
+/**
+ * Check a path against ignore rules from every directory above it
+ * Deeper ignore files take precedence, like git
+ */
+function isIgnored(ruleSets, file, isDir) {
+  let ignored = false;
+  for (const { base, rules } of ruleSets) {
+    const relPath = path.relative(base, file).split(path.sep).join('/');
+    const result = matchRules(rules, relPath, isDir);
+    if (result !== null) {
+      ignored = result;
+    }
+  }
+  return ignored;
+}
+
+/**
+ * List the files under a directory that should be scanned
+ * Symbolic links are not followed.
+ * @param {string} root - Directory to walk
+ * @param {ScanOptions} options
+ * @returns {string[]} File paths (root joined with the relative path), sorted
+ */
+function walk(root, options) {
+  const { includeGlobs = [], excludeGlobs = [], ignoreFiles = true } = options;
+  const isIncluded = createGlobMatcher(includeGlobs);
+  const isExcluded = createGlobMatcher(excludeGlobs);
+  const files = [];
+
+  const visit = (dir, ruleSets) => {
+    const rules = ignoreFiles ? readIgnoreRules(dir) : [];
+    const sets = rules.length > 0 ? [...ruleSets, { base: dir, rules }] : ruleSets;
+
+    const entries = fs.readdirSync(dir, { withFileTypes: true });
+    entries.sort((a, b) => (a.name < b.name ? -1 : a.name > b.name ? 1 : 0));
+
+    for (const entry of entries) {
+      const file = path.join(dir, entry.name);
+      const relPath = path.relative(root, file).split(path.sep).join('/');
+      const isDir = entry.isDirectory();
+
+      if (!isDir && !entry.isFile()) {
+        continue;
+      }
+      if (isDir && ALWAYS_SKIPPED_DIRS.includes(entry.name)) {
+        continue;
+      }
+      if (isExcluded(relPath, isDir) || isIgnored(sets, file, isDir)) {
+        continue;
+      }
+
+      if (isDir) {
+        visit(file, sets);
+      } else if (includeGlobs.length === 0 || isIncluded(relPath)) {
+        files.push(file);
+      }
+    }
+  };
+
+  visit(root, []);
+  return files;
+}
+
+/**
+ * Scan files and directories for sensitive data
+ *
+ * Directories are walked recursively, honouring .gitignore and .redaktignore
+ * files found along the way. Files named directly are always scanned. Binary
+ * files and files over maxFileSize are skipped.
+ *
+ * @example
+ * const { summary, files } = scan(['src', 'logs/app.log'], { excludeGlobs: ['*.min.js'] });
+ * if (summary.findings > 0) process.exitCode = 1;
+ *
+ * @param {string|string[]} paths - Files and directories to scan
+ * @param {ScanOptions} [options] - Scan and detect() options
+ * @returns {ScanResults}
+ */
+function scan(paths, options = {}) {
+  const {
+    includeGlobs,
+    excludeGlobs,
+    maxFileSize = DEFAULT_MAX_FILE_SIZE,
+    ignoreFiles,
+    ...detectOptions
+  } = options;
+
+  if (!Number.isInteger(maxFileSize) || maxFileSize < 1) {
+    throw new TypeError('maxFileSize must be a positive integer');
+  }
+  // Fail fast on bad options (e.g. unknown patterns)
+  detect('', detectOptions);
+
+  const targets = [];
+  for (const target of Array.isArray(paths) ? paths : [paths]) {
+    if (!fs.existsSync(target)) {
+      throw new Error(`Path not found: ${target}`);
+    }
+    if (fs.statSync(target).isDirectory()) {
+      targets.push(...walk(target, { includeGlobs, excludeGlobs, ignoreFiles }));
+    } else {
+      targets.push(target);
+    }
+  }
+
+  const files = [];
+  const skipped = [];
+
+  for (const file of targets) {
+    let buffer;
+    try {
+      if (fs.statSync(file).size > maxFileSize) {
+        skipped.push({ file, reason: 'size' });
+        continue;
+      }
+      buffer = fs.readFileSync(file);
+    } catch {
+      skipped.push({ file, reason: 'unreadable' });
+      continue;
+    }
+
+    if (isBinary(buffer)) {
+      skipped.push({ file, reason: 'binary' });
+      continue;
+    }
+
+    files.push({ file, results: detect(buffer.toString('utf8'), detectOptions) });
+  }
+
+  return { files, skipped, summary: summarize(files, skipped) };
+}
+
+module.exports = {
+  DEFAULT_MAX_FILE_SIZE,
+  scan,
+  summarize,
+  walk,
+  isBinary,
+};
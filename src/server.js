@@ -0,0 +1,345 @@
+/**
+ * redakt - HTTP service
+ * Serves redaction to programs that can't load the library, without a
+ * process per call. JSON endpoints take the text and redact()/detect()
+ * options in one body; the stream endpoint redacts a plain-text body of any
+ * size chunk by chunk, with options in the query string.
+ *
+ *   GET  /health          {"status":"ok"} (never needs the token)
+ *   GET  /patterns        listPatterns()
+ *   POST /redact          {"text": "...", ...options} -> {"text": "...", "stats"?: {...}}
+ *   POST /detect          {"text": "...", ...options} -> detect() result
+ *   POST /redact/stream   text/plain body -> redacted text/plain body
+ */
+
+const fs = require('fs');
+const http = require('http');
+const crypto = require('crypto');
+const { pipeline } = require('stream/promises');
+const { redact, detect, listPatterns } = require('./redakt');
+const { createRedactStream } = require('./stream');
+
+/**
+ * Listening address and JSON body limit used unless configured
+ */
+const SERVER_DEFAULTS = {
+  host: '127.0.0.1',
+  port: 8787,
+  maxBodySize: 1024 * 1024,
+};
+
+/**
+ * Environment variable holding the bearer token
+ */
+const TOKEN_ENV = 'REDAKT_SERVE_TOKEN';
+
+/**
+ * Checks for the kinds of request option values
+ */
+const OPTION_KINDS = {
+  list: {
+    test: (value) => Array.isArray(value) && value.every((item) => typeof item === 'string'),
+    description: 'an array of strings',
+  },
+  array: { test: Array.isArray, description: 'an array' },
+  object: {
+    test: (value) => value !== null && typeof value === 'object' && !Array.isArray(value),
+    description: 'an object',
+  },
+  strings: {
+    test: (value) =>
+      OPTION_KINDS.object.test(value) &&
+      Object.values(value).every((item) => typeof item === 'string'),
+    description: 'an object of strings',
+  },
+  boolean: { test: (value) => typeof value === 'boolean', description: 'true or false' },
+  confidence: {
+    test: (value) => typeof value === 'number' && value >= 0 && value <= 1,
+    description: 'a number between 0 and 1',
+  },
+};
+
+/**
+ * Options a request may set, by kind. Custom patterns and the vault stay
+ * with the server's own configuration.
+ */
+const REQUEST_OPTIONS = {
+  include: 'list',
+  exclude: 'list',
+  all: 'boolean',
+  locales: 'list',
+  stats: 'boolean',
+  strictValidation: 'boolean',
+  inlineIgnore: 'boolean',
+  minConfidence: 'confidence',
+  pseudonymize: 'boolean',
+  placeholders: 'strings',
+  entropy: 'object',
+  masking: 'object',
+  allowlist: 'array',
+};
+
+/**
+ * Server options
+ * @typedef {Object} ServerOptions
+ * @property {import('./redakt').RedactOptions} [defaults] - Options for every request;
+ *   options in a request override them
+ * @property {string} [token] - Require "Authorization: Bearer <token>" (except on /health)
+ * @property {number} [maxBodySize] - Largest JSON body accepted, in bytes (default 1 MiB).
+ *   The stream endpoint isn't limited: it never holds more than a chunk.
+ */
+
+/**
+ * An error answered with an HTTP status
+ */
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+/**
+ * Read the bearer token from a file or the REDAKT_SERVE_TOKEN environment variable
+ * @param {Object} [options]
+ * @param {string} [options.tokenFile] - File containing the token
+ * @param {Object} [options.env] - Environment to read from (defaults to process.env)
+ * @returns {string|null} The token, or null if none is configured
+ */
+function loadServerToken(options = {}) {
+  if (options.tokenFile) {
+    if (!fs.existsSync(options.tokenFile)) {
+      throw new Error(`Token file not found: ${options.tokenFile}`);
+    }
+    const token = fs.readFileSync(options.tokenFile, 'utf8').trim();
+    if (!token) {
+      throw new Error(`Token file is empty: ${options.tokenFile}`);
+    }
+    return token;
+  }
+
+  const env = options.env || process.env;
+  return env[TOKEN_ENV] || null;
+}
+
+/**
+ * Check request options against REQUEST_OPTIONS
+ * @param {Object} options
+ * @returns {Object} The options
+ */
+function validateRequestOptions(options) {
+  for (const [name, value] of Object.entries(options)) {
+    if (!Object.hasOwn(REQUEST_OPTIONS, name)) {
+      throw httpError(400, `Unknown option: ${name}`);
+    }
+    const kind = OPTION_KINDS[REQUEST_OPTIONS[name]];
+    if (!kind.test(value)) {
+      throw httpError(400, `Option ${name} must be ${kind.description}`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Turn stream endpoint query parameters into options: lists are
+ * comma-separated, booleans are true unless "false" or "0"
+ */
+function parseQueryOptions(searchParams) {
+  const options = {};
+  for (const [name, value] of searchParams) {
+    const kind = Object.hasOwn(REQUEST_OPTIONS, name) ? REQUEST_OPTIONS[name] : null;
+    if (kind === 'list') {
+      options[name] = value.split(',').map((item) => item.trim());
+    } else if (kind === 'boolean') {
+      options[name] = value !== 'false' && value !== '0';
+    } else {
+      throw httpError(400, `Unknown option: ${name} (the stream endpoint takes lists and flags)`);
+    }
+  }
+  return options;
+}
+
+/**
+ * Read a request body up to a size limit
+ * @returns {Promise<string>}
+ */
+function readBody(req, limit) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => httpError(413, `Request body is larger than ${limit} bytes`);
+    if (Number(req.headers['content-length']) > limit) {
+      reject(tooLarge());
+      return;
+    }
+    const chunks = [];
+    let size = 0;
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        // Discard the rest; the connection is closed after the response
+        req.removeAllListeners('data');
+        req.resume();
+        reject(tooLarge());
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Parse a JSON endpoint body into the text and its options
+ */
+async function readTextRequest(req, limit) {
+  let body;
+  try {
+    body = JSON.parse(await readBody(req, limit));
+  } catch (err) {
+    throw err.status ? err : httpError(400, `Invalid JSON body: ${err.message}`);
+  }
+  if (!body || typeof body !== 'object' || typeof body.text !== 'string') {
+    throw httpError(400, 'Request body must be a JSON object with a "text" string');
+  }
+  const { text, ...options } = body;
+  return { text, options: validateRequestOptions(options) };
+}
+
+/**
+ * Send a JSON response
+ */
+function sendJson(res, status, value, headers = {}) {
+  const body = `${JSON.stringify(value)}\n`;
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(body),
+    ...headers,
+  });
+  res.end(body);
+}
+
+/**
+ * Create the redaction HTTP server (not yet listening)
+ *
+ * @example
+ * const server = createServer({ defaults: { locales: ['de'] }, token: loadServerToken() });
+ * server.listen(SERVER_DEFAULTS.port, SERVER_DEFAULTS.host);
+ *
+ * @param {ServerOptions} [options]
+ * @returns {http.Server}
+ */
+function createServer(options = {}) {
+  const { defaults = {}, token = null, maxBodySize = SERVER_DEFAULTS.maxBodySize } = options;
+  if (!Number.isInteger(maxBodySize) || maxBodySize <= 0) {
+    throw new Error('maxBodySize must be a positive integer');
+  }
+  // Fail fast on bad defaults (e.g. unknown patterns)
+  redact('', defaults);
+
+  // Compare digests so the comparison takes the same time whatever the token
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  const expected = token ? digest(token) : null;
+  const authorized = (req) => {
+    const match = /^Bearer\s+(\S+)\s*$/i.exec(req.headers.authorization || '');
+    return match !== null && crypto.timingSafeEqual(digest(match[1]), expected);
+  };
+
+  const withDefaults = (requested) => {
+    const merged = { ...defaults, ...requested };
+    // Turning pseudonyms on keeps the server's key, if it has one
+    if (requested.pseudonymize === true && defaults.pseudonymize) {
+      merged.pseudonymize = defaults.pseudonymize;
+    }
+    return merged;
+  };
+
+  // Option errors from redakt (unknown patterns, bad masking, ...) are the client's
+  const run = (fn) => {
+    try {
+      return fn();
+    } catch (err) {
+      throw err.status ? err : httpError(400, err.message);
+    }
+  };
+
+  const routes = {
+    '/health': {
+      GET: (req, res) => sendJson(res, 200, { status: 'ok' }),
+    },
+    '/patterns': {
+      GET: (req, res) => sendJson(res, 200, listPatterns(defaults)),
+    },
+    '/redact': {
+      POST: async (req, res) => {
+        const { text, options: requested } = await readTextRequest(req, maxBodySize);
+        sendJson(
+          res,
+          200,
+          run(() => redact(text, withDefaults(requested))),
+        );
+      },
+    },
+    '/detect': {
+      POST: async (req, res) => {
+        const { text, options: requested } = await readTextRequest(req, maxBodySize);
+        sendJson(
+          res,
+          200,
+          run(() => detect(text, withDefaults(requested))),
+        );
+      },
+    },
+    '/redact/stream': {
+      POST: async (req, res, url) => {
+        const requested = parseQueryOptions(url.searchParams);
+        const stream = run(() => createRedactStream(withDefaults(requested)));
+        res.writeHead(200, { 'Content-Type': 'text/plain; charset=utf-8' });
+        try {
+          await pipeline(req, stream, res);
+        } catch {
+          // The client went away or the body broke off mid-way; nothing left to answer
+          res.destroy();
+        }
+      },
+    },
+  };
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    if (expected && url.pathname !== '/health' && !authorized(req)) {
+      res.setHeader('WWW-Authenticate', 'Bearer');
+      throw httpError(401, 'Missing or invalid bearer token');
+    }
+    const route = routes[url.pathname];
+    if (!route) {
+      throw httpError(404, `Not found: ${url.pathname}`);
+    }
+    const handler = route[req.method];
+    if (!handler) {
+      res.setHeader('Allow', Object.keys(route).join(', '));
+      throw httpError(405, `Method not allowed: ${req.method} ${url.pathname}`);
+    }
+    await handler(req, res, url);
+  };
+
+  return http.createServer((req, res) => {
+    handle(req, res).catch((err) => {
+      if (res.headersSent) {
+        res.destroy();
+        return;
+      }
+      const status = err.status || 500;
+      sendJson(
+        res,
+        status,
+        { error: status === 500 ? 'Internal server error' : err.message },
+        status === 413 ? { Connection: 'close' } : {},
+      );
+    });
+  });
+}
+
+module.exports = {
+  SERVER_DEFAULTS,
+  loadServerToken,
+  createServer,
+};
@@ -0,0 +1,167 @@
+/**
+ * redakt - Streaming redaction
+ * Transform stream for redacting logs too large (or too long-lived) to buffer
+ */
+
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { createRedactor, shareRedactState, mergeStats } = require('./redakt');
+
+/**
+ * Most text held back while waiting for a line end or the end of a PEM block
+ */
+const DEFAULT_MAX_BUFFER = 1024 * 1024;
+
+const PEM_BEGIN = /-----BEGIN (?:RSA |DSA |EC |OPENSSH )?PRIVATE KEY-----/g;
+const PEM_END = /-----END (?:RSA |DSA |EC |OPENSSH )?PRIVATE KEY-----/;
+
+/**
+ * Stream options (all redact() options are accepted too)
+ * @typedef {Object} RedactStreamOptions
+ * @property {number} [maxBuffer] - Most characters held back before forcing a cut
+ *   (default 1 MiB). Matches spanning a forced cut may be missed.
+ */
+
+/**
+ * Find how much of the buffer can be redacted without splitting a match
+ *
+ * Text is released a line at a time. An unterminated PEM private key block is
+ * held back from its BEGIN line so the whole block is redacted together.
+ *
+ * @param {string} buffer - Pending text
+ * @returns {number} Number of leading characters safe to process (0 = wait)
+ */
+function findSafeCut(buffer) {
+  let cut = buffer.lastIndexOf('\n') + 1;
+  if (cut === 0) {
+    return 0;
+  }
+
+  let lastBegin = -1;
+  PEM_BEGIN.lastIndex = 0;
+  for (let m = PEM_BEGIN.exec(buffer); m; m = PEM_BEGIN.exec(buffer)) {
+    lastBegin = m.index;
+  }
+
+  if (lastBegin >= 0 && lastBegin < cut && !PEM_END.test(buffer.slice(lastBegin, cut))) {
+    cut = Math.min(cut, buffer.lastIndexOf('\n', lastBegin) + 1);
+  }
+
+  return cut;
+}
+
+/**
+ * Choose where to cut a buffer that outgrew maxBuffer
+ * Prefers a line end, then whitespace, and never splits a surrogate pair
+ * @param {string} buffer - Pending text
+ * @param {number} maxBuffer - Buffer limit
+ * @returns {number} Number of leading characters to process
+ */
+function findForcedCut(buffer, maxBuffer) {
+  const newline = buffer.lastIndexOf('\n');
+  if (newline >= 0) {
+    return newline + 1;
+  }
+
+  const window = buffer.slice(0, maxBuffer);
+  const space = Math.max(window.lastIndexOf(' '), window.lastIndexOf('\t'));
+  if (space > 0) {
+    return space + 1;
+  }
+
+  let cut = Math.min(maxBuffer, buffer.length);
+  const code = buffer.charCodeAt(cut - 1);
+  if (code >= 0xd800 && code <= 0xdbff) {
+    cut--;
+  }
+  return cut;
+}
+
+/**
+ * Create a Transform stream that redacts text flowing through it
+ *
+ * Pseudonym tokens and vault entries stay consistent across the whole stream.
+ * Statistics are available as `stream.stats` and emitted as a 'stats' event
+ * once all input has been processed.
+ *
+ * @example
+ * fs.createReadStream('huge.log')
+ *   .pipe(createRedactStream({ pseudonymize: true }))
+ *   .on('stats', (stats) => console.error(stats))
+ *   .pipe(process.stdout);
+ *
+ * @param {RedactStreamOptions} [options] - Stream and redact() options
+ * @returns {Transform} Redacting stream (bytes or strings in, UTF-8 strings out)
+ */
+function createRedactStream(options = {}) {
+  const { maxBuffer = DEFAULT_MAX_BUFFER, ...redactOptions } = options;
+
+  if (!Number.isInteger(maxBuffer) || maxBuffer < 1) {
+    throw new TypeError('maxBuffer must be a positive integer');
+  }
+
+  // Pseudonyms and vault entries are shared by every segment; the vault is saved at the end
+  const shared = shareRedactState(redactOptions);
+  // Compiled once, which also fails fast on bad options (e.g. unknown patterns)
+  const redactSegment = createRedactor({ ...shared.options, stats: true });
+
+  const decoder = new StringDecoder('utf8');
+  const stats = { total: 0, byType: {} };
+  let buffer = '';
+
+  const processSegment = (segment) => {
+    const result = redactSegment(segment);
+    mergeStats(stats, result.stats);
+    return result.text;
+  };
+
+  const stream = new Transform({
+    decodeStrings: false,
+
+    transform(chunk, encoding, callback) {
+      try {
+        buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+
+        let cut = findSafeCut(buffer);
+        if (cut === 0 && buffer.length > maxBuffer) {
+          cut = findForcedCut(buffer, maxBuffer);
+        }
+
+        if (cut > 0) {
+          const segment = buffer.slice(0, cut);
+          buffer = buffer.slice(cut);
+          this.push(processSegment(segment));
+        }
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+
+    flush(callback) {
+      try {
+        buffer += decoder.end();
+        if (buffer) {
+          this.push(processSegment(buffer));
+          buffer = '';
+        }
+        shared.finish();
+        stream.emit('stats', stats);
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+  });
+
+  stream.setEncoding('utf8');
+  stream.stats = stats;
+  return stream;
+}
+
+module.exports = {
+  DEFAULT_MAX_BUFFER,
+  createRedactStream,
+  findSafeCut,
+  findForcedCut,
+};
@@ -0,0 +1,298 @@
+/**
+ * redakt - Structure-aware redaction for JSON values and NDJSON logs
+ * Applies the text patterns to string leaves and redacts whole values whose
+ * key names look sensitive, without ever breaking JSON syntax
+ */
+
+const { Transform } = require('stream');
+const { StringDecoder } = require('string_decoder');
+const { createRedactor, shareRedactState, mergeStats } = require('./redakt');
+
+/**
+ * Key names whose values are always redacted
+ * Matched case-insensitively against the key with separators removed, so
+ * "password" also covers "dbPassword", "PASSWORD_HASH" and "user-password"
+ */
+const DEFAULT_SENSITIVE_KEYS = [
+  'password',
+  'passwd',
+  'passphrase',
+  'secret',
+  'authorization',
+  'cookie',
+  'apikey',
+  'privatekey',
+  'accesstoken',
+  'refreshtoken',
+  'idtoken',
+  'authtoken',
+  'sessionid',
+  'credential',
+  /^token$/i,
+];
+
+/**
+ * Placeholder for values redacted because of their key name
+ */
+const KEY_PLACEHOLDER = '[REDACTED]';
+
+/**
+ * Structured redaction options (all redact() options are accepted too)
+ * @typedef {Object} RedactObjectOptions
+ * @property {Array<string|RegExp>} [sensitiveKeys] - Key rules (defaults to DEFAULT_SENSITIVE_KEYS).
+ *   Strings match anywhere in the normalized key; RegExps are tested against the raw key.
+ * @property {string} [keyPlaceholder] - Replacement for sensitive-key values (default [REDACTED])
+ */
+
+/**
+ * Build a predicate from key rules
+ * @param {Array<string|RegExp>} rules
+ * @returns {function(string): boolean}
+ */
+function createKeyMatcher(rules = DEFAULT_SENSITIVE_KEYS) {
+  const substrings = [];
+  const regexes = [];
+
+  for (const rule of rules) {
+    if (rule instanceof RegExp) {
+      regexes.push(rule);
+    } else if (typeof rule === 'string' && rule) {
+      substrings.push(normalizeKey(rule));
+    } else {
+      throw new TypeError('Sensitive keys must be strings or regular expressions');
+    }
+  }
+
+  return (key) => {
+    const normalized = normalizeKey(key);
+    return substrings.some((s) => normalized.includes(s)) || regexes.some((r) => r.test(key));
+  };
+}
+
+/**
+ * Lowercase a key and drop separators (X-Api-Key -> xapikey)
+ */
+function normalizeKey(key) {
+  return String(key)
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Compile options into a reusable object redactor
+ *
+ * The key matcher and text patterns are resolved once (see createRedactor),
+ * for callers that redact many values with the same options. A vault is
+ * saved once, by finish().
+ *
+ * @param {RedactObjectOptions} [options]
+ * @returns {function(*): {value: *, stats?: import('./redakt').RedactStats}} Redacts one
+ *   value as redactObject(value, options) would, with a finish() method saving the vault
+ */
+function createObjectRedactor(options = {}) {
+  const { sensitiveKeys, keyPlaceholder = KEY_PLACEHOLDER, ...redactOptions } = options;
+  const isSensitiveKey = createKeyMatcher(sensitiveKeys);
+  const shared = shareRedactState(redactOptions);
+  const redactLeaf = createRedactor({ ...shared.options, stats: true });
+
+  const redactor = (value) => {
+    const stats = { total: 0, byType: {} };
+    const seen = new WeakSet();
+
+    const walk = (node) => {
+      if (typeof node === 'string') {
+        const result = redactLeaf(node);
+        mergeStats(stats, result.stats);
+        return result.text;
+      }
+
+      if (!node || typeof node !== 'object') {
+        return node;
+      }
+
+      if (seen.has(node)) {
+        return '[Circular]';
+      }
+
+      if (Array.isArray(node)) {
+        seen.add(node);
+        const copy = node.map(walk);
+        seen.delete(node);
+        return copy;
+      }
+
+      // Leave Dates, Buffers and other class instances to their own serialization
+      const proto = Object.getPrototypeOf(node);
+      if (proto !== Object.prototype && proto !== null) {
+        return node;
+      }
+
+      seen.add(node);
+      const copy = {};
+      for (const [key, child] of Object.entries(node)) {
+        if (isSensitiveKey(key) && child !== null && child !== '') {
+          copy[key] = keyPlaceholder;
+          mergeStats(stats, { total: 1, byType: { sensitiveKey: 1 } });
+        } else {
+          copy[key] = walk(child);
+        }
+      }
+      seen.delete(node);
+      return copy;
+    };
+
+    const result = walk(value);
+
+    if (options.stats) {
+      return { value: result, stats };
+    }
+
+    return { value: result };
+  };
+  redactor.finish = shared.finish;
+  return redactor;
+}
+
+/**
+ * Redact sensitive data in a JSON-compatible value
+ *
+ * Objects and arrays are walked (the input is not modified), string leaves go
+ * through redact(), and values under sensitive keys are replaced entirely.
+ * Circular references are replaced with "[Circular]".
+ *
+ * @example
+ * redactObject({ user: 'a@x.com', password: 'hunter2' }).value;
+ * // { user: '[EMAIL]', password: '[REDACTED]' }
+ *
+ * @param {*} value - Value to redact
+ * @param {RedactObjectOptions} [options]
+ * @returns {{value: *, stats?: import('./redakt').RedactStats}} Redacted copy and optional stats
+ */
+function redactObject(value, options = {}) {
+  const redactor = createObjectRedactor(options);
+  const result = redactor(value);
+  redactor.finish();
+  return result;
+}
+
+/**
+ * Redact a JSON document
+ * @param {string} text - JSON text
+ * @param {RedactObjectOptions} [options]
+ * @returns {{text: string, stats?: Object}} Redacted JSON (2-space indented)
+ */
+function redactJson(text, options = {}) {
+  let parsed;
+  try {
+    parsed = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Invalid JSON input: ${err.message}`);
+  }
+
+  const result = redactObject(parsed, options);
+  const output = `${JSON.stringify(result.value, null, 2)}\n`;
+
+  if (options.stats) {
+    return { text: output, stats: result.stats };
+  }
+
+  return { text: output };
+}
+
+/**
+ * Create a Transform stream that redacts NDJSON (one JSON value per line)
+ *
+ * Each line is parsed and redacted with redactObject(), so every output line is
+ * valid JSON. Lines with nothing to redact are passed through as they were;
+ * redacted lines are re-serialized, which rounds integers beyond 2^53 (IDs
+ * should be strings). Lines that aren't JSON fall back to plain text redaction
+ * and are counted in stats.invalidLines. Stats are emitted as a 'stats' event
+ * at the end.
+ *
+ * @param {RedactObjectOptions} [options]
+ * @returns {Transform} Redacting stream
+ */
+function createNdjsonRedactStream(options = {}) {
+  // Share pseudonyms and the vault across lines; saved once at the end
+  const shared = shareRedactState(options);
+  // Compiled once, which also fails fast on bad options (e.g. unknown patterns)
+  const redactValue = createObjectRedactor({ ...shared.options, stats: true });
+  const redactText = createRedactor({ ...shared.options, stats: true });
+
+  const decoder = new StringDecoder('utf8');
+  const stats = { total: 0, byType: {}, lines: 0, invalidLines: 0 };
+  let buffer = '';
+
+  const processLine = (line) => {
+    if (!line.trim()) {
+      return line;
+    }
+
+    stats.lines++;
+    const eol = line.endsWith('\r') ? '\r' : '';
+    const body = eol ? line.slice(0, -1) : line;
+
+    let result;
+    try {
+      result = redactValue(JSON.parse(body));
+      // Re-serializing rounds integers past 2^53, so only changed lines pay for it
+      result.text = result.stats.total > 0 ? JSON.stringify(result.value) + eol : line;
+    } catch (err) {
+      if (!(err instanceof SyntaxError)) {
+        throw err;
+      }
+      stats.invalidLines++;
+      result = redactText(line);
+    }
+
+    mergeStats(stats, result.stats);
+    return result.text;
+  };
+
+  const stream = new Transform({
+    decodeStrings: false,
+
+    transform(chunk, encoding, callback) {
+      try {
+        buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        if (lines.length > 0) {
+          this.push(lines.map((line) => `${processLine(line)}\n`).join(''));
+        }
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+
+    flush(callback) {
+      try {
+        buffer += decoder.end();
+        if (buffer) {
+          this.push(processLine(buffer));
+          buffer = '';
+        }
+        shared.finish();
+        stream.emit('stats', stats);
+        callback();
+      } catch (err) {
+        callback(err);
+      }
+    },
+  });
+
+  stream.setEncoding('utf8');
+  stream.stats = stats;
+  return stream;
+}
+
+module.exports = {
+  DEFAULT_SENSITIVE_KEYS,
+  KEY_PLACEHOLDER,
+  createKeyMatcher,
+  createObjectRedactor,
+  redactObject,
+  redactJson,
+  createNdjsonRedactStream,
+};
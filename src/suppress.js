@@ -0,0 +1,162 @@
+/**
+ * redakt - Allowlists and inline suppression comments
+ * Lets known-safe values (test card numbers, localhost, noreply addresses)
+ * and commented lines through without being redacted or reported
+ */
+
+/**
+ * Marks the line it is on
+ */
+const IGNORE_COMMENT = 'redakt:ignore';
+
+/**
+ * Marks the line after it
+ */
+const IGNORE_NEXT_LINE_COMMENT = 'redakt:ignore-next-line';
+
+const IGNORE_REGEX = /redakt:ignore(-next-line)?(?![\w-])/g;
+
+/**
+ * One allowlist rule
+ *
+ * A string is an exact value and a RegExp is tested against the matched value,
+ * both for every pattern. Objects limit a value or regex to one pattern.
+ *
+ * @typedef {string|RegExp|{value: string, pattern?: string}|{regex: (RegExp|string), flags?: string, pattern?: string}} AllowRule
+ */
+
+/**
+ * Copy a regex without the stateful g/y flags so test() always starts at 0
+ */
+function toTester(regex, flags = '') {
+  if (regex instanceof RegExp) {
+    return new RegExp(regex.source, regex.flags.replace(/[gy]/g, ''));
+  }
+  return new RegExp(regex, flags.replace(/[gy]/g, ''));
+}
+
+/**
+ * Compile allowlist rules into a predicate
+ * @param {AllowRule[]} [rules]
+ * @returns {function(string, string): boolean|null} (patternName, value) => allowed,
+ *   or null when there are no rules
+ */
+function compileAllowlist(rules) {
+  if (rules === undefined || rules === null) {
+    return null;
+  }
+  if (!Array.isArray(rules)) {
+    throw new TypeError('allowlist must be an array');
+  }
+  if (rules.length === 0) {
+    return null;
+  }
+
+  const values = new Set();
+  const scoped = [];
+
+  for (const rule of rules) {
+    if (typeof rule === 'string') {
+      values.add(rule);
+    } else if (rule instanceof RegExp) {
+      scoped.push({ pattern: null, regex: toTester(rule) });
+    } else if (rule && typeof rule === 'object') {
+      if (rule.pattern !== undefined && typeof rule.pattern !== 'string') {
+        throw new TypeError('allowlist rule "pattern" must be a pattern name');
+      }
+      const pattern = rule.pattern || null;
+      if (typeof rule.value === 'string') {
+        scoped.push({ pattern, value: rule.value });
+      } else if (rule.regex instanceof RegExp || typeof rule.regex === 'string') {
+        let regex;
+        try {
+          regex = toTester(rule.regex, rule.flags);
+        } catch (err) {
+          throw new TypeError(`Invalid allowlist regex: ${err.message}`);
+        }
+        scoped.push({ pattern, regex });
+      } else {
+        throw new TypeError('allowlist rules need a "value" string or a "regex"');
+      }
+    } else {
+      throw new TypeError('allowlist rules must be strings, regular expressions or objects');
+    }
+  }
+
+  return (patternName, value) => {
+    if (values.has(value)) {
+      return true;
+    }
+    return scoped.some(
+      (rule) =>
+        (rule.pattern === null || rule.pattern === patternName) &&
+        (rule.regex ? rule.regex.test(value) : rule.value === value),
+    );
+  };
+}
+
+/**
+ * Find the lines silenced by redakt:ignore / redakt:ignore-next-line comments
+ * @param {string} text
+ * @returns {function(number): boolean|null} offset => ignored, or null if the
+ *   text has no suppression comments
+ */
+function findIgnoredLines(text) {
+  if (!text.includes(IGNORE_COMMENT)) {
+    return null;
+  }
+
+  const lineStart = (offset) => text.lastIndexOf('\n', offset - 1) + 1;
+  const lineEnd = (offset) => {
+    const end = text.indexOf('\n', offset);
+    return end === -1 ? text.length : end;
+  };
+
+  const ranges = [];
+  for (const m of text.matchAll(IGNORE_REGEX)) {
+    if (m[1]) {
+      const next = lineEnd(m.index) + 1;
+      if (next <= text.length) {
+        ranges.push({ start: next, end: lineEnd(next) });
+      }
+    } else {
+      ranges.push({ start: lineStart(m.index), end: lineEnd(m.index) });
+    }
+  }
+
+  return (offset) => ranges.some((r) => offset >= r.start && offset <= r.end);
+}
+
+/**
+ * Build the suppression check for one text
+ * @param {string} text - Text being scanned
+ * @param {{allowlist?: AllowRule[], inlineIgnore?: boolean}} options
+ * @param {function} [allowed] - Precompiled allowlist (from compileAllowlist)
+ * @returns {function(string, string, number): string|null} (patternName, value, offset) =>
+ *   "allowlist", "inline" or null when the match should be kept; null overall if
+ *   nothing can be suppressed
+ */
+function createSuppressor(text, options, allowed = compileAllowlist(options.allowlist)) {
+  const ignored = options.inlineIgnore ? findIgnoredLines(text) : null;
+  if (!allowed && !ignored) {
+    return null;
+  }
+
+  return (patternName, value, offset) => {
+    if (allowed && allowed(patternName, value)) {
+      return 'allowlist';
+    }
+    if (ignored && ignored(offset)) {
+      return 'inline';
+    }
+    return null;
+  };
+}
+
+module.exports = {
+  IGNORE_COMMENT,
+  IGNORE_NEXT_LINE_COMMENT,
+  compileAllowlist,
+  findIgnoredLines,
+  createSuppressor,
+};
@@ -0,0 +1,335 @@
+/**
+ * redakt - Checksum and format validators
+ * Used by patterns' validate() hooks (with strictValidation) to reject matches
+ * that have the right shape but can't be real identifiers
+ */
+
+/**
+ * Luhn (mod 10) checksum, used by payment card numbers
+ * @param {string} value - Digits, optionally with spaces or dashes
+ * @returns {boolean} True if the checksum is valid
+ */
+function luhn(value) {
+  const digits = String(value).replace(/[\s-]/g, '');
+  if (!/^\d{2,}$/.test(digits)) {
+    return false;
+  }
+
+  let sum = 0;
+  let double = false;
+  for (let i = digits.length - 1; i >= 0; i--) {
+    let d = digits.charCodeAt(i) - 48;
+    if (double) {
+      d *= 2;
+      if (d > 9) {
+        d -= 9;
+      }
+    }
+    sum += d;
+    double = !double;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * US Social Security Number issuance rules
+ * Area can't be 000, 666 or 900-999; group can't be 00; serial can't be 0000
+ * @param {string} value - SSN with dashes or spaces
+ * @returns {boolean} True if the number could have been issued
+ */
+function ssn(value) {
+  const digits = String(value).replace(/[\s-]/g, '');
+  if (!/^\d{9}$/.test(digits)) {
+    return false;
+  }
+
+  const area = Number(digits.slice(0, 3));
+  const group = Number(digits.slice(3, 5));
+  const serial = Number(digits.slice(5));
+
+  return area !== 0 && area !== 666 && area < 900 && group !== 0 && serial !== 0;
+}
+
+/**
+ * Compute a number modulo 97 from its decimal string (too long for Number)
+ * @param {string} digits - Decimal digits
+ * @returns {number} Remainder
+ */
+function mod97(digits) {
+  let remainder = 0;
+  for (let i = 0; i < digits.length; i += 7) {
+    remainder = Number(`${remainder}${digits.slice(i, i + 7)}`) % 97;
+  }
+  return remainder;
+}
+
+/**
+ * Countries using IBANs, by IBAN length (SWIFT IBAN registry)
+ */
+const IBAN_COUNTRIES = {
+  15: 'NO',
+  16: 'BE',
+  18: 'DK FI FK FO GL NL SD',
+  19: 'MK SI',
+  20: 'AT BA EE KZ LT LU MN XK',
+  21: 'CH HR LI LV',
+  22: 'BG BH CR DE GB GE IE ME RS VA',
+  23: 'AE GI IL IQ OM SO TL',
+  24: 'AD CZ ES MD PK RO SA SE SK TN VG',
+  25: 'LY PT ST',
+  26: 'IS TR',
+  27: 'BI DJ FR GR IT MC MR SM',
+  28: 'AL AZ BY CY DO GT HU LB NI PL SV',
+  29: 'BR EG PS QA UA',
+  30: 'JO KW MU YE',
+  31: 'MT SC',
+  32: 'LC',
+  33: 'RU',
+};
+
+/**
+ * IBAN length by country code
+ */
+const IBAN_LENGTHS = Object.fromEntries(
+  Object.entries(IBAN_COUNTRIES).flatMap(([length, countries]) =>
+    countries.split(' ').map((country) => [country, Number(length)]),
+  ),
+);
+
+/**
+ * IBAN check digits (ISO 13616 mod 97-10), for a country's IBAN length
+ * @param {string} value - IBAN, optionally grouped with spaces
+ * @returns {boolean} True if the check digits are valid
+ */
+function iban(value) {
+  const compact = String(value).replace(/\s/g, '').toUpperCase();
+  if (
+    !/^[A-Z]{2}\d{2}[A-Z0-9]+$/.test(compact) ||
+    IBAN_LENGTHS[compact.slice(0, 2)] !== compact.length
+  ) {
+    return false;
+  }
+
+  // Move the country code and check digits to the end, then letters -> numbers (A=10)
+  const rearranged = compact.slice(4) + compact.slice(0, 4);
+  const numeric = rearranged.replace(/[A-Z]/g, (c) => String(c.charCodeAt(0) - 55));
+
+  return mod97(numeric) === 1;
+}
+
+/**
+ * Canadian Social Insurance Number: Luhn checksum, and 0 and 8 are never
+ * used as the first digit
+ * @param {string} value - SIN, optionally grouped with spaces or dashes
+ * @returns {boolean} True if the number could have been issued
+ */
+function sin(value) {
+  const digits = String(value).replace(/[\s-]/g, '');
+  return /^[1-79]\d{8}$/.test(digits) && luhn(digits);
+}
+
+/**
+ * German tax identification number (Steuer-IdNr)
+ * In the first ten digits exactly one digit appears two or three times and no
+ * other repeats; the eleventh is an ISO 7064 MOD 11,10 check digit.
+ * @param {string} value - Tax ID, optionally grouped with spaces
+ * @returns {boolean} True if the structure and check digit are valid
+ */
+function deTaxId(value) {
+  const digits = String(value).replace(/\s/g, '');
+  if (!/^[1-9]\d{10}$/.test(digits)) {
+    return false;
+  }
+
+  const counts = new Map();
+  for (const d of digits.slice(0, 10)) {
+    counts.set(d, (counts.get(d) || 0) + 1);
+  }
+  const repeated = [...counts.values()].filter((count) => count > 1);
+  if (repeated.length !== 1 || repeated[0] > 3) {
+    return false;
+  }
+
+  let product = 10;
+  for (let i = 0; i < 10; i++) {
+    const sum = (Number(digits[i]) + product) % 10 || 10;
+    product = (sum * 2) % 11;
+  }
+  return (11 - product) % 10 === Number(digits[10]);
+}
+
+/**
+ * Verhoeff multiplication and permutation tables
+ */
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 2, 3, 4, 0, 6, 7, 8, 9, 5],
+  [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7],
+  [4, 0, 1, 2, 3, 9, 5, 6, 7, 8],
+  [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2],
+  [7, 6, 5, 9, 8, 2, 1, 0, 4, 3],
+  [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0],
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9],
+  [1, 5, 7, 6, 2, 8, 3, 0, 9, 4],
+  [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7],
+  [9, 4, 5, 3, 1, 2, 6, 8, 7, 0],
+  [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5],
+  [7, 0, 4, 6, 9, 1, 3, 2, 5, 8],
+];
+
+/**
+ * Verhoeff checksum, used by Indian Aadhaar numbers
+ * @param {string} value - Digits, optionally grouped with spaces or dashes
+ * @returns {boolean} True if the checksum is valid
+ */
+function verhoeff(value) {
+  const digits = String(value).replace(/[\s-]/g, '');
+  if (!/^\d{2,}$/.test(digits)) {
+    return false;
+  }
+
+  let check = 0;
+  for (let i = 0; i < digits.length; i++) {
+    const d = digits.charCodeAt(digits.length - 1 - i) - 48;
+    check = VERHOEFF_D[check][VERHOEFF_P[i % 8][d]];
+  }
+  return check === 0;
+}
+
+/**
+ * Mod-11 check digit used by Brazilian CPF and CNPJ numbers
+ * @param {string} digits - Digits before the check digit
+ * @param {number[]} weights - One weight per digit
+ * @returns {number} Check digit
+ */
+function mod11CheckDigit(digits, weights) {
+  let sum = 0;
+  for (let i = 0; i < weights.length; i++) {
+    sum += Number(digits[i]) * weights[i];
+  }
+  const remainder = sum % 11;
+  return remainder < 2 ? 0 : 11 - remainder;
+}
+
+/**
+ * Brazilian individual taxpayer number (CPF): two mod-11 check digits
+ * Numbers made of one repeated digit pass the checksum but are invalid.
+ * @param {string} value - CPF, optionally formatted as 123.456.789-09
+ * @returns {boolean} True if the check digits are valid
+ */
+function cpf(value) {
+  const digits = String(value).replace(/[.\s-]/g, '');
+  if (!/^\d{11}$/.test(digits) || /^(\d)\1{10}$/.test(digits)) {
+    return false;
+  }
+  return (
+    mod11CheckDigit(digits, [10, 9, 8, 7, 6, 5, 4, 3, 2]) === Number(digits[9]) &&
+    mod11CheckDigit(digits, [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]) === Number(digits[10])
+  );
+}
+
+/**
+ * Brazilian company number (CNPJ): two mod-11 check digits
+ * @param {string} value - CNPJ, optionally formatted as 11.222.333/0001-81
+ * @returns {boolean} True if the check digits are valid
+ */
+function cnpj(value) {
+  const digits = String(value).replace(/[./\s-]/g, '');
+  if (!/^\d{14}$/.test(digits) || /^(\d)\1{13}$/.test(digits)) {
+    return false;
+  }
+  return (
+    mod11CheckDigit(digits, [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]) === Number(digits[12]) &&
+    mod11CheckDigit(digits, [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]) === Number(digits[13])
+  );
+}
+
+/**
+ * CRC-32 (IEEE) lookup table
+ */
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * CRC-32 (IEEE) of a string's UTF-8 bytes
+ * @param {string} value
+ * @returns {number} Unsigned 32-bit checksum
+ */
+function crc32(value) {
+  let crc = 0xffffffff;
+  for (const byte of Buffer.from(String(value), 'utf8')) {
+    crc = CRC32_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Base62 digits used by token checksums
+ */
+const BASE62 = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz';
+
+/**
+ * Checksum suffix of GitHub and npm tokens (prefix_, 30 random characters, then
+ * the CRC-32 of the random part in 6 base62 digits)
+ * Tokens in other formats (older or fine-grained GitHub tokens) carry no
+ * checksum and are accepted.
+ * @param {string} value - Token such as ghp_... or npm_...
+ * @returns {boolean} False only when a checksummed token's suffix is wrong
+ */
+function tokenChecksum(value) {
+  const m = /^[a-z]{3}_([A-Za-z0-9]{30})([A-Za-z0-9]{6})$/.exec(String(value));
+  if (!m) {
+    return true;
+  }
+  let n = crc32(m[1]);
+  let encoded = '';
+  do {
+    encoded = BASE62[n % 62] + encoded;
+    n = Math.floor(n / 62);
+  } while (n > 0);
+  return encoded.padStart(6, '0') === m[2];
+}
+
+/**
+ * Validators that config files can reference by name
+ */
+const validators = {
+  luhn,
+  ssn,
+  iban,
+  sin,
+  deTaxId,
+  verhoeff,
+  cpf,
+  cnpj,
+  tokenChecksum,
+};
+
+module.exports = {
+  validators,
+  luhn,
+  ssn,
+  iban,
+  IBAN_COUNTRIES,
+  mod97,
+  sin,
+  deTaxId,
+  verhoeff,
+  cpf,
+  cnpj,
+  crc32,
+  tokenChecksum,
+};
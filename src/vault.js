@@ -0,0 +1,256 @@
+/**
+ * redakt - Encrypted vault for reversible redaction
+ * Stores a placeholder -> original value mapping encrypted with AES-256-GCM,
+ * so redacted text can be restored later by whoever holds the key
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const { createPseudonymizer } = require('./pseudonymize');
+
+/**
+ * Environment variable consulted for the vault key when no key file is given
+ */
+const VAULT_KEY_ENV = 'REDAKT_VAULT_KEY';
+
+const VAULT_VERSION = 1;
+const CIPHER = 'aes-256-gcm';
+
+/**
+ * Vault options
+ * @typedef {Object} VaultOptions
+ * @property {string} file - Vault file path
+ * @property {string|Buffer} key - Key material (any length; stretched with scrypt)
+ */
+
+/**
+ * Read vault key material from a file or the REDAKT_VAULT_KEY environment variable
+ * @param {Object} [options]
+ * @param {string} [options.keyFile] - File containing the key
+ * @param {Object} [options.env] - Environment to read from (defaults to process.env)
+ * @returns {string} Key material
+ */
+function loadVaultKey(options = {}) {
+  if (options.keyFile) {
+    if (!fs.existsSync(options.keyFile)) {
+      throw new Error(`Vault key file not found: ${options.keyFile}`);
+    }
+    const key = fs.readFileSync(options.keyFile, 'utf8').trim();
+    if (!key) {
+      throw new Error(`Vault key file is empty: ${options.keyFile}`);
+    }
+    return key;
+  }
+
+  const env = options.env || process.env;
+  if (env[VAULT_KEY_ENV]) {
+    return env[VAULT_KEY_ENV];
+  }
+
+  throw new Error(`No vault key: pass a key file or set ${VAULT_KEY_ENV}`);
+}
+
+/**
+ * Stretch key material into an AES-256 key
+ */
+function deriveKey(key, salt) {
+  if ((typeof key !== 'string' && !Buffer.isBuffer(key)) || key.length === 0) {
+    throw new TypeError('Vault key must be a non-empty string or Buffer');
+  }
+  return crypto.scryptSync(key, salt, 32);
+}
+
+/**
+ * Encrypt a mapping into the on-disk vault format
+ * @param {Object.<string, string>} mapping - Placeholder -> original value
+ * @param {string|Buffer} key - Key material
+ * @returns {Object} Serializable vault envelope
+ */
+function encryptMapping(mapping, key) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(CIPHER, deriveKey(key, salt), iv);
+  const data = Buffer.concat([cipher.update(JSON.stringify(mapping), 'utf8'), cipher.final()]);
+
+  return {
+    version: VAULT_VERSION,
+    cipher: CIPHER,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    data: data.toString('base64'),
+  };
+}
+
+/**
+ * Decrypt a vault envelope
+ * @param {Object} envelope - Vault envelope from encryptMapping()
+ * @param {string|Buffer} key - Key material
+ * @returns {Object.<string, string>} Placeholder -> original value
+ */
+function decryptMapping(envelope, key) {
+  if (!envelope || envelope.version !== VAULT_VERSION || envelope.cipher !== CIPHER) {
+    throw new Error('Unsupported vault format');
+  }
+
+  const salt = Buffer.from(envelope.salt, 'base64');
+  const decipher = crypto.createDecipheriv(
+    CIPHER,
+    deriveKey(key, salt),
+    Buffer.from(envelope.iv, 'base64'),
+  );
+  decipher.setAuthTag(Buffer.from(envelope.tag, 'base64'));
+
+  let plaintext;
+  try {
+    plaintext = Buffer.concat([
+      decipher.update(Buffer.from(envelope.data, 'base64')),
+      decipher.final(),
+    ]);
+  } catch {
+    throw new Error('Cannot decrypt vault: wrong key or corrupted file');
+  }
+
+  return JSON.parse(plaintext.toString('utf8'));
+}
+
+/**
+ * Read and decrypt a vault file
+ * @param {string} file - Vault file path
+ * @param {string|Buffer} key - Key material
+ * @returns {Object.<string, string>} Placeholder -> original value
+ */
+function readVault(file, key) {
+  if (!fs.existsSync(file)) {
+    throw new Error(`Vault file not found: ${file}`);
+  }
+
+  let envelope;
+  try {
+    envelope = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`Invalid vault ${file}: ${err.message}`);
+  }
+
+  return decryptMapping(envelope, key);
+}
+
+/**
+ * Encrypt and write a vault file (readable by the owner only)
+ * @param {string} file - Vault file path
+ * @param {Object.<string, string>} mapping - Placeholder -> original value
+ * @param {string|Buffer} key - Key material
+ */
+function writeVault(file, mapping, key) {
+  const envelope = encryptMapping(mapping, key);
+  fs.writeFileSync(file, `${JSON.stringify(envelope, null, 2)}\n`, { mode: 0o600 });
+}
+
+/**
+ * Open a vault for a redaction run
+ *
+ * An existing vault is decrypted first, so values seen in earlier runs keep
+ * their placeholders and numbering continues.
+ *
+ * @param {VaultOptions} options
+ * @param {Object} [pseudonymizeOptions] - Passed to createPseudonymizer (e.g. { key })
+ * @returns {{pseudonymizer: Object, record: function(string, string): void, save: function(): void}}
+ */
+function openVault(options, pseudonymizeOptions = {}) {
+  if (!options || !options.file) {
+    throw new TypeError('Vault requires a file');
+  }
+
+  const mapping = fs.existsSync(options.file) ? readVault(options.file, options.key) : {};
+  // Validate the key up front rather than after redacting everything
+  deriveKey(options.key, Buffer.alloc(0));
+
+  return {
+    pseudonymizer: createPseudonymizer({ ...pseudonymizeOptions, seed: mapping }),
+    record(token, original) {
+      mapping[token] = original;
+    },
+    save() {
+      writeVault(options.file, mapping, options.key);
+    },
+  };
+}
+
+/**
+ * Work out which part of a match a token replaced
+ *
+ * Patterns may keep part of the match (urlWithCreds keeps the scheme and host),
+ * so the original is whatever sits between the replacement's prefix and suffix.
+ *
+ * @param {string} match - Original matched text
+ * @param {string} replacement - Replacement containing the token
+ * @param {string} token - Token inserted by the pattern
+ * @returns {string} Text the token stands for
+ */
+function replacedValue(match, replacement, token) {
+  const index = replacement.indexOf(token);
+  const prefix = replacement.slice(0, index);
+  const suffix = replacement.slice(index + token.length);
+
+  if (index >= 0 && match.startsWith(prefix) && match.endsWith(suffix)) {
+    return match.slice(prefix.length, match.length - suffix.length);
+  }
+  return match;
+}
+
+/**
+ * Restore options
+ * @typedef {Object} RestoreOptions
+ * @property {VaultOptions} [vault] - Vault to read the mapping from
+ * @property {Object.<string, string>} [mapping] - Mapping to use instead of a vault
+ * @property {boolean} [stats] - Track and return statistics
+ */
+
+/**
+ * Put original values back in place of vault placeholders
+ * @param {string} text - Text containing placeholders
+ * @param {RestoreOptions} options
+ * @returns {{text: string, stats?: {total: number, unknown: number}}} Restored text
+ */
+function restore(text, options = {}) {
+  if (typeof text !== 'string') {
+    throw new TypeError('Input must be a string');
+  }
+
+  let mapping = options.mapping;
+  if (!mapping) {
+    if (!options.vault || !options.vault.file) {
+      throw new TypeError('restore() requires a vault or a mapping');
+    }
+    mapping = readVault(options.vault.file, options.vault.key);
+  }
+
+  let total = 0;
+  let unknown = 0;
+  const result = text.replace(/\[[A-Za-z0-9_]+\]/g, (token) => {
+    if (Object.prototype.hasOwnProperty.call(mapping, token)) {
+      total++;
+      return mapping[token];
+    }
+    unknown++;
+    return token;
+  });
+
+  if (options.stats) {
+    return { text: result, stats: { total, unknown } };
+  }
+
+  return { text: result };
+}
+
+module.exports = {
+  VAULT_KEY_ENV,
+  loadVaultKey,
+  encryptMapping,
+  decryptMapping,
+  readVault,
+  writeVault,
+  openVault,
+  replacedValue,
+  restore,
+};
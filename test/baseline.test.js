@@ -0,0 +1,142 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createBaseline,
+  loadBaseline,
+  writeBaseline,
+  filterBaseline,
+  pruneBaseline,
+} = require('../src/baseline');
+const { detect } = require('../src/redakt');
+
+const entriesFor = (files) =>
+  Object.entries(files).map(([file, text]) => ({ file, results: detect(text) }));
+
+describe('baseline', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'redakt-baseline-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('createBaseline()', () => {
+    it('should record fingerprints per file and pattern, never raw values', () => {
+      const baseline = createBaseline(
+        entriesFor({ 'b.log': 'a@x.com a@x.com', 'a.log': '10.0.0.1 c@x.com' }),
+      );
+
+      assert.strictEqual(baseline.version, 1);
+      assert.deepStrictEqual(
+        baseline.entries.map((e) => [e.file, e.pattern, e.count]),
+        [
+          ['a.log', 'email', 1],
+          ['a.log', 'ipv4', 1],
+          ['b.log', 'email', 2],
+        ],
+      );
+      assert.match(baseline.entries[0].fingerprint, /^[0-9a-f]{16}$/);
+      assert.ok(!JSON.stringify(baseline).includes('a@x.com'));
+    });
+
+    it('should normalize Windows path separators', () => {
+      const baseline = createBaseline(entriesFor({ 'src\\app.log': 'a@x.com' }));
+      assert.strictEqual(baseline.entries[0].file, 'src/app.log');
+    });
+  });
+
+  describe('loadBaseline() / writeBaseline()', () => {
+    it('should round-trip a baseline', () => {
+      const file = path.join(tmpDir, 'baseline.json');
+      const baseline = createBaseline(entriesFor({ 'a.log': 'a@x.com' }));
+      writeBaseline(file, baseline);
+      assert.deepStrictEqual(loadBaseline(file), baseline);
+    });
+
+    it('should reject missing and malformed files', () => {
+      const file = path.join(tmpDir, 'bad.json');
+      assert.throws(() => loadBaseline(file), /Baseline file not found/);
+
+      fs.writeFileSync(file, '{"version": 2, "entries": []}');
+      assert.throws(() => loadBaseline(file), /unsupported format/);
+
+      fs.writeFileSync(file, '{"version": 1, "entries": [{"file": "a"}]}');
+      assert.throws(() => loadBaseline(file), /malformed entry/);
+    });
+  });
+
+  describe('filterBaseline()', () => {
+    const baseline = createBaseline(entriesFor({ 'a.log': 'a@x.com\n10.0.0.1' }));
+
+    it('should keep only findings missing from the baseline', () => {
+      const { entries, baselined } = filterBaseline(
+        entriesFor({ 'a.log': 'moved: 10.0.0.1\nnew b@x.com\na@x.com' }),
+        baseline,
+      );
+      const { results } = entries[0];
+
+      assert.strictEqual(baselined, 2);
+      assert.strictEqual(results.baselined, 2);
+      assert.strictEqual(results.total, 1);
+      assert.strictEqual(results.findings[0].line, 2);
+      assert.deepStrictEqual(results.matches, {
+        email: {
+          count: 1,
+          description: 'Email addresses',
+          severity: 'low',
+          samples: ['b@x...com'],
+        },
+      });
+    });
+
+    it('should report extra copies of a known value', () => {
+      const { entries } = filterBaseline(entriesFor({ 'a.log': 'a@x.com a@x.com' }), baseline);
+      assert.strictEqual(entries[0].results.total, 1);
+    });
+
+    it('should not apply entries to other files', () => {
+      const { entries } = filterBaseline(entriesFor({ 'b.log': 'a@x.com' }), baseline);
+      assert.strictEqual(entries[0].results.hasSensitiveData, true);
+    });
+  });
+
+  describe('pruneBaseline()', () => {
+    const baseline = createBaseline(
+      entriesFor({
+        'a.log': 'a@x.com a@x.com 10.0.0.1',
+        'gone.log': 'b@x.com',
+        'b.log': 'c@x.com',
+      }),
+    );
+
+    it('should drop entries that no longer occur in scanned files', () => {
+      const { baseline: pruned, removed } = pruneBaseline(
+        baseline,
+        entriesFor({ 'a.log': 'a@x.com' }),
+      );
+      assert.strictEqual(removed, 2);
+      assert.deepStrictEqual(
+        pruned.entries.map((e) => [e.file, e.pattern, e.count]),
+        [
+          ['a.log', 'email', 1],
+          ['b.log', 'email', 1],
+          ['gone.log', 'email', 1],
+        ],
+      );
+    });
+
+    it('should drop entries of deleted files with fileExists', () => {
+      const { baseline: pruned } = pruneBaseline(baseline, [], {
+        fileExists: (file) => file !== 'gone.log',
+      });
+      assert.ok(!pruned.entries.some((e) => e.file === 'gone.log'));
+      assert.strictEqual(pruned.entries.length, 3);
+    });
+  });
+});
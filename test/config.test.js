@@ -0,0 +1,259 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { findConfig, loadConfig, normalizeConfig, compilePattern } = require('../src/config');
+const { redact, detect, listPatterns } = require('../src/redakt');
+
+describe('config', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'redakt-config-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('findConfig()', () => {
+    it('should find .redaktrc in a parent directory', () => {
+      const root = path.join(tmpDir, 'find');
+      const nested = path.join(root, 'a', 'b');
+      fs.mkdirSync(nested, { recursive: true });
+      fs.writeFileSync(path.join(root, '.redaktrc'), '{}');
+
+      assert.strictEqual(findConfig(nested), path.join(root, '.redaktrc'));
+    });
+
+    it('should find redakt.config.json', () => {
+      const dir = path.join(tmpDir, 'json');
+      fs.mkdirSync(dir);
+      fs.writeFileSync(path.join(dir, 'redakt.config.json'), '{}');
+
+      assert.strictEqual(findConfig(dir), path.join(dir, 'redakt.config.json'));
+    });
+  });
+
+  describe('loadConfig()', () => {
+    it('should load and compile a config file', () => {
+      const file = path.join(tmpDir, 'full.json');
+      fs.writeFileSync(
+        file,
+        JSON.stringify({
+          exclude: ['ipv4'],
+          patterns: {
+            employeeId: { regex: 'EMP-\\d{6}', description: 'Employee IDs' },
+          },
+          placeholders: { email: '<email>' },
+        }),
+      );
+
+      const config = loadConfig(file);
+      assert.strictEqual(config.source, file);
+      assert.deepStrictEqual(config.exclude, ['ipv4']);
+      assert.ok(config.patterns.employeeId.regex instanceof RegExp);
+      assert.strictEqual(config.patterns.employeeId.placeholder, '[EMPLOYEE_ID]');
+      assert.deepStrictEqual(config.placeholders, { email: '<email>' });
+    });
+
+    it('should throw on a missing file', () => {
+      assert.throws(() => loadConfig(path.join(tmpDir, 'nope.json')), /Config file not found/);
+    });
+
+    it('should throw on invalid JSON', () => {
+      const file = path.join(tmpDir, 'bad.json');
+      fs.writeFileSync(file, '{ nope');
+      assert.throws(() => loadConfig(file), /Invalid config/);
+    });
+  });
+
+  describe('normalizeConfig()', () => {
+    it('should reject non-object configs', () => {
+      assert.throws(() => normalizeConfig([]), /expected a JSON object/);
+    });
+
+    it('should reject non-array include lists', () => {
+      assert.throws(() => normalizeConfig({ include: 'email' }), /"include" must be an array/);
+    });
+
+    it('should accept allowlists and inlineIgnore', () => {
+      const config = normalizeConfig({
+        allowlist: ['noreply@example.com', { regex: '^127\\.', pattern: 'ipv4' }],
+        inlineIgnore: false,
+      });
+      assert.strictEqual(config.allowlist.length, 2);
+      assert.strictEqual(config.inlineIgnore, false);
+      assert.strictEqual(redact('127.0.0.1 10.0.0.1', config).text, '127.0.0.1 [IPv4]');
+    });
+
+    it('should reject invalid allowlists', () => {
+      assert.throws(() => normalizeConfig({ allowlist: 'x' }), /"allowlist" must be an array/);
+      assert.throws(
+        () => normalizeConfig({ allowlist: [{ regex: '[' }] }),
+        /Invalid config .*allowlist regex/,
+      );
+    });
+
+    it('should normalize masking strategies', () => {
+      assert.deepStrictEqual(normalizeConfig({ masking: 'partial' }).masking, {
+        default: 'partial',
+      });
+      const config = normalizeConfig({ masking: { creditCard: 'partial' } });
+      assert.strictEqual(redact('4111 1111 1111 1234', config).text, '**** **** **** 1234');
+    });
+
+    it('should reject unknown masking strategies', () => {
+      assert.throws(
+        () => normalizeConfig({ masking: { email: 'blur' } }),
+        /Invalid config .*Unknown masking strategy for "email"/,
+      );
+    });
+
+    it('should apply entropy thresholds to secret assignments', () => {
+      const config = normalizeConfig({ entropy: { base64: 4.5 } });
+      assert.strictEqual(config.entropy.hex, 3);
+      assert.strictEqual(
+        redact('API_KEY=AbC9dEf2GhI8jKl5', config).text,
+        'API_KEY=AbC9dEf2GhI8jKl5',
+      );
+      assert.throws(
+        () => normalizeConfig({ entropy: { base32: 4 } }),
+        /Invalid config .*Unknown entropy threshold: base32/,
+      );
+    });
+
+    it('should accept locale packs', () => {
+      const config = normalizeConfig({ locales: ['gb'] });
+      assert.strictEqual(redact('NI AB 12 34 56 C', config).text, 'NI [NI_NUMBER]');
+      assert.throws(() => normalizeConfig({ locales: 'gb' }), /"locales" must be an array/);
+      assert.throws(
+        () => normalizeConfig({ locales: ['xx'] }),
+        /Invalid config .*Unknown locales: xx/,
+      );
+    });
+
+    it('should accept confidence and severity thresholds', () => {
+      const config = normalizeConfig({ minConfidence: 0.6, failOn: 'high' });
+      assert.strictEqual(config.minConfidence, 0.6);
+      assert.strictEqual(config.failOn, 'high');
+      assert.strictEqual(detect('555-123-4567', config).total, 0);
+      assert.throws(
+        () => normalizeConfig({ minConfidence: '0.6' }),
+        /Invalid config .*"minConfidence" must be a number between 0 and 1/,
+      );
+      assert.throws(
+        () => normalizeConfig({ failOn: 'severe' }),
+        /Invalid config .*"failOn": Unknown severity: severe/,
+      );
+    });
+
+    it('should reject redefining built-in patterns', () => {
+      assert.throws(
+        () => normalizeConfig({ patterns: { email: { regex: 'x' } } }),
+        /built-in pattern/,
+      );
+    });
+  });
+
+  describe('compilePattern()', () => {
+    it('should always add the global flag', () => {
+      const pattern = compilePattern('ticket', { regex: 'tk-\\d+', flags: 'i' });
+      assert.strictEqual(pattern.regex.flags, 'gi');
+    });
+
+    it('should reject invalid regexes', () => {
+      assert.throws(() => compilePattern('bad', { regex: '(' }), /pattern "bad"/);
+    });
+
+    it('should reject regexes that match empty text', () => {
+      assert.throws(() => compilePattern('empty', { regex: 'a*' }), /matches empty text/);
+    });
+
+    it('should attach named validators', () => {
+      const pattern = compilePattern('card', { regex: '\\d{16}', validate: 'luhn' });
+      assert.strictEqual(pattern.validate('4111111111111111'), true);
+      assert.strictEqual(pattern.validate('4111111111111112'), false);
+    });
+
+    it('should reject unknown validators', () => {
+      assert.throws(
+        () => compilePattern('card', { regex: '\\d{16}', validate: 'crc' }),
+        /unknown validator "crc"/,
+      );
+    });
+
+    it('should compile severity, confidence and context keywords', () => {
+      const pattern = compilePattern('employee', {
+        regex: 'E\\d{4}',
+        severity: 'high',
+        confidence: 0.6,
+        context: 'employee|staff',
+      });
+      assert.strictEqual(pattern.severity, 'high');
+      const [finding] = detect('Staff ID E1234', {
+        include: ['employee'],
+        patterns: { employee: pattern },
+      }).findings;
+      assert.strictEqual(finding.severity, 'high');
+      assert.strictEqual(finding.confidence, 0.8);
+      assert.throws(
+        () => compilePattern('x', { regex: 'x', severity: 'severe' }),
+        /pattern "x": Unknown severity/,
+      );
+      assert.throws(
+        () => compilePattern('x', { regex: 'x', confidence: 2 }),
+        /pattern "x": confidence must be a number between 0 and 1/,
+      );
+    });
+
+    it('should honour priority and default flags', () => {
+      const pattern = compilePattern('x', { regex: 'x+', priority: 5, default: false });
+      assert.strictEqual(pattern.priority, 5);
+      assert.strictEqual(pattern.isDefault, false);
+    });
+  });
+
+  describe('with redact()', () => {
+    const config = normalizeConfig({
+      patterns: {
+        employeeId: { regex: 'EMP-\\d{6}', placeholder: '[EMPLOYEE]' },
+        orderId: { regex: 'ORD-\\d+', default: false },
+      },
+      placeholders: { email: '[MAIL]', urlWithCreds: '***' },
+    });
+
+    it('should apply custom patterns enabled by default', () => {
+      const { text } = redact('EMP-123456 filed ORD-99', config);
+      assert.strictEqual(text, '[EMPLOYEE] filed ORD-99');
+    });
+
+    it('should apply non-default custom patterns when included', () => {
+      const { text } = redact('EMP-123456 filed ORD-99', { ...config, include: ['orderId'] });
+      assert.strictEqual(text, 'EMP-123456 filed [ORDER_ID]');
+    });
+
+    it('should apply custom patterns with all option', () => {
+      const { text } = redact('EMP-123456 filed ORD-99', { ...config, all: true });
+      assert.strictEqual(text, '[EMPLOYEE] filed [ORDER_ID]');
+    });
+
+    it('should override built-in placeholders', () => {
+      const { text } = redact('a@b.com via https://u:p@host.example/x', config);
+      assert.strictEqual(text, '[MAIL] via https://***@host.example/x');
+    });
+
+    it('should detect custom patterns', () => {
+      const result = detect('EMP-123456', config);
+      assert.strictEqual(result.matches.employeeId.count, 1);
+    });
+
+    it('should list custom patterns', () => {
+      const info = listPatterns(config);
+      assert.strictEqual(info.employeeId.custom, true);
+      assert.strictEqual(info.employeeId.isDefault, true);
+      assert.strictEqual(info.orderId.isDefault, false);
+    });
+  });
+});
@@ -0,0 +1,140 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const { parseCsv, redactCsv, createCsvRedactStream, normalizeColumns } = require('../src/csv');
+const { fingerprintValue } = require('../src/redakt');
+
+const CSV =
+  'name,email,notes,password\r\n' +
+  'Jo,jo@x.com,"call 555-123-4567\nor ""jo"" at 10.0.0.1",hunter2\r\n' +
+  'Al,al@x.com,,\r\n';
+
+/**
+ * Push chunks through a CSV stream and collect the output and stats
+ */
+async function run(chunks, options) {
+  const stream = createCsvRedactStream(options);
+  let text = '';
+  for await (const piece of Readable.from(chunks).pipe(stream)) {
+    text += piece;
+  }
+  return { text, stats: stream.stats };
+}
+
+describe('csv', () => {
+  describe('parseCsv()', () => {
+    it('should handle quoted fields, escaped quotes and embedded newlines', () => {
+      assert.deepStrictEqual(parseCsv(CSV), [
+        ['name', 'email', 'notes', 'password'],
+        ['Jo', 'jo@x.com', 'call 555-123-4567\nor "jo" at 10.0.0.1', 'hunter2'],
+        ['Al', 'al@x.com', '', ''],
+      ]);
+    });
+
+    it('should keep a trailing empty field and a last record without a line break', () => {
+      assert.deepStrictEqual(parseCsv('a,\nb,c'), [
+        ['a', ''],
+        ['b', 'c'],
+      ]);
+    });
+
+    it('should split on a custom delimiter', () => {
+      assert.deepStrictEqual(parseCsv('a\tb,c\n', { delimiter: '\t' }), [['a', 'b,c']]);
+    });
+
+    it('should be lenient about unterminated quotes', () => {
+      assert.deepStrictEqual(parseCsv('a,"b\nc'), [['a', 'b\nc']]);
+    });
+
+    it('should reject delimiters that cannot work', () => {
+      assert.throws(() => parseCsv('a', { delimiter: '"' }), /CSV delimiter/);
+      assert.throws(() => parseCsv('a', { delimiter: ';;' }), /CSV delimiter/);
+    });
+  });
+
+  describe('redactCsv()', () => {
+    it('should scan values and keep quoting, line endings and the header', () => {
+      const { text } = redactCsv(CSV);
+      assert.strictEqual(
+        text,
+        'name,email,notes,password\r\n' +
+          'Jo,[EMAIL],"call [PHONE]\nor ""jo"" at [IPv4]",[REDACTED]\r\n' +
+          'Al,[EMAIL],,\r\n',
+      );
+    });
+
+    it('should apply rules by header name and by index', () => {
+      const { text } = redactCsv(CSV, { columns: { email: 'hash', 3: 'drop', password: 'keep' } });
+      assert.deepStrictEqual(parseCsv(text), [
+        ['name', 'email', 'password'],
+        ['Jo', fingerprintValue('jo@x.com'), 'hunter2'],
+        ['Al', fingerprintValue('al@x.com'), ''],
+      ]);
+    });
+
+    it('should quote values that need it after redaction', () => {
+      const { text } = redactCsv('a\nx\n', { columns: { a: 'redact' }, keyPlaceholder: 'x, y' });
+      assert.strictEqual(text, 'a\n"x, y"\n');
+    });
+
+    it('should number columns from 1 without a header', () => {
+      const { text } = redactCsv('jo@x.com\tsecret\n', {
+        delimiter: '\t',
+        header: false,
+        columns: { 2: 'redact' },
+      });
+      assert.strictEqual(text, '[EMAIL]\t[REDACTED]\n');
+      assert.throws(
+        () => redactCsv('a\n', { header: false, columns: { email: 'hash' } }),
+        /Unknown CSV column: email \(without a header/,
+      );
+    });
+
+    it('should count redactions per column', () => {
+      const { stats } = redactCsv(CSV, { columns: { email: 'hash' }, stats: true });
+      assert.strictEqual(stats.rows, 2);
+      assert.strictEqual(stats.total, 5);
+      assert.deepStrictEqual(stats.byColumn, {
+        email: { total: 2, byType: { csvColumn: 2 } },
+        notes: { total: 2, byType: { phone: 1, ipv4: 1 } },
+        password: { total: 1, byType: { csvColumn: 1 } },
+      });
+    });
+
+    it('should reject unknown columns and rules', () => {
+      assert.throws(
+        () => redactCsv(CSV, { columns: { mail: 'hash' } }),
+        /Unknown CSV column: mail/,
+      );
+      assert.throws(
+        () => normalizeColumns({ email: 'mask' }),
+        /Unknown rule for CSV column "email": mask/,
+      );
+    });
+  });
+
+  describe('createCsvRedactStream()', () => {
+    it('should match redactCsv() however the input is chunked', async () => {
+      const expected = redactCsv(CSV, { columns: { email: 'hash' } }).text;
+      for (const size of [1, 2, 5, 16]) {
+        const chunks = [];
+        for (let i = 0; i < CSV.length; i += size) {
+          chunks.push(CSV.slice(i, i + size));
+        }
+        const { text } = await run(chunks, { columns: { email: 'hash' } });
+        assert.strictEqual(text, expected, `chunk size ${size}`);
+      }
+    });
+
+    it('should expose stats after the stream ends', async () => {
+      const { stats } = await run([CSV]);
+      assert.strictEqual(stats.rows, 2);
+      assert.strictEqual(stats.byColumn.email.total, 2);
+    });
+
+    it('should share pseudonyms across rows', async () => {
+      const { text } = await run(['email\na@x.com\nb@x.com\na@x.com\n'], { pseudonymize: true });
+      assert.strictEqual(text, 'email\n[EMAIL_1]\n[EMAIL_2]\n[EMAIL_1]\n');
+    });
+  });
+});
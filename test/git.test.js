@@ -0,0 +1,233 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { execFileSync } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseDiff, scanStaged, scanCommits, installHook, HOOK_SCRIPT } = require('../src/git');
+
+describe('git', () => {
+  let repo;
+  const savedEnv = {};
+
+  const git = (...args) =>
+    execFileSync('git', ['-c', 'user.name=Test', '-c', 'user.email=test@test', ...args], {
+      cwd: repo,
+      encoding: 'utf8',
+    });
+  const write = (file, content) => fs.writeFileSync(path.join(repo, file), content);
+
+  before(() => {
+    // Keep the user's git configuration (hooks path, diff tools, ...) out of the tests
+    for (const key of Object.keys(process.env)) {
+      if (key.startsWith('GIT_CONFIG')) {
+        savedEnv[key] = process.env[key];
+        delete process.env[key];
+      }
+    }
+    process.env.GIT_CONFIG_GLOBAL = os.devNull;
+    process.env.GIT_CONFIG_NOSYSTEM = '1';
+
+    repo = fs.mkdtempSync(path.join(os.tmpdir(), 'redakt-git-'));
+    git('init', '-q');
+    write('app.conf', 'name = app\nport = 8080\n');
+    git('add', '.');
+    git('commit', '-q', '-m', 'init');
+  });
+
+  after(() => {
+    fs.rmSync(repo, { recursive: true, force: true });
+    delete process.env.GIT_CONFIG_GLOBAL;
+    delete process.env.GIT_CONFIG_NOSYSTEM;
+    Object.assign(process.env, savedEnv);
+  });
+
+  describe('parseDiff()', () => {
+    it('should collect added lines with new-file line numbers', () => {
+      const diff = [
+        'diff --git a/a.txt b/a.txt',
+        '--- a/a.txt',
+        '+++ b/a.txt',
+        '@@ -2,0 +3,2 @@',
+        '+one',
+        '+two',
+        '@@ -9 +11 @@',
+        '-old',
+        '+new',
+        'diff --git a/gone.txt b/gone.txt',
+        '--- a/gone.txt',
+        '+++ /dev/null',
+        '@@ -1 +0,0 @@',
+        '-bye',
+        'diff --git "a/caf\\303\\251 x.txt" "b/caf\\303\\251 x.txt"',
+        '--- /dev/null',
+        '+++ "b/caf\\303\\251 x.txt"',
+        '@@ -0,0 +1 @@',
+        '+hi',
+      ].join('\n');
+
+      assert.deepStrictEqual(parseDiff(diff), [
+        {
+          file: 'a.txt',
+          added: [
+            { line: 3, text: 'one' },
+            { line: 4, text: 'two' },
+            { line: 11, text: 'new' },
+          ],
+        },
+        { file: 'café x.txt', added: [{ line: 1, text: 'hi' }] },
+      ]);
+    });
+
+    it('should read added lines that look like file headers as content', () => {
+      const diff = [
+        'diff --git a/notes.md b/notes.md',
+        '--- a/notes.md',
+        '+++ b/notes.md',
+        '@@ -1 +1,3 @@',
+        ' title',
+        '+++ note',
+        '+-- aside',
+      ].join('\n');
+
+      assert.deepStrictEqual(parseDiff(diff), [
+        {
+          file: 'notes.md',
+          added: [
+            { line: 2, text: '++ note' },
+            { line: 3, text: '-- aside' },
+          ],
+        },
+      ]);
+    });
+  });
+
+  describe('scanStaged()', () => {
+    it('should only report staged added lines, with new-file positions', () => {
+      write('app.conf', 'name = app\nowner = ops@example.com\nport = 8080\n');
+      write('notes.txt', 'reach me at dev@example.com\n');
+      git('add', 'app.conf');
+
+      const { files, summary } = scanStaged({ cwd: repo });
+      assert.deepStrictEqual(
+        files.map((f) => f.file),
+        ['app.conf'],
+      );
+      assert.deepStrictEqual(summary.byPattern, { email: 1 });
+
+      const [finding] = files[0].results.findings;
+      assert.strictEqual(finding.line, 2);
+      assert.strictEqual(finding.column, 9);
+      assert.strictEqual(finding.start, 19);
+      assert.strictEqual(finding.end, 34);
+    });
+
+    it('should ignore lines that already existed', () => {
+      git('commit', '-q', '-m', 'owner');
+      write('app.conf', 'name = app\nowner = ops@example.com\nport = 9090\n');
+      git('add', 'app.conf');
+
+      const { files, summary } = scanStaged({ cwd: repo });
+      assert.strictEqual(files.length, 1);
+      assert.strictEqual(summary.findings, 0);
+      git('reset', '-q', '--hard');
+    });
+
+    it('should not mistake added "++ " lines for files', () => {
+      write('notes.md', '++ note\nmail dev@example.com\n');
+      git('add', 'notes.md');
+      const { files, summary } = scanStaged({ cwd: repo });
+      assert.deepStrictEqual(
+        files.map((f) => f.file),
+        ['notes.md'],
+      );
+      assert.deepStrictEqual(summary.byPattern, { email: 1 });
+      assert.strictEqual(files[0].results.findings[0].line, 2);
+      git('reset', '-q', '--hard');
+    });
+
+    it('should read file paths whatever the configured diff prefixes', () => {
+      write('notes.md', 'mail dev@example.com\n');
+      git('add', 'notes.md');
+      for (const setting of ['diff.noprefix', 'diff.mnemonicPrefix']) {
+        git('config', setting, 'true');
+        const { files } = scanStaged({ cwd: repo });
+        git('config', '--unset', setting);
+        assert.deepStrictEqual(
+          files.map((f) => f.file),
+          ['notes.md'],
+          setting,
+        );
+      }
+      git('reset', '-q', '--hard');
+    });
+
+    it('should pass detect options through', () => {
+      write('hosts.txt', 'db 10.0.0.5 admin@example.com\n');
+      git('add', 'hosts.txt');
+      const { summary } = scanStaged({ cwd: repo, include: ['ipv4'] });
+      assert.deepStrictEqual(summary.byPattern, { ipv4: 1 });
+      git('commit', '-q', '-m', 'hosts');
+    });
+  });
+
+  describe('scanCommits()', () => {
+    it('should scan a range of commits', () => {
+      const { files, summary } = scanCommits('HEAD~2..HEAD', { cwd: repo });
+      assert.deepStrictEqual(
+        files.map((f) => f.file),
+        ['app.conf', 'hosts.txt'],
+      );
+      assert.deepStrictEqual(summary.byPattern, { email: 2, ipv4: 1 });
+    });
+
+    it('should compare a single commit with its parent', () => {
+      const { files } = scanCommits('HEAD', { cwd: repo });
+      assert.deepStrictEqual(
+        files.map((f) => f.file),
+        ['hosts.txt'],
+      );
+      assert.strictEqual(files[0].results.findings[0].line, 1);
+    });
+
+    it('should scan the root commit', () => {
+      const root = git('rev-list', '--max-parents=0', 'HEAD').trim();
+      const { files, summary } = scanCommits(root, { cwd: repo });
+      assert.deepStrictEqual(
+        files.map((f) => f.file),
+        ['app.conf'],
+      );
+      assert.strictEqual(summary.findings, 0);
+    });
+
+    it('should reject bad ranges', () => {
+      assert.throws(() => scanCommits('--output=x', { cwd: repo }), /Commit range/);
+      assert.throws(() => scanCommits('nope..HEAD', { cwd: repo }), /git diff failed/);
+    });
+  });
+
+  describe('installHook()', () => {
+    it('should write an executable pre-commit hook', () => {
+      const hookFile = installHook({ cwd: repo });
+      assert.strictEqual(hookFile, path.join(repo, '.git', 'hooks', 'pre-commit'));
+      assert.strictEqual(fs.readFileSync(hookFile, 'utf8'), HOOK_SCRIPT);
+      assert.ok(fs.statSync(hookFile).mode & 0o100);
+    });
+
+    it('should replace its own hook but not others unless forced', () => {
+      const hookFile = installHook({ cwd: repo });
+      fs.writeFileSync(hookFile, '#!/bin/sh\nmake lint\n');
+
+      assert.throws(() => installHook({ cwd: repo }), /pre-commit hook already exists/);
+      installHook({ cwd: repo, force: true });
+      assert.strictEqual(fs.readFileSync(hookFile, 'utf8'), HOOK_SCRIPT);
+    });
+
+    it('should honour core.hooksPath', () => {
+      git('config', 'core.hooksPath', 'tools/hooks');
+      const hookFile = installHook({ cwd: repo });
+      assert.strictEqual(hookFile, path.join(repo, 'tools', 'hooks', 'pre-commit'));
+      git('config', '--unset', 'core.hooksPath');
+    });
+  });
+});
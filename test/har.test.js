@@ -0,0 +1,262 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { redactHar, HAR_DEFAULTS } = require('../src/har');
+
+/**
+ * Build a HAR document around entries
+ */
+function har(entries, pages = []) {
+  return JSON.stringify({ log: { version: '1.2', creator: { name: 'test' }, pages, entries } });
+}
+
+/**
+ * Build an entry from request and response overrides
+ */
+function entry(request = {}, response = {}) {
+  return {
+    startedDateTime: '2024-01-01T00:00:00.000Z',
+    time: 1,
+    request: {
+      method: 'GET',
+      url: 'https://example.com/',
+      httpVersion: 'HTTP/1.1',
+      headers: [],
+      queryString: [],
+      cookies: [],
+      headersSize: -1,
+      bodySize: -1,
+      ...request,
+    },
+    response: {
+      status: 200,
+      statusText: 'OK',
+      httpVersion: 'HTTP/1.1',
+      headers: [],
+      cookies: [],
+      content: { size: 0, mimeType: 'text/plain' },
+      redirectURL: '',
+      headersSize: -1,
+      bodySize: -1,
+      ...response,
+    },
+    cache: {},
+    timings: { send: 0, wait: 1, receive: 0 },
+  };
+}
+
+/**
+ * Redact and parse back the first entry
+ */
+function redactEntry(e, options) {
+  return JSON.parse(redactHar(har([e]), options).text).log.entries[0];
+}
+
+describe('har', () => {
+  describe('redactHar()', () => {
+    it('should redact sensitive headers and scan the others', () => {
+      const { request } = redactEntry(
+        entry({
+          headers: [
+            { name: 'Authorization', value: 'Bearer abc' },
+            { name: 'X-CSRF-Token', value: 'xyz' },
+            { name: 'X-Forwarded-For', value: '203.0.113.5' },
+            { name: 'Accept', value: '*/*' },
+          ],
+        }),
+      );
+      assert.deepStrictEqual(
+        request.headers.map((h) => h.value),
+        ['[REDACTED]', '[REDACTED]', '[IPv4]', '*/*'],
+      );
+    });
+
+    it('should redact every cookie, in arrays and in cookie headers', () => {
+      const e = redactEntry(
+        entry(
+          {
+            headers: [{ name: 'Cookie', value: 'sid=s3cr3t; theme=dark' }],
+            cookies: [{ name: 'sid', value: 's3cr3t' }],
+          },
+          {
+            headers: [{ name: 'Set-Cookie', value: 'sid=new; Path=/; HttpOnly\nab=1; Path=/' }],
+            cookies: [{ name: 'sid', value: 'new', path: '/' }],
+          },
+        ),
+      );
+      assert.strictEqual(e.request.headers[0].value, 'sid=[REDACTED]; theme=[REDACTED]');
+      assert.strictEqual(e.request.cookies[0].value, '[REDACTED]');
+      assert.strictEqual(
+        e.response.headers[0].value,
+        'sid=[REDACTED]; Path=/; HttpOnly\nab=[REDACTED]; Path=/',
+      );
+      assert.deepStrictEqual(e.response.cookies[0], {
+        name: 'sid',
+        value: '[REDACTED]',
+        path: '/',
+      });
+    });
+
+    it('should only redact the configured cookies', () => {
+      const { request } = redactEntry(
+        entry({ headers: [{ name: 'Cookie', value: 'sid=s3cr3t; theme=dark' }] }),
+        { cookies: ['sid'] },
+      );
+      assert.strictEqual(request.headers[0].value, 'sid=[REDACTED]; theme=dark');
+    });
+
+    it('should rewrite URLs and queryString consistently', () => {
+      const e = redactEntry(
+        entry(
+          {
+            url: 'https://api.example.com/login?access_token=t0k&lang=en&email=jo%40x.com#top',
+            headers: [{ name: 'Referer', value: 'https://app.example.com/?code=xyz&q=1' }],
+            queryString: [
+              { name: 'access_token', value: 't0k' },
+              { name: 'lang', value: 'en' },
+              { name: 'email', value: 'jo%40x.com' },
+            ],
+          },
+          {
+            status: 302,
+            headers: [{ name: 'Location', value: '/home?session=abc' }],
+            redirectURL: 'https://app.example.com/home?session=abc',
+          },
+        ),
+      );
+      assert.strictEqual(
+        e.request.url,
+        'https://api.example.com/login?access_token=[REDACTED]&lang=en&email=[EMAIL]#top',
+      );
+      assert.deepStrictEqual(
+        e.request.queryString.map((q) => q.value),
+        ['[REDACTED]', 'en', '[EMAIL]'],
+      );
+      assert.strictEqual(
+        e.request.headers[0].value,
+        'https://app.example.com/?code=[REDACTED]&q=1',
+      );
+      assert.strictEqual(e.response.headers[0].value, '/home?session=[REDACTED]');
+      assert.strictEqual(e.response.redirectURL, 'https://app.example.com/home?session=[REDACTED]');
+    });
+
+    it('should redact JSON and form request bodies', () => {
+      const json = redactEntry(
+        entry({
+          method: 'POST',
+          postData: {
+            mimeType: 'application/json; charset=utf-8',
+            text: JSON.stringify({ user: 'jo@x.com', password: 'hunter2', n: 1 }),
+          },
+        }),
+      );
+      assert.deepStrictEqual(JSON.parse(json.request.postData.text), {
+        user: '[EMAIL]',
+        password: '[REDACTED]',
+        n: 1,
+      });
+
+      const form = redactEntry(
+        entry({
+          method: 'POST',
+          postData: {
+            mimeType: 'application/x-www-form-urlencoded',
+            params: [
+              { name: 'user', value: 'jo@x.com' },
+              { name: 'password', value: 'p' },
+            ],
+            text: 'user=jo%40x.com&password=p',
+          },
+        }),
+      );
+      assert.strictEqual(form.request.postData.text, 'user=[EMAIL]&password=[REDACTED]');
+      assert.deepStrictEqual(
+        form.request.postData.params.map((p) => p.value),
+        ['[EMAIL]', '[REDACTED]'],
+      );
+    });
+
+    it('should keep JSON bodies without findings as they were', () => {
+      const text = '{ "n": 1 }';
+      const e = redactEntry(
+        entry({ method: 'POST', postData: { mimeType: 'application/json', text } }),
+      );
+      assert.strictEqual(e.request.postData.text, text);
+    });
+
+    it('should decode base64 text responses and update their size', () => {
+      const body = JSON.stringify({ email: 'jo@x.com', token: 'abc' });
+      const e = redactEntry(
+        entry(
+          {},
+          {
+            content: {
+              size: body.length,
+              mimeType: 'application/json',
+              encoding: 'base64',
+              text: Buffer.from(body).toString('base64'),
+            },
+          },
+        ),
+      );
+      const decoded = Buffer.from(e.response.content.text, 'base64').toString('utf8');
+      assert.deepStrictEqual(JSON.parse(decoded), { email: '[EMAIL]', token: '[REDACTED]' });
+      assert.strictEqual(e.response.content.size, Buffer.byteLength(decoded));
+    });
+
+    it('should leave binary content alone', () => {
+      const content = { size: 4, mimeType: 'image/png', encoding: 'base64', text: 'iVBORw0K' };
+      const e = redactEntry(entry({}, { content: { ...content } }));
+      assert.deepStrictEqual(e.response.content, content);
+    });
+
+    it('should redact page titles, server addresses and browser extension fields', () => {
+      const e = {
+        ...entry(),
+        serverIPAddress: '203.0.113.9',
+        _initiator: { url: 'https://x.com/?email=jo@x.com' },
+      };
+      const pages = [{ id: 'p1', title: 'https://app.example.com/?token=abc', pageTimings: {} }];
+      const { log } = JSON.parse(redactHar(har([e], pages)).text);
+      assert.strictEqual(log.pages[0].title, 'https://app.example.com/?token=[REDACTED]');
+      assert.strictEqual(log.entries[0].serverIPAddress, '[IPv4]');
+      assert.strictEqual(log.entries[0]._initiator.url, 'https://x.com/?email=[EMAIL]');
+    });
+
+    it('should accept extra header and parameter names', () => {
+      const { request } = redactEntry(
+        entry({
+          url: 'https://example.com/?tenant=acme',
+          headers: [{ name: 'X-Tenant', value: 'acme' }],
+        }),
+        {
+          headers: [...HAR_DEFAULTS.headers, 'x-tenant'],
+          params: [...HAR_DEFAULTS.params, 'tenant'],
+        },
+      );
+      assert.strictEqual(request.headers[0].value, '[REDACTED]');
+      assert.strictEqual(request.url, 'https://example.com/?tenant=[REDACTED]');
+    });
+
+    it('should count redactions by kind', () => {
+      const { stats } = redactHar(
+        har([
+          entry({
+            url: 'https://example.com/?token=a',
+            headers: [{ name: 'Authorization', value: 'Basic x' }],
+            cookies: [{ name: 'sid', value: 'y' }],
+          }),
+        ]),
+        { stats: true },
+      );
+      assert.deepStrictEqual(stats, {
+        total: 3,
+        byType: { harParam: 1, harHeader: 1, harCookie: 1 },
+      });
+    });
+
+    it('should reject input that is not a HAR', () => {
+      assert.throws(() => redactHar('{'), /Invalid HAR input/);
+      assert.throws(() => redactHar('{"log":{}}'), /Invalid HAR input: missing log.entries/);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  globToRegExp,
+  parseRule,
+  parseIgnoreFile,
+  matchRules,
+  createGlobMatcher,
+} = require('../src/ignore');
+
+describe('ignore', () => {
+  describe('globToRegExp()', () => {
+    it('should keep * and ? within one path segment', () => {
+      assert.ok(globToRegExp('*.log').test('app.log'));
+      assert.ok(!globToRegExp('*.log').test('logs/app.log'));
+      assert.ok(globToRegExp('app-?.log').test('app-1.log'));
+    });
+
+    it('should let ** span directories', () => {
+      const regex = globToRegExp('logs/**/*.log');
+      assert.ok(regex.test('logs/app.log'));
+      assert.ok(regex.test('logs/2024/01/app.log'));
+      assert.ok(globToRegExp('build/**').test('build/a/b.js'));
+    });
+
+    it('should support character classes and escapes', () => {
+      assert.ok(globToRegExp('file[0-9].txt').test('file3.txt'));
+      assert.ok(!globToRegExp('file[!0-9].txt').test('file3.txt'));
+      assert.ok(globToRegExp('\\*.txt').test('*.txt'));
+      assert.ok(!globToRegExp('a.b').test('axb'));
+    });
+  });
+
+  describe('parseRule()', () => {
+    it('should skip blank lines and comments', () => {
+      assert.strictEqual(parseRule(''), null);
+      assert.strictEqual(parseRule('# comment'), null);
+    });
+
+    it('should parse negation, directory-only and anchored rules', () => {
+      const rule = parseRule('!/build/');
+      assert.strictEqual(rule.negate, true);
+      assert.strictEqual(rule.dirOnly, true);
+      assert.strictEqual(rule.anchored, true);
+      assert.strictEqual(parseRule('*.log').anchored, false);
+    });
+  });
+
+  describe('matchRules()', () => {
+    const rules = parseIgnoreFile('# logs\n*.log\n!keep.log\nnode_modules/\n/dist\n');
+
+    it('should match unanchored rules against the base name', () => {
+      assert.strictEqual(matchRules(rules, 'a/b/app.log', false), true);
+    });
+
+    it('should let later negations re-include paths', () => {
+      assert.strictEqual(matchRules(rules, 'a/keep.log', false), false);
+    });
+
+    it('should apply directory-only rules to directories', () => {
+      assert.strictEqual(matchRules(rules, 'pkg/node_modules', true), true);
+      assert.strictEqual(matchRules(rules, 'pkg/node_modules', false), null);
+    });
+
+    it('should match anchored rules from the base directory only', () => {
+      assert.strictEqual(matchRules(rules, 'dist', true), true);
+      assert.strictEqual(matchRules(rules, 'src/dist', true), null);
+    });
+  });
+
+  describe('createGlobMatcher()', () => {
+    it('should match any of the globs', () => {
+      const matches = createGlobMatcher(['*.log', 'config/*.yml']);
+      assert.ok(matches('var/app.log'));
+      assert.ok(matches('config/app.yml'));
+      assert.ok(!matches('other/config/app.yml'));
+    });
+  });
+});
@@ -0,0 +1,87 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { LOCALE_PACKS, getLocalePatterns } = require('../src/locales');
+const { redact, detect, listPatterns, getActivePatterns } = require('../src/redakt');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'locales');
+
+describe('locales', () => {
+  describe('getLocalePatterns()', () => {
+    it('should merge packs without duplicates', () => {
+      const names = getLocalePatterns(['de', 'GB']);
+      assert.strictEqual(names.filter((name) => name === 'e164Phone').length, 1);
+      assert.ok(names.includes('deTaxId'));
+      assert.ok(names.includes('gbNino'));
+    });
+
+    it('should reject unknown locales', () => {
+      assert.throws(() => getLocalePatterns(['fr']), /Unknown locales: fr \(expected de, gb/);
+    });
+  });
+
+  describe('with redact()', () => {
+    it('should add locale patterns to the defaults', () => {
+      const active = getActivePatterns({ locales: ['in'] });
+      assert.ok(active.includes('email'));
+      assert.ok(active.includes('inAadhaar'));
+      assert.ok(!getActivePatterns().includes('inAadhaar'));
+    });
+
+    it('should honour exclusions', () => {
+      const active = getActivePatterns({ locales: ['de'], exclude: ['dePhone'] });
+      assert.ok(!active.includes('dePhone'));
+    });
+
+    it('should list the locales of each pattern', () => {
+      const info = listPatterns();
+      assert.deepStrictEqual(info.brCpf.locales, ['br']);
+      assert.deepStrictEqual(info.iban.locales, ['de', 'gb', 'br']);
+      assert.strictEqual(info.email.locales, undefined);
+    });
+
+    it('should only redact IBANs with valid check digits', () => {
+      const options = { locales: ['de'] };
+      for (const text of ['DE00 3704 0044 0532 0130 00', 'AB12CDEFGHIJKLMNOP']) {
+        assert.ok(!redact(text, options).text.includes('[IBAN]'), text);
+        assert.ok(!detect(text, options).findings.some((f) => f.pattern === 'iban'), text);
+      }
+      assert.strictEqual(redact('DE89 3704 0044 0532 0130 00', options).text, '[IBAN]');
+    });
+
+    it('should reveal the last digits with partial masking', () => {
+      const { text } = redact('CPF 529.982.247-25', { locales: ['br'], masking: 'partial' });
+      assert.strictEqual(text, 'CPF ***.***.***-25');
+    });
+  });
+
+  for (const locale of Object.keys(LOCALE_PACKS)) {
+    describe(`${locale} pack`, () => {
+      const fixture = JSON.parse(fs.readFileSync(path.join(FIXTURES, `${locale}.json`), 'utf8'));
+      const options = { locales: [locale] };
+
+      it('should have fixtures for every pattern', () => {
+        const covered = new Set(fixture.positive.map((example) => example.pattern));
+        assert.deepStrictEqual(
+          LOCALE_PACKS[locale].filter((name) => !covered.has(name)),
+          [],
+        );
+      });
+
+      it('should redact positive fixtures', () => {
+        for (const example of fixture.positive) {
+          assert.strictEqual(redact(example.text, options).text, example.redacted, example.text);
+          const [finding] = detect(example.text, options).findings;
+          assert.strictEqual(finding.pattern, example.pattern, example.text);
+        }
+      });
+
+      it('should leave negative fixtures alone', () => {
+        for (const text of fixture.negative) {
+          assert.strictEqual(redact(text, options).text, text, text);
+        }
+      });
+    });
+  }
+});
@@ -0,0 +1,190 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const {
+  parseLogLine,
+  redactLog,
+  createLogRedactStream,
+  normalizeLogFields,
+} = require('../src/logformats');
+const { fingerprintValue } = require('../src/redakt');
+
+const ACCESS =
+  '203.0.113.9 - bob [10/Oct/2024:13:55:36 +0000] "GET /reset?token=abc HTTP/1.1" 200 512 "https://ex.com/?u=jo@x.com" "curl/8.4.0"';
+const SYSLOG =
+  '<34>1 2024-10-11T22:14:15.003Z host.example.com su - ID47 [auth@32473 user="jo@x.com" password="hunter2"] login from 10.0.0.1';
+const LOGFMT = 'ts=2024-01-01T00:00:00Z level=info msg="login from jo@x.com" api_key=abc cached';
+
+/**
+ * Push chunks through a log stream and collect the output and stats
+ */
+async function run(chunks, options) {
+  const stream = createLogRedactStream(options);
+  let text = '';
+  for await (const piece of Readable.from(chunks).pipe(stream)) {
+    text += piece;
+  }
+  return { text, stats: stream.stats };
+}
+
+describe('logformats', () => {
+  describe('parseLogLine()', () => {
+    it('should split a combined log line into fields', () => {
+      assert.deepStrictEqual(parseLogLine(ACCESS, 'combined'), {
+        remote_addr: '203.0.113.9',
+        ident: '-',
+        remote_user: 'bob',
+        time_local: '10/Oct/2024:13:55:36 +0000',
+        method: 'GET',
+        path: '/reset',
+        query: 'token=abc',
+        protocol: 'HTTP/1.1',
+        status: '200',
+        body_bytes_sent: '512',
+        http_referer: 'https://ex.com/?u=jo@x.com',
+        http_user_agent: 'curl/8.4.0',
+      });
+    });
+
+    it('should accept common log lines without referer and user agent', () => {
+      const fields = parseLogLine(
+        '10.0.0.1 - - [01/Jan/2024:00:00:00 +0000] "GET / HTTP/1.0" 404 -',
+        'combined',
+      );
+      assert.strictEqual(fields.status, '404');
+      assert.strictEqual(fields.http_user_agent, undefined);
+    });
+
+    it('should split syslog headers and structured data parameters', () => {
+      const fields = parseLogLine(SYSLOG, 'syslog');
+      assert.strictEqual(fields.hostname, 'host.example.com');
+      assert.strictEqual(fields.app_name, 'su');
+      assert.strictEqual(fields.user, 'jo@x.com');
+      assert.strictEqual(fields.msg, 'login from 10.0.0.1');
+    });
+
+    it('should unquote logfmt values', () => {
+      assert.deepStrictEqual(parseLogLine(LOGFMT, 'logfmt'), {
+        ts: '2024-01-01T00:00:00Z',
+        level: 'info',
+        msg: 'login from jo@x.com',
+        api_key: 'abc',
+      });
+    });
+
+    it('should return null for lines in another format', () => {
+      assert.strictEqual(parseLogLine('just some text', 'combined'), null);
+      assert.strictEqual(parseLogLine('just some text', 'logfmt'), null);
+      assert.strictEqual(parseLogLine(LOGFMT, 'syslog'), null);
+    });
+
+    it('should reject unknown formats', () => {
+      assert.throws(() => parseLogLine(ACCESS, 'apache'), /Unknown log format: apache/);
+    });
+  });
+
+  describe('redactLog()', () => {
+    it('should hash the client, redact user and query, and keep the rest', () => {
+      const { text } = redactLog(ACCESS, { format: 'combined' });
+      assert.strictEqual(
+        text,
+        `${fingerprintValue('203.0.113.9')} - [REDACTED] [10/Oct/2024:13:55:36 +0000] ` +
+          '"GET /reset?[REDACTED] HTTP/1.1" 200 512 "https://ex.com/?u=[EMAIL]" "curl/8.4.0"',
+      );
+    });
+
+    it('should apply field rules over the defaults', () => {
+      const { text } = redactLog(ACCESS, {
+        format: 'combined',
+        fields: { remote_addr: 'keep', query: 'drop', http_referer: 'drop' },
+      });
+      assert.strictEqual(
+        text,
+        '203.0.113.9 - [REDACTED] [10/Oct/2024:13:55:36 +0000] "GET /reset HTTP/1.1" 200 512 "-" "curl/8.4.0"',
+      );
+    });
+
+    it('should leave absent fields as they are', () => {
+      const line = '10.0.0.1 - - [01/Jan/2024:00:00:00 +0000] "GET / HTTP/1.0" 404 -';
+      const { text } = redactLog(line, { format: 'combined', fields: { remote_addr: 'keep' } });
+      assert.strictEqual(text, line);
+    });
+
+    it('should redact sensitive syslog parameters and pattern-match the rest', () => {
+      const { text } = redactLog(SYSLOG, { format: 'syslog' });
+      assert.strictEqual(
+        text,
+        '<34>1 2024-10-11T22:14:15.003Z host.example.com su - ID47 ' +
+          '[auth@32473 user="[EMAIL]" password="[REDACTED]"] login from [IPv4]',
+      );
+    });
+
+    it('should remove dropped syslog parameters', () => {
+      const { text } = redactLog(SYSLOG, { format: 'syslog', fields: { user: 'drop' } });
+      assert.match(text, /\[auth@32473 password="\[REDACTED\]"\]/);
+    });
+
+    it('should redact sensitive logfmt keys and keep bare words redacted too', () => {
+      const { text } = redactLog(`${LOGFMT} jo@x.com`, { format: 'logfmt' });
+      assert.strictEqual(
+        text,
+        'ts=2024-01-01T00:00:00Z level=info msg="login from [EMAIL]" api_key=[REDACTED] cached [EMAIL]',
+      );
+    });
+
+    it('should remove dropped logfmt pairs and quote values that need it', () => {
+      const { text } = redactLog('a=1 b=2 c=3', {
+        format: 'logfmt',
+        fields: { b: 'drop' },
+        keyPlaceholder: 'x y',
+        sensitiveKeys: ['c'],
+      });
+      assert.strictEqual(text, 'a=1 c="x y"');
+    });
+
+    it('should redact unparsed lines as plain text and count them', () => {
+      const { text, stats } = redactLog(`${ACCESS}\nmail jo@x.com\n`, {
+        format: 'combined',
+        stats: true,
+      });
+      assert.strictEqual(text.split('\n')[1], 'mail [EMAIL]');
+      assert.strictEqual(stats.lines, 2);
+      assert.strictEqual(stats.unparsedLines, 1);
+      assert.strictEqual(stats.byType.logField, 3);
+      assert.strictEqual(stats.byType.email, 2);
+    });
+
+    it('should reject unknown field rules', () => {
+      assert.throws(
+        () => redactLog(ACCESS, { format: 'combined', fields: { query: 'mask' } }),
+        /Unknown rule for log field "query": mask/,
+      );
+      assert.throws(() => normalizeLogFields(['keep']), TypeError);
+    });
+  });
+
+  describe('createLogRedactStream()', () => {
+    it('should redact lines split across chunks and keep CRLF line ends', async () => {
+      const input = `${ACCESS}\r\n${ACCESS}`;
+      const { text, stats } = await run([input.slice(0, 50), input.slice(50)], {
+        format: 'combined',
+      });
+      assert.strictEqual(text, redactLog(input, { format: 'combined' }).text);
+      assert.ok(text.includes('\r\n'));
+      assert.strictEqual(stats.lines, 2);
+    });
+
+    it('should share pseudonyms across lines', async () => {
+      const line = 'user=jo@x.com';
+      const { text } = await run([`${line}\n${line}\nuser=al@x.com\n`], {
+        format: 'logfmt',
+        pseudonymize: true,
+      });
+      assert.strictEqual(text, 'user=[EMAIL_1]\nuser=[EMAIL_1]\nuser=[EMAIL_2]\n');
+    });
+
+    it('should fail fast on a bad format', () => {
+      assert.throws(() => createLogRedactStream({ format: 'csv' }), /Unknown log format/);
+    });
+  });
+});
@@ -0,0 +1,180 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  CONSOLE_METHODS,
+  patchConsole,
+  pinoRedaction,
+  pinoFormatters,
+  pinoHooks,
+  winstonFormat,
+} = require('../src/loggers');
+
+/**
+ * A console stand-in that records its calls
+ */
+function fakeConsole() {
+  const calls = [];
+  const target = {};
+  for (const method of CONSOLE_METHODS) {
+    target[method] = (...args) => calls.push([method, ...args]);
+  }
+  return { target, calls };
+}
+
+describe('loggers', () => {
+  describe('patchConsole()', () => {
+    it('should redact strings and objects passed to console methods', () => {
+      const { target, calls } = fakeConsole();
+      const restore = patchConsole({ target });
+      target.log('login %s', 'a@x.com', { password: 'hunter2', ip: '10.0.0.1' });
+      target.error('failed for 555-123-4567');
+      restore();
+
+      assert.deepStrictEqual(calls, [
+        ['log', 'login %s', '[EMAIL]', { password: '[REDACTED]', ip: '[IPv4]' }],
+        ['error', 'failed for [PHONE]'],
+      ]);
+    });
+
+    it('should redact Errors without losing their class', () => {
+      const { target, calls } = fakeConsole();
+      const restore = patchConsole({ target });
+      const err = new TypeError('bad email a@x.com');
+      target.error(err, { err });
+      restore();
+
+      const [, logged, { err: nested }] = calls[0];
+      assert.ok(logged instanceof TypeError);
+      assert.strictEqual(logged.message, 'bad email [EMAIL]');
+      assert.ok(!logged.stack.includes('a@x.com'));
+      assert.strictEqual(nested.message, 'bad email [EMAIL]');
+      assert.strictEqual(err.message, 'bad email a@x.com');
+    });
+
+    it('should leave other values alone', () => {
+      const { target, calls } = fakeConsole();
+      const restore = patchConsole({ target });
+      const date = new Date(0);
+      target.info(42, null, date);
+      restore();
+      assert.deepStrictEqual(calls, [['info', 42, null, date]]);
+    });
+
+    it('should only wrap the given methods and restore them', () => {
+      const { target, calls } = fakeConsole();
+      const { log, warn } = target;
+      const restore = patchConsole({ target, methods: ['warn'] });
+      assert.strictEqual(target.log, log);
+      assert.notStrictEqual(target.warn, warn);
+
+      restore();
+      assert.strictEqual(target.warn, warn);
+      target.warn('a@x.com');
+      assert.deepStrictEqual(calls, [['warn', 'a@x.com']]);
+    });
+
+    it('should pass redaction options through', () => {
+      const { target, calls } = fakeConsole();
+      const restore = patchConsole({ target, pseudonymize: true, sensitiveKeys: ['pin'] });
+      target.log('a@x.com', { pin: '1234', password: 'hunter2' });
+      target.log('b@y.com a@x.com');
+      restore();
+      assert.deepStrictEqual(calls, [
+        ['log', '[EMAIL_1]', { pin: '[REDACTED]', password: 'hunter2' }],
+        ['log', '[EMAIL_2] [EMAIL_1]'],
+      ]);
+    });
+
+    it('should reject unknown methods and bad options', () => {
+      const { target } = fakeConsole();
+      const { log } = target;
+      assert.throws(() => patchConsole({ target, methods: ['shout'] }), /Unknown console method/);
+      assert.throws(() => patchConsole({ target, include: ['nope'] }), /Unknown patterns/);
+      assert.strictEqual(target.log, log);
+    });
+  });
+
+  describe('pinoRedaction()', () => {
+    it('should share pseudonyms between formatters and hooks', () => {
+      const { formatters, hooks } = pinoRedaction({ pseudonymize: true });
+      const calls = [];
+      hooks.logMethod(['login %s', 'a@x.com'], (...args) => calls.push(args));
+
+      assert.deepStrictEqual(calls, [['login %s', '[EMAIL_1]']]);
+      assert.deepStrictEqual(formatters.log({ user: 'b@y.com', again: 'a@x.com' }), {
+        user: '[EMAIL_2]',
+        again: '[EMAIL_1]',
+      });
+    });
+
+    it('should be the only pino integration taking a vault', () => {
+      const vault = { file: 'unused.vault', key: 'k' };
+      assert.throws(() => pinoFormatters({ vault }), /use pinoRedaction\(\)/);
+      assert.throws(() => pinoHooks({ vault }), /use pinoRedaction\(\)/);
+    });
+  });
+
+  describe('pinoFormatters()', () => {
+    it('should redact the merging object and bindings', () => {
+      const { log, bindings } = pinoFormatters();
+      const object = { user: 'a@x.com', token: 'abc123', err: new Error('for a@x.com') };
+      const result = log(object);
+
+      assert.strictEqual(result.user, '[EMAIL]');
+      assert.strictEqual(result.token, '[REDACTED]');
+      assert.ok(result.err instanceof Error);
+      assert.strictEqual(result.err.message, 'for [EMAIL]');
+      assert.strictEqual(object.user, 'a@x.com');
+      assert.deepStrictEqual(bindings({ pid: 1, tenant: 'b@y.com' }), {
+        pid: 1,
+        tenant: '[EMAIL]',
+      });
+    });
+  });
+
+  describe('pinoHooks()', () => {
+    it('should redact every argument and call the log method with this', () => {
+      const { logMethod } = pinoHooks();
+      const logger = {
+        calls: [],
+        info(...args) {
+          this.calls.push(args);
+        },
+      };
+      logMethod.call(logger, [{ password: 'x' }, 'user %s', 'a@x.com'], logger.info);
+      assert.deepStrictEqual(logger.calls, [[{ password: '[REDACTED]' }, 'user %s', '[EMAIL]']]);
+    });
+  });
+
+  describe('winstonFormat()', () => {
+    const MESSAGE = Symbol.for('message');
+    const SPLAT = Symbol.for('splat');
+
+    it('should redact the info object in place, except the level', () => {
+      const info = {
+        level: 'info',
+        message: 'login a@x.com',
+        secret: 's3cr3t',
+        meta: { phone: '555-123-4567' },
+        [SPLAT]: ['b@y.com'],
+        [MESSAGE]: '{"message":"login a@x.com"}',
+      };
+      const result = winstonFormat().transform(info);
+
+      assert.strictEqual(result, info);
+      assert.strictEqual(info.level, 'info');
+      assert.strictEqual(info.message, 'login [EMAIL]');
+      assert.strictEqual(info.secret, '[REDACTED]');
+      assert.deepStrictEqual(info.meta, { phone: '[PHONE]' });
+      assert.deepStrictEqual(info[SPLAT], ['[EMAIL]']);
+      assert.strictEqual(info[MESSAGE], '{"message":"login [EMAIL]"}');
+    });
+
+    it('should redact Errors logged as the info object', () => {
+      const info = Object.assign(new Error('lookup failed for a@x.com'), { level: 'error' });
+      winstonFormat().transform(info);
+      assert.strictEqual(info.message, 'lookup failed for [EMAIL]');
+      assert.ok(!info.stack.includes('a@x.com'));
+    });
+  });
+});
@@ -0,0 +1,93 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { createPseudonymizer, getLabel } = require('../src/pseudonymize');
+const { redact } = require('../src/redakt');
+const { patterns } = require('../src/patterns');
+
+describe('pseudonymize', () => {
+  describe('createPseudonymizer()', () => {
+    it('should number distinct values per label', () => {
+      const p = createPseudonymizer();
+      assert.strictEqual(p.tokenFor('EMAIL', 'a@x.com'), '[EMAIL_1]');
+      assert.strictEqual(p.tokenFor('EMAIL', 'b@x.com'), '[EMAIL_2]');
+      assert.strictEqual(p.tokenFor('IPv4', '10.0.0.1'), '[IPv4_1]');
+      assert.strictEqual(p.tokenFor('EMAIL', 'a@x.com'), '[EMAIL_1]');
+    });
+
+    it('should derive keyed tokens that are stable across instances', () => {
+      const a = createPseudonymizer({ key: 'secret' });
+      const b = createPseudonymizer({ key: 'secret' });
+      const token = a.tokenFor('EMAIL', 'a@x.com');
+
+      assert.match(token, /^\[EMAIL_[0-9a-f]{8}\]$/);
+      assert.strictEqual(b.tokenFor('EMAIL', 'a@x.com'), token);
+      assert.notStrictEqual(a.tokenFor('EMAIL', 'b@x.com'), token);
+    });
+
+    it('should give different keyed tokens for different keys', () => {
+      const a = createPseudonymizer({ key: 'one' });
+      const b = createPseudonymizer({ key: 'two' });
+      assert.notStrictEqual(a.tokenFor('EMAIL', 'a@x.com'), b.tokenFor('EMAIL', 'a@x.com'));
+    });
+
+    it('should reject empty keys', () => {
+      assert.throws(() => createPseudonymizer({ key: '' }), /non-empty/);
+    });
+  });
+
+  describe('getLabel()', () => {
+    it('should use the bracketed placeholder', () => {
+      assert.strictEqual(getLabel('email', patterns.email), 'EMAIL');
+      assert.strictEqual(getLabel('ipv4', patterns.ipv4), 'IPv4');
+    });
+
+    it('should prefer an explicit label', () => {
+      assert.strictEqual(getLabel('urlWithCreds', patterns.urlWithCreds), 'URL_CREDS');
+    });
+
+    it('should fall back to the pattern name', () => {
+      assert.strictEqual(getLabel('employeeId', { placeholder: '<emp>' }), 'EMPLOYEE_ID');
+    });
+  });
+
+  describe('with redact()', () => {
+    it('should replace repeated values with the same token', () => {
+      const input = 'a@x.com logged in from 10.0.0.1, b@y.com too, a@x.com again';
+      const { text } = redact(input, { pseudonymize: true });
+      assert.strictEqual(text, '[EMAIL_1] logged in from [IPv4_1], [EMAIL_2] too, [EMAIL_1] again');
+    });
+
+    it('should keep url hosts while pseudonymizing credentials', () => {
+      const { text } = redact('https://u:p@db.example.com', { pseudonymize: true });
+      assert.strictEqual(text, 'https://[URL_CREDS_1]@db.example.com');
+    });
+
+    it('should keep numbering across calls with a shared pseudonymizer', () => {
+      const pseudonymizer = createPseudonymizer();
+      redact('a@x.com', { pseudonymizer });
+      const { text } = redact('b@x.com a@x.com', { pseudonymizer });
+      assert.strictEqual(text, '[EMAIL_2] [EMAIL_1]');
+    });
+
+    it('should produce the same keyed tokens across runs', () => {
+      const first = redact('a@x.com', { pseudonymize: { key: 'k' } }).text;
+      const second = redact('b@x.com a@x.com', { pseudonymize: { key: 'k' } }).text;
+      assert.ok(second.endsWith(first));
+    });
+
+    it('should not allocate tokens for matches a pattern rejects', () => {
+      const lowEntropy = 'a'.repeat(40);
+      const secret = 'wJalrXUtnFEMI/K7MDENG/bPxRfiCYEXAMPLEKEY';
+      const { text } = redact(`${lowEntropy} ${secret}`, {
+        include: ['awsSecret'],
+        pseudonymize: true,
+      });
+      assert.strictEqual(text, `${lowEntropy} [AWS_SECRET_1]`);
+    });
+
+    it('should count pseudonymized values in stats', () => {
+      const { stats } = redact('a@x.com a@x.com', { pseudonymize: true, stats: true });
+      assert.strictEqual(stats.byType.email, 2);
+    });
+  });
+});
@@ -1,6 +1,13 @@
 const { describe, it } = require('node:test');
 const assert = require('node:assert');
-const { redact, detect, listPatterns, defaultPatterns, allPatternNames } = require('../src/redakt');
+const {
+  redact,
+  createRedactor,
+  detect,
+  listPatterns,
+  defaultPatterns,
+  allPatternNames,
+} = require('../src/redakt');
 
 describe('redakt', () => {
   describe('redact()', () => {
@@ -174,6 +181,37 @@ MIIEpAIBAAKCAQEA0Z3VS5JJcds3xfn/ygWyF2DlXqLN
     });
   });
 
+  describe('createRedactor()', () => {
+    it('should redact like redact() with the same options', () => {
+      const options = { include: ['email'], stats: true };
+      const redactor = createRedactor(options);
+      const input = 'a@x.com 555-123-4567';
+      assert.deepStrictEqual(redactor(input), redact(input, options));
+    });
+
+    it('should share pseudonyms across calls', () => {
+      const redactor = createRedactor({ pseudonymize: true });
+      assert.strictEqual(redactor('a@x.com').text, '[EMAIL_1]');
+      assert.strictEqual(redactor('b@y.com a@x.com').text, '[EMAIL_2] [EMAIL_1]');
+    });
+
+    it('should apply a precompiled allowlist', () => {
+      const redactor = createRedactor({ allowlist: ['noreply@example.com'] });
+      assert.strictEqual(
+        redactor('noreply@example.com a@x.com').text,
+        'noreply@example.com [EMAIL]',
+      );
+    });
+
+    it('should reject bad options up front', () => {
+      assert.throws(() => createRedactor({ include: ['unknownPattern'] }), /Unknown patterns/);
+    });
+
+    it('should reject non-string input', () => {
+      assert.throws(() => createRedactor()(42), TypeError);
+    });
+  });
+
   describe('detect()', () => {
     it('should detect sensitive data', () => {
       const input = 'Email: test@example.com';
@@ -226,6 +264,53 @@ MIIEpAIBAAKCAQEA0Z3VS5JJcds3xfn/ygWyF2DlXqLN
     it('should throw on non-string input', () => {
       assert.throws(() => detect(null), /Input must be a string/);
     });
+
+    describe('findings', () => {
+      it('should report offsets, line and column', () => {
+        const input = 'first line\nmail: test@example.com\nip 10.0.0.1';
+        const { findings } = detect(input);
+
+        assert.strictEqual(findings.length, 2);
+        assert.deepStrictEqual(
+          { ...findings[0], fingerprint: undefined },
+          {
+            pattern: 'email',
+            start: 17,
+            end: 33,
+            line: 2,
+            column: 7,
+            severity: 'low',
+            confidence: 0.9,
+            preview: 'tes...com',
+            fingerprint: undefined,
+          },
+        );
+        assert.strictEqual(input.slice(findings[0].start, findings[0].end), 'test@example.com');
+        assert.strictEqual(findings[1].pattern, 'ipv4');
+        assert.strictEqual(findings[1].line, 3);
+        assert.strictEqual(findings[1].column, 4);
+      });
+
+      it('should order findings by position', () => {
+        const { findings } = detect('10.0.0.1 then a@b.com');
+        assert.deepStrictEqual(
+          findings.map((f) => f.pattern),
+          ['ipv4', 'email'],
+        );
+      });
+
+      it('should fingerprint values without revealing them', () => {
+        const { findings } = detect('a@b.com c@d.com a@b.com');
+        assert.match(findings[0].fingerprint, /^[0-9a-f]{16}$/);
+        assert.strictEqual(findings[0].fingerprint, findings[2].fingerprint);
+        assert.notStrictEqual(findings[0].fingerprint, findings[1].fingerprint);
+        assert.ok(!JSON.stringify(findings).includes('a@b.com'));
+      });
+
+      it('should return an empty list when nothing is found', () => {
+        assert.deepStrictEqual(detect('nothing here').findings, []);
+      });
+    });
   });
 
   describe('listPatterns()', () => {
@@ -259,6 +344,38 @@ MIIEpAIBAAKCAQEA0Z3VS5JJcds3xfn/ygWyF2DlXqLN
       assert.ok(defaultPatterns.includes('email'));
     });
 
+    it('should enable the credential pack and secretAssignment by default', () => {
+      assert.deepStrictEqual(defaultPatterns, [
+        'privateKey',
+        'jwt',
+        'urlWithCreds',
+        'githubToken',
+        'slackToken',
+        'bearerToken',
+        'creditCard',
+        'ssn',
+        'email',
+        'phone',
+        'ipv4',
+        'secretAssignment',
+        'gcpServiceAccount',
+        'azureStorageKey',
+        'stripeKey',
+        'openaiKey',
+        'anthropicKey',
+        'googleApiKey',
+        'googleOAuthSecret',
+        'npmToken',
+        'pypiToken',
+        'twilioKey',
+        'sendgridKey',
+        'mailgunKey',
+        'shopifyToken',
+        'gitlabToken',
+        'discordToken',
+      ]);
+    });
+
     it('should export allPatternNames', () => {
       assert.ok(Array.isArray(allPatternNames));
       assert.ok(allPatternNames.length >= defaultPatterns.length);
@@ -0,0 +1,194 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { createServer, loadServerToken, SERVER_DEFAULTS } = require('../src/server');
+
+/**
+ * Start a server on a free local port
+ */
+function listen(options) {
+  const server = createServer(options);
+  return new Promise((resolve) => {
+    server.listen(0, '127.0.0.1', () => resolve(server));
+  });
+}
+
+/**
+ * Make a request and collect the response
+ */
+function request(server, method, urlPath, { body, headers = {} } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request(
+      { host: '127.0.0.1', port: server.address().port, method, path: urlPath, headers },
+      (res) => {
+        let text = '';
+        res.setEncoding('utf8');
+        res.on('data', (chunk) => {
+          text += chunk;
+        });
+        res.on('end', () => {
+          const json = /json/.test(res.headers['content-type']) ? JSON.parse(text) : null;
+          resolve({ status: res.statusCode, headers: res.headers, text, json });
+        });
+      },
+    );
+    req.on('error', reject);
+    req.end(body === undefined || typeof body === 'string' ? body : JSON.stringify(body));
+  });
+}
+
+describe('server', () => {
+  describe('endpoints', () => {
+    let server;
+    before(async () => {
+      server = await listen({ defaults: { locales: ['de'] } });
+    });
+    after(() => server.close());
+
+    it('should report health', async () => {
+      const res = await request(server, 'GET', '/health');
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(res.json, { status: 'ok' });
+    });
+
+    it('should list patterns with the server options', async () => {
+      const res = await request(server, 'GET', '/patterns');
+      assert.strictEqual(res.status, 200);
+      assert.ok(res.json.email.isDefault);
+      assert.deepStrictEqual(res.json.deTaxId.locales, ['de']);
+    });
+
+    it('should redact text with request options', async () => {
+      const res = await request(server, 'POST', '/redact', {
+        body: { text: 'a@x.com 555-123-4567', exclude: ['phone'], stats: true },
+      });
+      assert.strictEqual(res.status, 200);
+      assert.deepStrictEqual(res.json, {
+        text: '[EMAIL] 555-123-4567',
+        stats: { total: 1, byType: { email: 1 } },
+      });
+    });
+
+    it('should detect without returning values', async () => {
+      const res = await request(server, 'POST', '/detect', { body: { text: 'mail a@x.com' } });
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.json.total, 1);
+      assert.strictEqual(res.json.findings[0].pattern, 'email');
+      assert.ok(!res.text.includes('a@x.com'));
+    });
+
+    it('should stream text with options from the query string', async () => {
+      const res = await request(server, 'POST', '/redact/stream?pseudonymize=1&include=email', {
+        body: 'a@x.com\nb@y.com 10.0.0.1\na@x.com\n',
+        headers: { 'Content-Type': 'text/plain' },
+      });
+      assert.strictEqual(res.status, 200);
+      assert.strictEqual(res.text, '[EMAIL_1]\n[EMAIL_2] 10.0.0.1\n[EMAIL_1]\n');
+    });
+
+    it('should reject bad requests with a JSON error', async () => {
+      const cases = [
+        [{ text: 'x', include: ['nope'] }, /Unknown patterns: nope/],
+        [{ text: 'x', vault: { file: 'v' } }, /Unknown option: vault/],
+        [{ text: 'x', include: 'email' }, /include must be an array of strings/],
+        [{ value: 'x' }, /"text" string/],
+        [{ text: 'x', constructor: 1 }, /Unknown option: constructor/],
+        ['{"text":"x","__proto__":{"all":true}}', /Unknown option: __proto__/],
+        [{ text: 'x', minConfidence: 2 }, /minConfidence must be a number between 0 and 1/],
+        [{ text: 'x', placeholders: { email: 1 } }, /placeholders must be an object of strings/],
+        ['{not json', /Invalid JSON body/],
+      ];
+      for (const [body, error] of cases) {
+        const res = await request(server, 'POST', '/redact', { body });
+        assert.strictEqual(res.status, 400);
+        assert.match(res.json.error, error);
+      }
+      const stream = await request(server, 'POST', '/redact/stream?masking=hash', { body: 'x' });
+      assert.strictEqual(stream.status, 400);
+      const inherited = await request(server, 'POST', '/redact/stream?toString=1', { body: 'x' });
+      assert.strictEqual(inherited.status, 400);
+    });
+
+    it('should answer unknown paths and methods', async () => {
+      assert.strictEqual((await request(server, 'GET', '/nope')).status, 404);
+      const res = await request(server, 'GET', '/redact');
+      assert.strictEqual(res.status, 405);
+      assert.strictEqual(res.headers.allow, 'POST');
+    });
+  });
+
+  describe('limits and auth', () => {
+    let server;
+    before(async () => {
+      server = await listen({ token: 's3cret-token', maxBodySize: 64 });
+    });
+    after(() => server.close());
+
+    const auth = { Authorization: 'Bearer s3cret-token' };
+
+    it('should require the bearer token except for health', async () => {
+      assert.strictEqual((await request(server, 'GET', '/health')).status, 200);
+
+      const missing = await request(server, 'GET', '/patterns');
+      assert.strictEqual(missing.status, 401);
+      assert.strictEqual(missing.headers['www-authenticate'], 'Bearer');
+
+      const wrong = await request(server, 'GET', '/patterns', {
+        headers: { Authorization: 'Bearer nope' },
+      });
+      assert.strictEqual(wrong.status, 401);
+
+      assert.strictEqual(
+        (await request(server, 'GET', '/patterns', { headers: auth })).status,
+        200,
+      );
+    });
+
+    it('should reject JSON bodies over the limit', async () => {
+      const res = await request(server, 'POST', '/redact', {
+        body: { text: 'x'.repeat(100) },
+        headers: auth,
+      });
+      assert.strictEqual(res.status, 413);
+      assert.match(res.json.error, /larger than 64 bytes/);
+    });
+
+    it('should not limit the stream endpoint', async () => {
+      const body = 'a@x.com\n'.repeat(50);
+      const res = await request(server, 'POST', '/redact/stream', { body, headers: auth });
+      assert.strictEqual(res.text, '[EMAIL]\n'.repeat(50));
+    });
+  });
+
+  describe('createServer()', () => {
+    it('should reject bad defaults and limits up front', () => {
+      assert.throws(() => createServer({ defaults: { include: ['nope'] } }), /Unknown patterns/);
+      assert.throws(() => createServer({ maxBodySize: 0 }), /positive integer/);
+    });
+
+    it('should listen on localhost by default', () => {
+      assert.strictEqual(SERVER_DEFAULTS.host, '127.0.0.1');
+    });
+  });
+
+  describe('loadServerToken()', () => {
+    it('should read a token file, then the environment', () => {
+      const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'redakt-serve-'));
+      const file = path.join(dir, 'token');
+      fs.writeFileSync(file, 'from-file\n');
+      try {
+        assert.strictEqual(loadServerToken({ tokenFile: file, env: {} }), 'from-file');
+        assert.strictEqual(loadServerToken({ env: { REDAKT_SERVE_TOKEN: 'env' } }), 'env');
+        assert.strictEqual(loadServerToken({ env: {} }), null);
+        fs.writeFileSync(file, '  \n');
+        assert.throws(() => loadServerToken({ tokenFile: file }), /empty/);
+        assert.throws(() => loadServerToken({ tokenFile: path.join(dir, 'x') }), /not found/);
+      } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+      }
+    });
+  });
+});
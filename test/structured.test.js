@@ -0,0 +1,195 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { Readable } = require('stream');
+const {
+  createKeyMatcher,
+  createObjectRedactor,
+  redactObject,
+  redactJson,
+  createNdjsonRedactStream,
+} = require('../src/structured');
+
+/**
+ * Push chunks through an NDJSON stream and collect the output and stats
+ */
+async function run(chunks, options) {
+  const stream = createNdjsonRedactStream(options);
+  let text = '';
+  for await (const piece of Readable.from(chunks).pipe(stream)) {
+    text += piece;
+  }
+  return { text, stats: stream.stats };
+}
+
+describe('structured', () => {
+  describe('createKeyMatcher()', () => {
+    const isSensitive = createKeyMatcher();
+
+    it('should match sensitive keys regardless of case and separators', () => {
+      assert.ok(isSensitive('password'));
+      assert.ok(isSensitive('dbPassword'));
+      assert.ok(isSensitive('X-Api-Key'));
+      assert.ok(isSensitive('Set-Cookie'));
+      assert.ok(isSensitive('client_secret'));
+      assert.ok(isSensitive('token'));
+    });
+
+    it('should not match ordinary keys', () => {
+      assert.ok(!isSensitive('user'));
+      assert.ok(!isSensitive('tokenCount'));
+      assert.ok(!isSensitive('message'));
+    });
+
+    it('should accept custom rules', () => {
+      const matcher = createKeyMatcher(['ssn', /^pin$/i]);
+      assert.ok(matcher('customer_ssn'));
+      assert.ok(matcher('PIN'));
+      assert.ok(!matcher('spin'));
+    });
+  });
+
+  describe('redactObject()', () => {
+    it('should redact string leaves and sensitive keys', () => {
+      const input = {
+        user: 'a@x.com',
+        password: 'hunter2',
+        headers: { Authorization: 'Basic abc', accept: 'text/html' },
+        events: [{ ip: '10.0.0.1', retries: 3 }],
+      };
+      const { value } = redactObject(input);
+
+      assert.deepStrictEqual(value, {
+        user: '[EMAIL]',
+        password: '[REDACTED]',
+        headers: { Authorization: '[REDACTED]', accept: 'text/html' },
+        events: [{ ip: '[IPv4]', retries: 3 }],
+      });
+    });
+
+    it('should not modify the input', () => {
+      const input = { user: 'a@x.com', list: ['b@x.com'] };
+      redactObject(input);
+      assert.deepStrictEqual(input, { user: 'a@x.com', list: ['b@x.com'] });
+    });
+
+    it('should redact non-string values under sensitive keys', () => {
+      const { value } = redactObject({ secret: { nested: true }, pin: 1234, password: null });
+      assert.deepStrictEqual(value, { secret: '[REDACTED]', pin: 1234, password: null });
+    });
+
+    it('should handle circular references', () => {
+      const input = { name: 'x' };
+      input.self = input;
+      assert.deepStrictEqual(redactObject(input).value, { name: 'x', self: '[Circular]' });
+    });
+
+    it('should redact top-level strings', () => {
+      assert.strictEqual(redactObject('mail a@x.com').value, 'mail [EMAIL]');
+    });
+
+    it('should honour keyPlaceholder and sensitiveKeys', () => {
+      const { value } = redactObject(
+        { ssn_hash: 'abc', password: 'x' },
+        { sensitiveKeys: ['ssn'], keyPlaceholder: '***' },
+      );
+      assert.deepStrictEqual(value, { ssn_hash: '***', password: 'x' });
+    });
+
+    it('should pseudonymize consistently across the whole value', () => {
+      const { value } = redactObject(
+        { from: 'a@x.com', to: ['b@x.com', 'a@x.com'] },
+        {
+          pseudonymize: true,
+        },
+      );
+      assert.deepStrictEqual(value, { from: '[EMAIL_1]', to: ['[EMAIL_2]', '[EMAIL_1]'] });
+    });
+
+    it('should return stats when requested', () => {
+      const { stats } = redactObject({ a: 'a@x.com', token: 't' }, { stats: true });
+      assert.deepStrictEqual(stats, { total: 2, byType: { email: 1, sensitiveKey: 1 } });
+    });
+  });
+
+  describe('createObjectRedactor()', () => {
+    it('should redact values like redactObject() with the same options', () => {
+      const options = { sensitiveKeys: ['pin'], stats: true };
+      const redactor = createObjectRedactor(options);
+      const value = { pin: '1234', note: 'mail a@x.com' };
+      assert.deepStrictEqual(redactor(value), redactObject(value, options));
+    });
+
+    it('should keep stats per call and pseudonyms across calls', () => {
+      const redactor = createObjectRedactor({ pseudonymize: true, stats: true });
+      redactor({ user: 'a@x.com' });
+      const result = redactor({ users: ['b@y.com', 'a@x.com'] });
+      assert.deepStrictEqual(result.value, { users: ['[EMAIL_2]', '[EMAIL_1]'] });
+      assert.strictEqual(result.stats.total, 2);
+    });
+  });
+
+  describe('redactJson()', () => {
+    it('should keep JSON escaping valid', () => {
+      const input = JSON.stringify({ msg: 'quote " and a@x.com\nnext' });
+      const { text } = redactJson(input);
+      assert.deepStrictEqual(JSON.parse(text), { msg: 'quote " and [EMAIL]\nnext' });
+    });
+
+    it('should throw on invalid JSON', () => {
+      assert.throws(() => redactJson('{ nope'), /Invalid JSON input/);
+    });
+  });
+
+  describe('createNdjsonRedactStream()', () => {
+    it('should emit one valid JSON value per line', async () => {
+      const lines = [
+        JSON.stringify({ user: 'a@x.com', password: 'p' }),
+        JSON.stringify({ msg: 'from 10.0.0.1' }),
+      ];
+      const { text } = await run([`${lines.join('\n')}\n`]);
+      const output = text
+        .trimEnd()
+        .split('\n')
+        .map((line) => JSON.parse(line));
+
+      assert.deepStrictEqual(output, [
+        { user: '[EMAIL]', password: '[REDACTED]' },
+        { msg: 'from [IPv4]' },
+      ]);
+    });
+
+    it('should handle lines split across chunks', async () => {
+      const { text } = await run(['{"user":"a@', 'x.com"}\n{"b":', '1}']);
+      assert.strictEqual(text, '{"user":"[EMAIL]"}\n{"b":1}');
+    });
+
+    it('should pass lines with nothing to redact through unchanged', async () => {
+      const { text } = await run([
+        '{"trace_id": 1234567890123456789, "msg": "ok"}\n{"trace_id":1,"user":"a@x.com"}\n',
+      ]);
+      assert.strictEqual(
+        text,
+        '{"trace_id": 1234567890123456789, "msg": "ok"}\n{"trace_id":1,"user":"[EMAIL]"}\n',
+      );
+    });
+
+    it('should fall back to text redaction for invalid lines', async () => {
+      const { text, stats } = await run(['plain a@x.com\n{"ok":true}\n']);
+      assert.strictEqual(text, 'plain [EMAIL]\n{"ok":true}\n');
+      assert.strictEqual(stats.invalidLines, 1);
+      assert.strictEqual(stats.lines, 2);
+    });
+
+    it('should preserve blank lines and CRLF endings', async () => {
+      const { text } = await run(['{"a":"a@x.com"}\r\n\n']);
+      assert.strictEqual(text, '{"a":"[EMAIL]"}\r\n\n');
+    });
+
+    it('should keep pseudonyms consistent across lines', async () => {
+      const { text } = await run(['{"u":"a@x.com"}\n{"u":"b@x.com"}\n{"u":"a@x.com"}\n'], {
+        pseudonymize: true,
+      });
+      assert.strictEqual(text, '{"u":"[EMAIL_1]"}\n{"u":"[EMAIL_2]"}\n{"u":"[EMAIL_1]"}\n');
+    });
+  });
+});
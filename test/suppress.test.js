@@ -0,0 +1,151 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { compileAllowlist, findIgnoredLines, createSuppressor } = require('../src/suppress');
+const { redact, detect } = require('../src/redakt');
+const { createRedactStream } = require('../src/stream');
+
+describe('suppress', () => {
+  describe('compileAllowlist()', () => {
+    it('should return null without rules', () => {
+      assert.strictEqual(compileAllowlist(undefined), null);
+      assert.strictEqual(compileAllowlist([]), null);
+    });
+
+    it('should match exact values for any pattern', () => {
+      const allowed = compileAllowlist(['noreply@example.com']);
+      assert.strictEqual(allowed('email', 'noreply@example.com'), true);
+      assert.strictEqual(allowed('email', 'reply@example.com'), false);
+    });
+
+    it('should match regexes, ignoring the global flag', () => {
+      const allowed = compileAllowlist([/^127\./g]);
+      assert.strictEqual(allowed('ipv4', '127.0.0.1'), true);
+      assert.strictEqual(allowed('ipv4', '127.0.0.1'), true);
+      assert.strictEqual(allowed('ipv4', '10.0.0.1'), false);
+    });
+
+    it('should scope object rules to one pattern', () => {
+      const allowed = compileAllowlist([
+        { value: '4111 1111 1111 1111', pattern: 'creditCard' },
+        { regex: '@EXAMPLE\\.com$', flags: 'i', pattern: 'email' },
+      ]);
+      assert.strictEqual(allowed('creditCard', '4111 1111 1111 1111'), true);
+      assert.strictEqual(allowed('phone', '4111 1111 1111 1111'), false);
+      assert.strictEqual(allowed('email', 'a@example.com'), true);
+      assert.strictEqual(allowed('urlWithCreds', 'https://a@example.com'), false);
+    });
+
+    it('should reject malformed rules', () => {
+      assert.throws(() => compileAllowlist('x'), /must be an array/);
+      assert.throws(() => compileAllowlist([42]), /must be strings/);
+      assert.throws(() => compileAllowlist([{ pattern: 'email' }]), /"value" string or a "regex"/);
+      assert.throws(() => compileAllowlist([{ regex: '(' }]), /Invalid allowlist regex/);
+    });
+  });
+
+  describe('findIgnoredLines()', () => {
+    it('should return null without comments', () => {
+      assert.strictEqual(findIgnoredLines('plain text'), null);
+    });
+
+    it('should cover the commented line and the line after ignore-next-line', () => {
+      const text = 'a\nb // redakt:ignore\n# redakt:ignore-next-line\nc\nd';
+      const ignored = findIgnoredLines(text);
+      const lineStart = (n) =>
+        text
+          .split('\n')
+          .slice(0, n - 1)
+          .join('\n').length + 1;
+
+      assert.strictEqual(ignored(0), false);
+      assert.strictEqual(ignored(lineStart(2)), true);
+      assert.strictEqual(ignored(lineStart(4)), true);
+      assert.strictEqual(ignored(lineStart(5)), false);
+    });
+
+    it('should not treat other words as comments', () => {
+      assert.strictEqual(findIgnoredLines('redakt:ignored x')(0), false);
+    });
+  });
+
+  describe('createSuppressor()', () => {
+    it('should give the reason for a suppression', () => {
+      const text = 'x # redakt:ignore';
+      const suppress = createSuppressor(text, { allowlist: ['safe'], inlineIgnore: true });
+      assert.strictEqual(suppress('email', 'safe', 100), 'allowlist');
+      assert.strictEqual(suppress('email', 'other', 0), 'inline');
+    });
+
+    it('should return null when nothing can be suppressed', () => {
+      assert.strictEqual(createSuppressor('# redakt:ignore', {}), null);
+    });
+  });
+
+  describe('with redact()', () => {
+    it('should leave allowlisted values and count them as suppressed', () => {
+      const { text, stats } = redact('from noreply@example.com to a@b.com via 127.0.0.1', {
+        allowlist: ['noreply@example.com', { regex: '^127\\.', pattern: 'ipv4' }],
+        stats: true,
+      });
+      assert.strictEqual(text, 'from noreply@example.com to [EMAIL] via 127.0.0.1');
+      assert.deepStrictEqual(stats, {
+        total: 1,
+        byType: { email: 1 },
+        suppressed: { total: 2, byType: { email: 1, ipv4: 1 } },
+      });
+    });
+
+    it('should ignore inline comments unless inlineIgnore is set', () => {
+      const input = 'a@b.com # redakt:ignore\nc@d.com';
+      assert.strictEqual(redact(input).text, '[EMAIL] # redakt:ignore\n[EMAIL]');
+      assert.strictEqual(
+        redact(input, { inlineIgnore: true }).text,
+        'a@b.com # redakt:ignore\n[EMAIL]',
+      );
+    });
+
+    it('should add suppressed counts across stream segments', async () => {
+      const stream = createRedactStream({ allowlist: ['keep@example.com'] });
+      stream.end('keep@example.com\nkeep@example.com a@b.com\n');
+      for await (const chunk of stream) {
+        assert.ok(chunk);
+      }
+      assert.deepStrictEqual(stream.stats.suppressed, { total: 2, byType: { email: 2 } });
+    });
+  });
+
+  describe('with detect()', () => {
+    it('should honour inline comments by default and list suppressed findings', () => {
+      const input = [
+        'owner: ops@example.com',
+        '# redakt:ignore-next-line',
+        'sample: test@example.com',
+        'ip: 10.0.0.1 # redakt:ignore',
+      ].join('\n');
+      const result = detect(input);
+
+      assert.strictEqual(result.total, 1);
+      assert.strictEqual(result.findings[0].line, 1);
+      assert.strictEqual(result.suppressed.total, 2);
+      assert.deepStrictEqual(
+        result.suppressed.findings.map((f) => [f.pattern, f.line, f.reason]),
+        [
+          ['email', 3, 'inline'],
+          ['ipv4', 4, 'inline'],
+        ],
+      );
+    });
+
+    it('should report commented lines with inlineIgnore: false', () => {
+      const result = detect('a@b.com # redakt:ignore', { inlineIgnore: false });
+      assert.strictEqual(result.total, 1);
+      assert.strictEqual(result.suppressed.total, 0);
+    });
+
+    it('should mark allowlisted findings', () => {
+      const result = detect('a@b.com', { allowlist: [/@b\.com$/] });
+      assert.strictEqual(result.hasSensitiveData, false);
+      assert.strictEqual(result.suppressed.findings[0].reason, 'allowlist');
+    });
+  });
+});
@@ -0,0 +1,174 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadVaultKey,
+  encryptMapping,
+  decryptMapping,
+  readVault,
+  writeVault,
+  replacedValue,
+  restore,
+} = require('../src/vault');
+const { redact, createRedactor } = require('../src/redakt');
+const { createObjectRedactor } = require('../src/structured');
+const { patchConsole } = require('../src/loggers');
+
+describe('vault', () => {
+  let tmpDir;
+
+  before(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'redakt-vault-'));
+  });
+
+  after(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe('loadVaultKey()', () => {
+    it('should read and trim a key file', () => {
+      const keyFile = path.join(tmpDir, 'key');
+      fs.writeFileSync(keyFile, 'file-key\n');
+      assert.strictEqual(loadVaultKey({ keyFile }), 'file-key');
+    });
+
+    it('should fall back to REDAKT_VAULT_KEY', () => {
+      assert.strictEqual(loadVaultKey({ env: { REDAKT_VAULT_KEY: 'env-key' } }), 'env-key');
+    });
+
+    it('should throw without a key', () => {
+      assert.throws(() => loadVaultKey({ env: {} }), /No vault key/);
+    });
+  });
+
+  describe('encryption', () => {
+    it('should round-trip a mapping', () => {
+      const mapping = { '[EMAIL_1]': 'a@x.com' };
+      const envelope = encryptMapping(mapping, 'k');
+      assert.strictEqual(envelope.cipher, 'aes-256-gcm');
+      assert.ok(!JSON.stringify(envelope).includes('a@x.com'));
+      assert.deepStrictEqual(decryptMapping(envelope, 'k'), mapping);
+    });
+
+    it('should reject the wrong key', () => {
+      const envelope = encryptMapping({ '[EMAIL_1]': 'a@x.com' }, 'right');
+      assert.throws(() => decryptMapping(envelope, 'wrong'), /wrong key or corrupted/);
+    });
+
+    it('should reject tampered data', () => {
+      const envelope = encryptMapping({ '[EMAIL_1]': 'a@x.com' }, 'k');
+      const data = Buffer.from(envelope.data, 'base64');
+      data[0] ^= 1;
+      envelope.data = data.toString('base64');
+      assert.throws(() => decryptMapping(envelope, 'k'), /wrong key or corrupted/);
+    });
+
+    it(
+      'should write vault files readable by the owner only',
+      { skip: process.platform === 'win32' },
+      () => {
+        const file = path.join(tmpDir, 'mode.vault');
+        writeVault(file, {}, 'k');
+        assert.strictEqual(fs.statSync(file).mode & 0o777, 0o600);
+        assert.deepStrictEqual(readVault(file, 'k'), {});
+      },
+    );
+  });
+
+  describe('replacedValue()', () => {
+    it('should return the whole match for full replacements', () => {
+      assert.strictEqual(replacedValue('a@x.com', '[EMAIL_1]', '[EMAIL_1]'), 'a@x.com');
+    });
+
+    it('should return only the replaced part for partial replacements', () => {
+      const match = 'https://u:p@host/x';
+      const token = '[URL_CREDS_1]';
+      assert.strictEqual(replacedValue(match, `https://${token}@host/x`, token), 'u:p');
+    });
+  });
+
+  describe('restore()', () => {
+    it('should restore from a mapping and leave unknown tokens', () => {
+      const { text, stats } = restore('hi [EMAIL_1], not [EMAIL_2] or [EMAIL]', {
+        mapping: { '[EMAIL_1]': 'a@x.com' },
+        stats: true,
+      });
+      assert.strictEqual(text, 'hi a@x.com, not [EMAIL_2] or [EMAIL]');
+      assert.deepStrictEqual(stats, { total: 1, unknown: 2 });
+    });
+
+    it('should require a vault or mapping', () => {
+      assert.throws(() => restore('x'), /requires a vault or a mapping/);
+    });
+  });
+
+  describe('with redact()', () => {
+    it('should round-trip redacted text', () => {
+      const vault = { file: path.join(tmpDir, 'round.vault'), key: 'k' };
+      const input = 'a@x.com from 10.0.0.1 via https://admin:pw@db.example.com, a@x.com';
+      const { text } = redact(input, { vault });
+
+      assert.strictEqual(
+        text,
+        '[EMAIL_1] from [IPv4_1] via https://[URL_CREDS_1]@db.example.com, [EMAIL_1]',
+      );
+      assert.ok(!fs.readFileSync(vault.file, 'utf8').includes('a@x.com'));
+      assert.strictEqual(restore(text, { vault }).text, input);
+    });
+
+    it('should reuse placeholders from an existing vault', () => {
+      const vault = { file: path.join(tmpDir, 'reuse.vault'), key: 'k' };
+      redact('a@x.com', { vault });
+      const { text } = redact('b@x.com a@x.com', { vault });
+
+      assert.strictEqual(text, '[EMAIL_2] [EMAIL_1]');
+      assert.strictEqual(restore('[EMAIL_1] [EMAIL_2]', { vault }).text, 'a@x.com b@x.com');
+    });
+
+    it('should record keyed tokens', () => {
+      const vault = { file: path.join(tmpDir, 'keyed.vault'), key: 'k' };
+      const { text } = redact('a@x.com', { vault, pseudonymize: { key: 'hmac' } });
+
+      assert.match(text, /^\[EMAIL_[0-9a-f]{8}\]$/);
+      assert.strictEqual(restore(text, { vault }).text, 'a@x.com');
+    });
+  });
+
+  describe('with compiled redactors', () => {
+    it('should save the vault once, on finish()', () => {
+      const vault = { file: path.join(tmpDir, 'lines.vault'), key: 'k' };
+      const redactLine = createRedactor({ vault });
+      const lines = ['a@x.com', 'b@y.com', 'a@x.com'].map((line) => redactLine(line).text);
+
+      assert.deepStrictEqual(lines, ['[EMAIL_1]', '[EMAIL_2]', '[EMAIL_1]']);
+      assert.ok(!fs.existsSync(vault.file));
+      redactLine.finish();
+      assert.strictEqual(restore(lines.join(' '), { vault }).text, 'a@x.com b@y.com a@x.com');
+    });
+
+    it('should save an object redactor vault on finish()', () => {
+      const vault = { file: path.join(tmpDir, 'objects.vault'), key: 'k' };
+      const redactor = createObjectRedactor({ vault });
+      const { value } = redactor({ user: 'a@x.com' });
+      redactor({ user: 'b@y.com' });
+
+      assert.ok(!fs.existsSync(vault.file));
+      redactor.finish();
+      assert.strictEqual(restore(value.user, { vault }).text, 'a@x.com');
+    });
+
+    it('should save a console vault when the console is restored', () => {
+      const vault = { file: path.join(tmpDir, 'console.vault'), key: 'k' };
+      const logged = [];
+      const target = { log: (line) => logged.push(line) };
+      const restoreConsole = patchConsole({ methods: ['log'], target, vault });
+      target.log('mail a@x.com');
+
+      assert.ok(!fs.existsSync(vault.file));
+      restoreConsole();
+      assert.strictEqual(restore(logged[0], { vault }).text, 'mail a@x.com');
+    });
+  });
+});